@@ -15,10 +15,15 @@ class AlgorithmBase {
      * Initializes the algorithm with all necessary parameters.
      * @param {number} initialPosition - The starting position of the disk head.
      * @param {number} maxTrack - The maximum track number on the disk.
-     * @param {Array<number>} requests - A clone of the request queue.
+     * @param {Array<number>} requests - A clone of the request queue. A track appears
+     * once per request on it; several requests may share a cylinder.
      * @param {string} [direction='low'] - The initial direction ('low' or 'high').
+     * @param {object} [options={}] - Optional per-request data.
+     * @param {Array<number>} [options.arrivalTimes] - Arrival time of each request (same order as `requests`).
+     * @param {Array<string>} [options.requestTypes] - 'read' or 'write' for each request (same order as `requests`).
+     * @param {Array<{head: number, sector: number}>} [options.requestLocations] - Head and sector of each request (same order as `requests`).
      */
-    constructor(initialPosition, maxTrack, requests, direction = 'low') {
+    constructor(initialPosition, maxTrack, requests, direction = 'low', options = {}) {
         /** @type {number} */
         this.initialPosition = initialPosition;
         /** @type {number} */
@@ -27,6 +32,26 @@ class AlgorithmBase {
         this.requests = [...requests]; // Clone array to prevent mutation of state
         /** @type {string} */
         this.direction = direction;
+        /** @type {Array<{id: number, track: number, arrival: number, type: string, head: number, sector: number}>}
+         * Every request with its details. `id` is its index in `requests`, which tells
+         * apart requests on the same cylinder. Arrival 0 means pending from the start. */
+        this.requestEntries = this.requests.map((track, i) => {
+            const location = options.requestLocations?.[i] ?? { head: 0, sector: 0 };
+            return {
+                id: i,
+                track: track,
+                arrival: options.arrivalTimes?.[i] ?? 0,
+                type: options.requestTypes?.[i] ?? 'read',
+                head: location.head,
+                sector: location.sector
+            };
+        });
+        /** @type {Array<number>} Simulation clock at each entry of the last sequence returned by run(). */
+        this.timeline = [];
+        /** @type {Array<object|undefined>} Optional metadata for each entry of the last sequence (same indices).
+         * After run(), every move has a `decision` record (see createDecision). A move may name
+         * the request it serves as `request` (its id); otherwise the oldest one on that track is served. */
+        this.sequenceMeta = [];
         
         // Perform initial validation
         this.validateInput();
@@ -41,6 +66,33 @@ class AlgorithmBase {
         return 'A disk scheduling algorithm.';
     }
 
+    /**
+     * Gets the pseudocode shown in the Pseudocode panel. Subclasses should
+     * override this. A line given as `{ text, rules }` is highlighted when
+     * the current step's decision record (see createDecision) has one of
+     * those rules; step 0 highlights the first line.
+     * @static
+     * @returns {Array<string|{text: string, rules: Array<string>}>}
+     */
+    static get pseudocode() {
+        return [
+            'pos ← initial head position',
+            'while pending is not empty:',
+            { text: '    target ← next request in the schedule', rules: ['scheduled', 'under-head'] },
+            '    move head to target; pos ← target'
+        ];
+    }
+
+    /**
+     * Whether the algorithm takes the initial sweep direction, so the page
+     * shows the direction option for it. Sweeping subclasses override this.
+     * @static
+     * @returns {boolean}
+     */
+    static get usesDirection() {
+        return false;
+    }
+
     /**
      * Validates the constructor inputs.
      * @private
@@ -53,9 +105,12 @@ class AlgorithmBase {
         if (this.initialPosition < 0 || this.initialPosition > this.maxTrack) {
             throw new Error(`Initial position must be between 0 and ${this.maxTrack}`);
         }
-        for (const req of this.requests) {
-            if (req < 0 || req > this.maxTrack) {
-                throw new Error(`Request position ${req} is out of range [0, ${this.maxTrack}]`);
+        for (const entry of this.requestEntries) {
+            if (entry.track < 0 || entry.track > this.maxTrack) {
+                throw new Error(`Request position ${entry.track} is out of range [0, ${this.maxTrack}]`);
+            }
+            if (!(entry.arrival >= 0)) {
+                throw new Error(`Arrival time of request ${entry.track} must be a number >= 0`);
             }
         }
     }
@@ -70,8 +125,235 @@ class AlgorithmBase {
         throw new Error('execute() must be implemented by subclass');
     }
 
+    /**
+     * Explains one move: which rule picked `target` out of the pending requests.
+     * Subclasses override this to describe their own rule; it is also what
+     * marks wrap jumps (rule 'wrap'), so the StateManager does not have to
+     * guess them from the algorithm's name.
+     * @param {number} fromPos - The head position before the move.
+     * @param {number} target - The position moved to.
+     * @param {Array<number>} pending - The requests waiting before the move.
+     * @param {string} direction - The sweep direction before the move ('low' or 'high').
+     * @returns {object} A decision record (see createDecision).
+     */
+    explainMove(fromPos, target, pending, direction) {
+        return this.createDecision('scheduled', fromPos, target, pending, `${target} is next in the schedule.`);
+    }
+
+    /**
+     * Runs the algorithm and records the simulation clock in `this.timeline`.
+     * This is the entry point used by the StateManager. Without timed
+     * arrivals it is just `execute()`; with them, it hands off to
+     * `executeWithArrivals()` so the algorithm only sees arrived requests.
+     * Either way, every move gets a decision record in `this.sequenceMeta`.
+     * @returns {Array<number>} An array of track numbers in the order they were visited.
+     */
+    run() {
+        this.sequenceMeta = [];
+
+        if (this.hasTimedArrivals()) {
+            return this.executeWithArrivals();
+        }
+
+        const sequence = this.execute();
+
+        // The head moves one track per time unit, so the clock is the running distance
+        this.timeline = [0];
+        for (let i = 1; i < sequence.length; i++) {
+            this.timeline.push(this.timeline[i - 1] + Math.abs(sequence[i] - sequence[i - 1]));
+        }
+
+        this.explainSequence(sequence);
+        return sequence;
+    }
+
+    /**
+     * Adds a decision record to every move that execute() did not already
+     * explain, replaying the pending queue and sweep direction along the way.
+     * @param {Array<number>} sequence - The sequence returned by execute().
+     * @private
+     */
+    explainSequence(sequence) {
+        let pending = this.cloneRequests();
+        let direction = this.direction;
+
+        for (let i = 1; i < sequence.length; i++) {
+            const fromPos = sequence[i - 1];
+            const target = sequence[i];
+
+            if (!this.sequenceMeta[i]?.decision) {
+                const decision = target === fromPos
+                    ? this.createDecision('under-head', fromPos, target, pending, `${target} is already under the head, so it is serviced without moving.`)
+                    : this.explainMove(fromPos, target, pending, direction);
+                this.addDecision(i, decision);
+            }
+
+            direction = this.nextDirection(fromPos, target, direction);
+            if (pending.includes(target)) {
+                pending = this.removeRequest(pending, target);
+            }
+        }
+    }
+
+    /**
+     * Stores a decision record in `this.sequenceMeta`, keeping any other
+     * metadata for that entry. A 'wrap' decision also marks the move as a wrap.
+     * @param {number} index - The sequence index of the move.
+     * @param {object} decision - From createDecision().
+     */
+    addDecision(index, decision) {
+        const meta = { ...this.sequenceMeta[index], decision: decision };
+        if (decision.rule === 'wrap' && meta.moveType === undefined) {
+            meta.moveType = 'wrap';
+        }
+        this.sequenceMeta[index] = meta;
+    }
+
+    /**
+     * Runs the algorithm against a simulation clock. At every move the
+     * subclass's own `execute()` is re-run on just the requests that have
+     * arrived so far, and the head makes the first move of that plan.
+     * If nothing has arrived yet, the head idles until the next arrival.
+     * Subclasses with their own notion of time may override this.
+     * @returns {Array<number>} An array of track numbers in the order they were visited.
+     */
+    executeWithArrivals() {
+        const sequence = this.initializeSequence(); // [initialPosition]
+        this.timeline = [0];
+
+        // Pending requests, in arrival order (stable for equal times)
+        let remaining = this.getRequestEntries()
+            .sort((a, b) => a.arrival - b.arrival);
+        let currentPos = this.initialPosition;
+        let direction = this.direction;
+        let clock = 0;
+
+        while (remaining.length > 0) {
+            const arrivedEntries = remaining.filter(entry => entry.arrival <= clock);
+            const arrived = arrivedEntries.map(entry => entry.track);
+
+            // Nothing to do yet: idle until the next request arrives
+            if (arrived.length === 0) {
+                clock = Math.min(...remaining.map(entry => entry.arrival));
+                continue;
+            }
+
+            let target;
+            let decision;
+            if (arrived.includes(currentPos)) {
+                // A request under the head is serviced without moving
+                target = currentPos;
+                decision = this.createDecision('under-head', currentPos, target, arrived, `${target} is already under the head, so it is serviced without moving.`);
+            } else {
+                const planner = new this.constructor(currentPos, this.maxTrack, arrived, direction);
+                target = planner.execute()[1];
+                decision = planner.explainMove(currentPos, target, arrived, direction);
+                direction = planner.nextDirection(currentPos, target, direction);
+            }
+
+            clock += Math.abs(target - currentPos);
+            currentPos = target;
+            sequence.push(target);
+            this.timeline.push(clock);
+            this.addDecision(sequence.length - 1, decision);
+
+            // Of several requests on the target cylinder, the oldest is served
+            const served = arrivedEntries.find(entry => entry.track === target);
+            if (served) {
+                this.sequenceMeta[sequence.length - 1].request = served.id;
+                remaining = remaining.filter(entry => entry !== served);
+            }
+        }
+
+        return sequence;
+    }
+
+    /**
+     * Gets the sweep direction after a move. By default the head keeps
+     * moving the way it just moved. Circular algorithms override this,
+     * because their wrap jump does not change the sweep direction.
+     * @param {number} fromPos - The position before the move.
+     * @param {number} toPos - The position after the move.
+     * @param {string} [current=this.direction] - The direction before the move.
+     * @returns {string} 'low' or 'high'.
+     */
+    nextDirection(fromPos, toPos, current = this.direction) {
+        if (toPos > fromPos) return 'high';
+        if (toPos < fromPos) return 'low';
+        return current;
+    }
+
     // --- UTILITY METHODS (for use by subclasses) ---
 
+    /**
+     * Gets a copy of every request with its details (see `requestEntries`).
+     * Algorithms that look at more than the track work on these, so that
+     * requests sharing a cylinder keep their own arrival, type and sector.
+     * @returns {Array<{id: number, track: number, arrival: number, type: string, head: number, sector: number}>}
+     */
+    getRequestEntries() {
+        return this.requestEntries.map(entry => ({ ...entry }));
+    }
+
+    /**
+     * Gets the first request on a track.
+     * @private
+     * @param {number} request - The request's track number.
+     * @returns {object|undefined} Its entry (see `requestEntries`).
+     */
+    findEntry(request) {
+        return this.requestEntries.find(entry => entry.track === request);
+    }
+
+    /**
+     * Gets the arrival time of a request. For a cylinder with several
+     * requests this is the first one's; use getRequestEntries() to tell them apart.
+     * @param {number} request - The request's track number.
+     * @returns {number} The arrival time (0 if it was pending from the start).
+     */
+    getArrivalTime(request) {
+        return this.findEntry(request)?.arrival ?? 0;
+    }
+
+    /**
+     * Gets the type of a request (the first one's on a shared cylinder).
+     * @param {number} request - The request's track number.
+     * @returns {string} 'read' or 'write'.
+     */
+    getRequestType(request) {
+        return this.findEntry(request)?.type ?? 'read';
+    }
+
+    /**
+     * Gets where on its cylinder a request sits (the first one's on a shared cylinder).
+     * @param {number} request - The request's track (cylinder) number.
+     * @returns {{head: number, sector: number}} Head 0, sector 0 if no location was given.
+     */
+    getRequestLocation(request) {
+        const entry = this.findEntry(request);
+        return entry ? { head: entry.head, sector: entry.sector } : { head: 0, sector: 0 };
+    }
+
+    /**
+     * Checks whether any request arrives after time 0.
+     * @returns {boolean}
+     */
+    hasTimedArrivals() {
+        return this.requestEntries.some(entry => entry.arrival > 0);
+    }
+
+    /**
+     * Gets the requests that have arrived by a given time. A track counts as
+     * its first request's; see getRequestEntries() for shared cylinders.
+     * @param {number} clock - The current simulation time.
+     * @param {Array<number>} [available=null] - The list of requests to check. Defaults to all requests.
+     * @returns {Array<number>}
+     */
+    getArrivedRequests(clock, available = null) {
+        const requestsToCheck = available || this.requests;
+        return requestsToCheck.filter(req => this.getArrivalTime(req) <= clock);
+    }
+
     /**
      * Calculates the total head movement for a given sequence.
      * @param {Array<number>} sequence - The sequence of visited positions.
@@ -166,6 +448,59 @@ class AlgorithmBase {
         });
     }
 
+    /**
+     * Builds a decision record: why a move went where it did.
+     * @param {string} rule - The rule applied: 'first-come', 'closest', 'next-in-sweep',
+     * 'end-of-disk', 'wrap', 'deadline', 'positioning', 'optimal', 'under-head' or 'scheduled'.
+     * @param {number} fromPos - The head position before the move.
+     * @param {number} target - The position moved to.
+     * @param {Array<number>} pending - The candidate requests.
+     * @param {string} reason - A sentence explaining the choice.
+     * @param {object} [details={}] - Extra fields.
+     * @param {?string} [details.tieBreak=null] - How a tie between equal candidates was settled.
+     * @param {Array<object>} [details.candidates] - Candidate entries with more than a distance
+     * (e.g., positioning times). Defaults to each pending track with its distance.
+     * @returns {{rule: string, from: number, target: number, reason: string, tieBreak: ?string,
+     * candidates: Array<{track: number, distance: number}>}} Candidates are nearest first.
+     */
+    createDecision(rule, fromPos, target, pending, reason, { tieBreak = null, candidates = null } = {}) {
+        const entries = candidates || pending.map(track => ({ track: track, distance: Math.abs(track - fromPos) }));
+        return {
+            rule: rule,
+            from: fromPos,
+            target: target,
+            reason: reason,
+            tieBreak: tieBreak,
+            candidates: [...entries].sort((a, b) => (a.distance - b.distance) || (a.track - b.track))
+        };
+    }
+
+    /**
+     * Explains a move of a sweeping algorithm (SCAN family): the nearest
+     * pending request ahead, a reversal once nothing is left ahead, or a run
+     * to the end of the disk.
+     * @param {number} fromPos - The head position before the move.
+     * @param {number} target - The position moved to.
+     * @param {Array<number>} pending - The requests waiting before the move.
+     * @param {string} direction - The sweep direction before the move.
+     * @param {string} [name] - The algorithm name used in the text (e.g., 'SCAN').
+     * @returns {object} A decision record.
+     */
+    explainSweepMove(fromPos, target, pending, direction, name = 'The head') {
+        const moving = target > fromPos ? 'high' : 'low';
+        const towards = (dir) => dir === 'high' ? 'up' : 'down';
+
+        if (!pending.includes(target) && (target === 0 || target === this.maxTrack)) {
+            return this.createDecision('end-of-disk', fromPos, target, pending,
+                `${name} always runs to the end of the disk (track ${target}) before it turns around.`);
+        }
+
+        const reason = moving === direction
+            ? `${target} is the nearest pending request moving ${towards(moving)} from ${fromPos}.`
+            : `Nothing is left moving ${towards(direction)}, so ${name} reverses; ${target} is the nearest pending request moving ${towards(moving)}.`;
+        return this.createDecision('next-in-sweep', fromPos, target, pending, reason);
+    }
+
     /**
      * Initializes the sequence array with the starting position.
      * @returns {Array<number>} A new sequence array containing only the initial position.
@@ -180,9 +515,12 @@ class AlgorithmBase {
      * @returns {boolean} True if all requests are present.
      */
     verifySequence(sequence) {
-        const visitedRequests = sequence.filter(pos => this.requests.includes(pos));
-        // Use Set to handle potential duplicates in sequence
-        return new Set(visitedRequests).size === this.requests.length;
+        // A cylinder with several requests has to be visited once for each
+        let unvisited = this.cloneRequests();
+        for (const pos of sequence.slice(1)) {
+            unvisited = this.removeRequest(unvisited, pos);
+        }
+        return unvisited.length === 0;
     }
 
     /**
@@ -194,13 +532,15 @@ class AlgorithmBase {
     }
 
     /**
-     * Removes a specific request from an array.
+     * Removes a specific request from an array. If the track is listed more
+     * than once (several requests on one cylinder), only the first is removed.
      * @param {Array<number>} array - The array to modify (e.g., a pending queue).
      * @param {number} request - The request to remove.
      * @returns {Array<number>} A new array with the request removed.
      */
     removeRequest(array, request) {
-        return array.filter(r => r !== request);
+        const index = array.indexOf(request);
+        return index === -1 ? [...array] : [...array.slice(0, index), ...array.slice(index + 1)];
     }
 }
 
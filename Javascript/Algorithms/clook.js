@@ -23,6 +23,34 @@ class CLOOK extends AlgorithmBase {
         return 'C-LOOK (Circular LOOK): A "smarter" C-SCAN. The head "jumps" from the last request in one direction to the first in the other.';
     }
 
+    /**
+     * Marks C-LOOK as sweeping in the chosen initial direction.
+     * @static
+     * @returns {boolean}
+     */
+    static get usesDirection() {
+        return true;
+    }
+
+    /**
+     * Gets the pseudocode shown in the Pseudocode panel. Lines tagged with
+     * decision rules are highlighted for moves made under that rule.
+     * @static
+     * @returns {Array<string|{text: string, rules: Array<string>}>}
+     */
+    static get pseudocode() {
+        return [
+            'pos ← initial head position; dir ← initial direction (never changes)',
+            'while pending is not empty:',
+            '    if a pending request lies ahead in dir:',
+            { text: '        target ← nearest pending request ahead in dir', rules: ['next-in-sweep', 'under-head'] },
+            '    else:',
+            { text: '        target ← farthest pending request the other way (jump)', rules: ['wrap'] },
+            '    move head to target; pos ← target',
+            '    remove target from pending'
+        ];
+    }
+
     /**
      * Executes the C-LOOK (Circular) algorithm.
      * @returns {Array<number>} The sequence of disk positions visited.
@@ -82,6 +110,33 @@ class CLOOK extends AlgorithmBase {
 
         return sequence;
     }
+
+    /**
+     * C-LOOK always services in its starting direction; the jump back
+     * to the other end is a wrap, not a reversal.
+     * @returns {string} The (unchanged) direction.
+     */
+    nextDirection() {
+        return this.direction;
+    }
+
+    /**
+     * Explains a C-LOOK move. Any move against the service direction is
+     * the wrap back to the farthest pending request.
+     * @param {number} fromPos - The head position before the move.
+     * @param {number} target - The position moved to.
+     * @param {Array<number>} pending - The requests waiting before the move.
+     * @returns {object} A decision record.
+     */
+    explainMove(fromPos, target, pending) {
+        const up = this.direction === 'high';
+        if (up ? target < fromPos : target > fromPos) {
+            return this.createDecision('wrap', fromPos, target, pending,
+                `Nothing is left moving ${up ? 'up' : 'down'}, so C-LOOK jumps back to the ${up ? 'lowest' : 'highest'} ` +
+                `pending request, ${target}, and keeps moving ${up ? 'up' : 'down'}.`);
+        }
+        return this.explainSweepMove(fromPos, target, pending, this.direction, 'C-LOOK');
+    }
 }
 
 // Export for use in other modules
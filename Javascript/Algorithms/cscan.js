@@ -23,6 +23,36 @@ class CSCAN extends AlgorithmBase {
         return 'C-SCAN (Circular SCAN): The head moves to one end, then jumps to the other and continues in the same direction.';
     }
 
+    /**
+     * Marks C-SCAN as sweeping in the chosen initial direction.
+     * @static
+     * @returns {boolean}
+     */
+    static get usesDirection() {
+        return true;
+    }
+
+    /**
+     * Gets the pseudocode shown in the Pseudocode panel. Lines tagged with
+     * decision rules are highlighted for moves made under that rule.
+     * @static
+     * @returns {Array<string|{text: string, rules: Array<string>}>}
+     */
+    static get pseudocode() {
+        return [
+            'pos ← initial head position; dir ← initial direction (never changes)',
+            'while pending is not empty:',
+            '    if a pending request lies ahead in dir:',
+            { text: '        target ← nearest pending request ahead in dir', rules: ['next-in-sweep', 'under-head'] },
+            '    else if pos is not at the end of the disk in dir:',
+            { text: '        target ← that end (0 or max track)', rules: ['end-of-disk'] },
+            '    else:',
+            { text: '        target ← the other end (jump, nothing serviced)', rules: ['wrap'] },
+            '    move head to target; pos ← target',
+            '    remove target from pending'
+        ];
+    }
+
     /**
      * Executes the C-SCAN (Circular) algorithm.
      * @returns {Array<number>} The sequence of disk positions visited.
@@ -100,6 +130,35 @@ class CSCAN extends AlgorithmBase {
 
         return sequence;
     }
+
+    /**
+     * C-SCAN always services in its starting direction; the jump back
+     * to the other end is a wrap, not a reversal.
+     * @returns {string} The (unchanged) direction.
+     */
+    nextDirection() {
+        return this.direction;
+    }
+
+    /**
+     * Explains a C-SCAN move. The jump from one end of the disk back to
+     * the other is the wrap; everything else is an ordinary sweep move.
+     * @param {number} fromPos - The head position before the move.
+     * @param {number} target - The position moved to.
+     * @param {Array<number>} pending - The requests waiting before the move.
+     * @returns {object} A decision record.
+     */
+    explainMove(fromPos, target, pending) {
+        const start = this.direction === 'high' ? 0 : this.maxTrack;
+        const end = this.direction === 'high' ? this.maxTrack : 0;
+
+        if (fromPos === end && target === start) {
+            return this.createDecision('wrap', fromPos, target, pending,
+                `C-SCAN only services moving ${this.direction === 'high' ? 'up' : 'down'}, so at the end of the disk ` +
+                `it jumps back to track ${start} and starts the next sweep from there.`);
+        }
+        return this.explainSweepMove(fromPos, target, pending, this.direction, 'C-SCAN');
+    }
 }
 
 // Export for use in other modules
@@ -0,0 +1,215 @@
+/* =====================================================
+ * JS/ALGORITHMS/DEADLINE.JS - DEADLINE I/O SCHEDULER
+ * -----------------------------------------------------
+ * Modeled on the Linux "deadline" elevator:
+ * 1. Requests are kept sorted by sector (track) and are
+ *    dispatched in one-way (ascending) batches. When no
+ *    request is left ahead of the head, a new batch
+ *    starts from the lowest pending request.
+ * 2. Reads and writes also sit in separate FIFO queues,
+ *    each with its own expiry time (reads expire sooner).
+ * 3. Before every dispatch the FIFO heads are checked.
+ *    An expired request is served immediately, breaking
+ *    the sweep; a new batch continues upward from there.
+ * ===================================================== */
+
+/**
+ * Implements the Deadline I/O scheduler.
+ * Characteristics: Sweep-like throughput with a bound on how
+ * long any request (especially a read) can wait.
+ */
+class Deadline extends AlgorithmBase {
+
+    /**
+     * Initializes the algorithm.
+     * @param {number} initialPosition - The starting position of the disk head.
+     * @param {number} maxTrack - The maximum track number on the disk.
+     * @param {Array<number>} requests - A clone of the request queue.
+     * @param {string} [direction='low'] - Unused; Deadline always sweeps upward.
+     * @param {object} [options={}] - Optional per-request data (see AlgorithmBase).
+     * @param {number} [options.readExpire=100] - Time a read may wait before it expires.
+     * @param {number} [options.writeExpire=500] - Time a write may wait before it expires.
+     */
+    constructor(initialPosition, maxTrack, requests, direction = 'low', options = {}) {
+        super(initialPosition, maxTrack, requests, direction, options);
+
+        /** @type {number} */
+        this.readExpire = options.readExpire ?? 100;
+        /** @type {number} */
+        this.writeExpire = options.writeExpire ?? 500;
+
+        if (!(this.readExpire >= 0) || !(this.writeExpire >= 0)) {
+            throw new Error('Read and write expiry times must be numbers >= 0');
+        }
+    }
+
+    /**
+     * Gets the description for the Deadline algorithm.
+     * @static
+     * @returns {string} The algorithm's description.
+     */
+    static get description() {
+        return 'Deadline: Serves requests in upward sector-order batches, but a read or write that waits past its expiry time is served immediately.';
+    }
+
+    /**
+     * Gets the pseudocode shown in the Pseudocode panel. Lines tagged with
+     * decision rules are highlighted for moves made under that rule.
+     * @static
+     * @returns {Array<string|{text: string, rules: Array<string>}>}
+     */
+    static get pseudocode() {
+        return [
+            'pos ← initial head position',
+            'while pending is not empty:',
+            '    if the oldest read or write has waited past its expiry:',
+            { text: '        target ← that request (breaks the sweep)', rules: ['deadline'] },
+            '    else if a pending request is at or above pos:',
+            { text: '        target ← the lowest such request', rules: ['next-in-sweep', 'under-head'] },
+            '    else:',
+            { text: '        target ← lowest pending request (new batch)', rules: ['wrap'] },
+            '    move head to target; pos ← target',
+            '    remove target from pending'
+        ];
+    }
+
+    /**
+     * Executes the Deadline algorithm. Expiry depends on the clock, so
+     * this method already honors arrival times and records `this.timeline`.
+     * Each entry of `this.sequenceMeta` records the request served, its
+     * batch and, for deadline-triggered jumps, which request expired.
+     * @returns {Array<number>} The sequence of disk positions visited.
+     */
+    execute() {
+        const sequence = this.initializeSequence(); // [initialPosition]
+        this.timeline = [0];
+        this.sequenceMeta = [undefined];
+
+        let remaining = this.getRequestEntries();
+        let currentPos = this.initialPosition;
+        let clock = 0;
+        let batchNumber = 0;
+        let startNewBatch = true;
+
+        while (remaining.length > 0) {
+            const arrivedEntries = remaining.filter(entry => entry.arrival <= clock);
+            const arrived = arrivedEntries.map(entry => entry.track);
+
+            // Nothing to dispatch yet: idle until the next request arrives
+            if (arrived.length === 0) {
+                clock = Math.min(...remaining.map(entry => entry.arrival));
+                continue;
+            }
+
+            // 1. Where the one-way sweep would go next
+            const ahead = arrived.filter(req => req >= currentPos);
+            const sweepTarget = ahead.length > 0 ? Math.min(...ahead) : Math.min(...arrived);
+            const isWrap = ahead.length === 0;
+
+            // 2. An expired FIFO head overrides the sweep
+            const expired = this.findExpiredRequest(clock, arrivedEntries);
+            const deadline = expired && expired.track !== sweepTarget ? expired : null;
+            const target = deadline ? deadline.track : sweepTarget;
+
+            // An expired request is served even when the sweep reaches its cylinder anyway;
+            // otherwise the oldest request on the target cylinder is
+            const served = expired && expired.track === target
+                ? arrivedEntries.find(entry => entry.id === expired.request)
+                : arrivedEntries.find(entry => entry.track === target);
+
+            // A wrap or a deadline jump breaks the sweep and starts a new batch
+            if (isWrap || deadline) {
+                startNewBatch = true;
+            }
+            if (startNewBatch) {
+                batchNumber++;
+            }
+
+            const decision = this.explainDispatch(currentPos, target, arrived, deadline, isWrap);
+
+            clock += Math.abs(target - currentPos);
+            sequence.push(target);
+            this.timeline.push(clock);
+            this.sequenceMeta.push({
+                request: served.id,
+                batch: batchNumber,
+                batchStart: startNewBatch,
+                moveType: decision.rule === 'wrap' ? 'wrap' : undefined,
+                deadline: deadline,
+                decision: decision
+            });
+
+            startNewBatch = false;
+            currentPos = target;
+            remaining = remaining.filter(entry => entry !== served);
+        }
+
+        return sequence;
+    }
+
+    /**
+     * Expiry depends on the clock, so the timed run is the same as `execute()`.
+     * @returns {Array<number>} The sequence of disk positions visited.
+     */
+    executeWithArrivals() {
+        return this.execute();
+    }
+
+    /**
+     * Explains one dispatch: an expired request, the next request upward,
+     * or the wrap to the lowest request when none is left above the head.
+     * @param {number} fromPos - The head position before the move.
+     * @param {number} target - The position moved to.
+     * @param {Array<number>} arrived - The requests waiting to be served.
+     * @param {?object} deadline - The expired request, from findExpiredRequest().
+     * @param {boolean} isWrap - Whether no request was left at or above the head.
+     * @returns {object} A decision record.
+     * @private
+     */
+    explainDispatch(fromPos, target, arrived, deadline, isWrap) {
+        if (deadline) {
+            return this.createDecision('deadline', fromPos, target, arrived,
+                `The ${deadline.type} at ${target} has waited ${deadline.waited}, past its expiry of ${deadline.expire}, ` +
+                'so it is served at once and the sweep starts again from there.');
+        }
+        if (target === fromPos) {
+            return this.createDecision('under-head', fromPos, target, arrived, `${target} is already under the head, so it is serviced without moving.`);
+        }
+        if (isWrap) {
+            return this.createDecision('wrap', fromPos, target, arrived,
+                `No request is left at or above ${fromPos}, so a new upward batch starts from the lowest pending request, ${target}.`);
+        }
+        return this.createDecision('next-in-sweep', fromPos, target, arrived,
+            `${target} is the next pending request upward in sector order, and no read or write has expired.`);
+    }
+
+    /**
+     * Checks the heads of the read and write FIFO queues. Reads are
+     * checked first, as in Linux, because processes block on them.
+     * @param {number} clock - The current simulation time.
+     * @param {Array<object>} arrived - The requests waiting to be served (see AlgorithmBase.getRequestEntries()).
+     * @returns {{request: number, track: number, type: string, waited: number, expire: number}|null}
+     * The expired request (`request` is its id), or null if neither FIFO head has expired.
+     * @private
+     */
+    findExpiredRequest(clock, arrived) {
+        for (const [type, expire] of [['read', this.readExpire], ['write', this.writeExpire]]) {
+            const fifo = arrived
+                .filter(entry => entry.type === type)
+                .sort((a, b) => a.arrival - b.arrival);
+
+            if (fifo.length === 0) continue;
+
+            const waited = clock - fifo[0].arrival;
+            if (waited > expire) {
+                return { request: fifo[0].id, track: fifo[0].track, type: type, waited: waited, expire: expire };
+            }
+        }
+        return null;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Deadline;
+}
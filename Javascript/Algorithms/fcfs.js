@@ -22,6 +22,22 @@ class FCFS extends AlgorithmBase {
         return 'FCFS (First Come First Serve): Serves requests in the order they arrive. Simple but highly inefficient.';
     }
 
+    /**
+     * Gets the pseudocode shown in the Pseudocode panel. Lines tagged with
+     * decision rules are highlighted for moves made under that rule.
+     * @static
+     * @returns {Array<string|{text: string, rules: Array<string>}>}
+     */
+    static get pseudocode() {
+        return [
+            'pos ← initial head position',
+            'while pending is not empty:',
+            { text: '    target ← oldest request in pending', rules: ['first-come', 'under-head'] },
+            '    move head to target; pos ← target',
+            '    remove target from pending'
+        ];
+    }
+
     /**
      * Executes the FCFS algorithm.
      * @returns {Array<number>} The sequence of disk positions visited.
@@ -36,6 +52,23 @@ class FCFS extends AlgorithmBase {
         
         return sequence;
     }
+
+    /**
+     * Explains an FCFS move: the oldest pending request goes next,
+     * however far away it is.
+     * @param {number} fromPos - The head position before the move.
+     * @param {number} target - The position moved to.
+     * @param {Array<number>} pending - The requests waiting, in arrival order.
+     * @returns {object} A decision record.
+     */
+    explainMove(fromPos, target, pending) {
+        const closest = this.findClosestRequest(fromPos, pending);
+        const note = closest !== null && closest !== target
+            ? ` The closest request, ${closest}, has to wait its turn.`
+            : '';
+        return this.createDecision('first-come', fromPos, target, pending,
+            `${target} is the oldest pending request, so it is next.${note}`);
+    }
 }
 
 // Export for use in other modules
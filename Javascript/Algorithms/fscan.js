@@ -0,0 +1,52 @@
+/* =====================================================
+ * JS/ALGORITHMS/FSCAN.JS - FSCAN ALGORITHM
+ * -----------------------------------------------------
+ * Uses two queues. When a sweep starts, every request
+ * that has arrived is frozen into the active queue and
+ * serviced with SCAN. Requests arriving during the sweep
+ * collect in the second queue and are frozen for the
+ * next sweep. Without timed arrivals, FSCAN is plain SCAN.
+ * ===================================================== */
+
+/**
+ * Implements the FSCAN algorithm.
+ * Characteristics: N-Step SCAN with an unlimited batch size;
+ * every waiting request is served within two sweeps.
+ */
+class FSCAN extends NStepSCAN {
+
+    /**
+     * Gets the description for the FSCAN algorithm.
+     * @static
+     * @returns {string} The algorithm's description.
+     */
+    static get description() {
+        return 'FSCAN: Freezes the current queue and services it with a SCAN sweep. Requests that arrive meanwhile wait for the next sweep.';
+    }
+
+    /**
+     * Gets the pseudocode shown in the Pseudocode panel. Lines tagged with
+     * decision rules are highlighted for moves made under that rule.
+     * @static
+     * @returns {Array<string|{text: string, rules: Array<string>}>}
+     */
+    static get pseudocode() {
+        return NStepSCAN.pseudocode.map(line =>
+            line === '    batch ← the N oldest arrived requests (later ones wait)'
+                ? '    batch ← every arrived request (later ones wait)'
+                : line);
+    }
+
+    /**
+     * FSCAN freezes everything that has arrived, so a batch has no size limit.
+     * @returns {number}
+     */
+    getBatchSize() {
+        return Infinity;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FSCAN;
+}
@@ -23,6 +23,33 @@ class LOOK extends AlgorithmBase {
         return 'LOOK: A "smarter" SCAN. The head reverses direction after the last request in its path, without going to the end of the disk.';
     }
 
+    /**
+     * Marks LOOK as sweeping in the chosen initial direction.
+     * @static
+     * @returns {boolean}
+     */
+    static get usesDirection() {
+        return true;
+    }
+
+    /**
+     * Gets the pseudocode shown in the Pseudocode panel. Lines tagged with
+     * decision rules are highlighted for moves made under that rule.
+     * @static
+     * @returns {Array<string|{text: string, rules: Array<string>}>}
+     */
+    static get pseudocode() {
+        return [
+            'pos ← initial head position; dir ← initial direction',
+            'while pending is not empty:',
+            '    if no pending request lies ahead in dir:',
+            '        dir ← opposite of dir',
+            { text: '    target ← nearest pending request ahead in dir', rules: ['next-in-sweep', 'under-head'] },
+            '    move head to target; pos ← target',
+            '    remove target from pending'
+        ];
+    }
+
     /**
      * Executes the LOOK algorithm.
      * @returns {Array<number>} The sequence of disk positions visited.
@@ -53,6 +80,18 @@ class LOOK extends AlgorithmBase {
 
         return sequence;
     }
+
+    /**
+     * Explains a LOOK move (see AlgorithmBase.explainSweepMove).
+     * @param {number} fromPos - The head position before the move.
+     * @param {number} target - The position moved to.
+     * @param {Array<number>} pending - The requests waiting before the move.
+     * @param {string} direction - The sweep direction before the move.
+     * @returns {object} A decision record.
+     */
+    explainMove(fromPos, target, pending, direction) {
+        return this.explainSweepMove(fromPos, target, pending, direction, 'LOOK');
+    }
 }
 
 // Export for use in other modules
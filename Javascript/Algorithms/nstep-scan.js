@@ -0,0 +1,218 @@
+/* =====================================================
+ * JS/ALGORITHMS/NSTEP-SCAN.JS - N-STEP SCAN ALGORITHM
+ * -----------------------------------------------------
+ * The request queue is split into sub-queues of (at most)
+ * N requests, in arrival order. Each sub-queue is serviced
+ * with a full SCAN sweep. Requests that arrive while a
+ * batch is being serviced wait for a later batch, even if
+ * the head passes right over them.
+ * ===================================================== */
+
+/**
+ * Implements the N-Step SCAN algorithm.
+ * Characteristics: Like SCAN, but a burst of new requests near
+ * the head cannot hold it in place ("arm stickiness").
+ */
+class NStepSCAN extends AlgorithmBase {
+
+    /**
+     * Initializes the algorithm.
+     * @param {number} initialPosition - The starting position of the disk head.
+     * @param {number} maxTrack - The maximum track number on the disk.
+     * @param {Array<number>} requests - A clone of the request queue.
+     * @param {string} [direction='low'] - The initial direction ('low' or 'high').
+     * @param {object} [options={}] - Optional per-request data (see AlgorithmBase).
+     * @param {number} [options.batchSize=4] - N, the size of each sub-queue.
+     */
+    constructor(initialPosition, maxTrack, requests, direction = 'low', options = {}) {
+        super(initialPosition, maxTrack, requests, direction, options);
+
+        /** @type {number} */
+        this.batchSize = options.batchSize ?? 4;
+        if (!(this.batchSize >= 1)) {
+            throw new Error('Batch size N must be at least 1');
+        }
+    }
+
+    /**
+     * Gets the description for the N-Step SCAN algorithm.
+     * @static
+     * @returns {string} The algorithm's description.
+     */
+    static get description() {
+        return 'N-Step SCAN: Splits the queue into batches of N requests and services each batch with a SCAN sweep. New requests wait for a later batch.';
+    }
+
+    /**
+     * Marks N-Step SCAN (and FSCAN) as sweeping in the chosen initial direction.
+     * @static
+     * @returns {boolean}
+     */
+    static get usesDirection() {
+        return true;
+    }
+
+    /**
+     * Gets the pseudocode shown in the Pseudocode panel. Lines tagged with
+     * decision rules are highlighted for moves made under that rule.
+     * @static
+     * @returns {Array<string|{text: string, rules: Array<string>}>}
+     */
+    static get pseudocode() {
+        return [
+            'pos ← initial head position; dir ← initial direction',
+            'while requests remain:',
+            '    batch ← the N oldest arrived requests (later ones wait)',
+            '    while batch is not empty:',
+            '        if a batch request lies ahead in dir:',
+            { text: '            target ← nearest batch request ahead in dir', rules: ['next-in-sweep', 'under-head'] },
+            '        else if pos is not at the end of the disk in dir:',
+            { text: '            target ← that end (0 or max track)', rules: ['end-of-disk'] },
+            '        else:',
+            '            dir ← opposite of dir; continue',
+            '        move head to target; pos ← target',
+            '        remove target from batch'
+        ];
+    }
+
+    /**
+     * Gets the maximum number of requests in one batch.
+     * @returns {number}
+     */
+    getBatchSize() {
+        return this.batchSize;
+    }
+
+    /**
+     * Executes the algorithm. Batches are formed from the requests that
+     * have arrived when the previous batch finishes, so this method
+     * already honors arrival times and records `this.timeline`.
+     * Each entry of `this.sequenceMeta` records the batch it belongs to
+     * and the request served.
+     * @returns {Array<number>} The sequence of disk positions visited.
+     */
+    execute() {
+        const sequence = this.initializeSequence(); // [initialPosition]
+        this.timeline = [0];
+        this.sequenceMeta = [undefined];
+
+        let remaining = this.getRequestEntries()
+            .sort((a, b) => a.arrival - b.arrival);
+        let currentPos = this.initialPosition;
+        let direction = this.direction;
+        let clock = 0;
+        let batchNumber = 0;
+
+        while (remaining.length > 0) {
+            const arrived = remaining.filter(entry => entry.arrival <= clock);
+
+            // Nothing to batch yet: idle until the next request arrives
+            if (arrived.length === 0) {
+                clock = Math.min(...remaining.map(entry => entry.arrival));
+                continue;
+            }
+
+            // 1. Freeze the next batch (oldest requests first)
+            const batchEntries = arrived.slice(0, this.getBatchSize());
+            const batch = batchEntries.map(entry => entry.track);
+            let unserved = [...batchEntries];
+            batchNumber++;
+
+            // 2. Service it with one SCAN sweep
+            const moves = this.planSweep(currentPos, batch, direction);
+            let batchPending = [...batch];
+            moves.forEach((target, index) => {
+                const waiting = remaining
+                    .filter(entry => entry.arrival <= clock && !batchEntries.includes(entry))
+                    .map(entry => entry.track);
+                const decision = this.explainBatchMove(currentPos, target, batchPending, direction, batchNumber, waiting);
+                // The oldest batched request on the cylinder (none for a run to the disk's end)
+                const served = unserved.find(entry => entry.track === target);
+
+                direction = this.nextDirection(currentPos, target, direction);
+                clock += Math.abs(target - currentPos);
+                currentPos = target;
+
+                sequence.push(target);
+                this.timeline.push(clock);
+                this.sequenceMeta.push({
+                    request: served?.id,
+                    batch: batchNumber,
+                    batchStart: index === 0,
+                    batchRequests: [...batch],
+                    decision: decision
+                });
+                batchPending = this.removeRequest(batchPending, target);
+                unserved = unserved.filter(entry => entry !== served);
+            });
+
+            remaining = remaining.filter(entry => !batchEntries.includes(entry));
+        }
+
+        return sequence;
+    }
+
+    /**
+     * Batches already wait for arrivals, so the timed run is the same as `execute()`.
+     * @returns {Array<number>} The sequence of disk positions visited.
+     */
+    executeWithArrivals() {
+        return this.execute();
+    }
+
+    /**
+     * Explains a move within a batch. Only the frozen batch is a candidate;
+     * requests that have arrived since wait, even if the head passes them.
+     * @param {number} fromPos - The head position before the move.
+     * @param {number} target - The position moved to.
+     * @param {Array<number>} batchPending - The batch's requests not yet serviced.
+     * @param {string} direction - The sweep direction before the move.
+     * @param {number} batchNumber - The batch being serviced.
+     * @param {Array<number>} waiting - Arrived requests outside the batch.
+     * @returns {object} A decision record.
+     * @private
+     */
+    explainBatchMove(fromPos, target, batchPending, direction, batchNumber, waiting) {
+        const decision = target === fromPos
+            ? this.createDecision('under-head', fromPos, target, batchPending, `${target} is already under the head, so it is serviced without moving.`)
+            : this.explainSweepMove(fromPos, target, batchPending, direction, 'SCAN');
+
+        decision.reason = `Batch ${batchNumber}: ${decision.reason}`;
+        if (waiting.length > 0) {
+            decision.reason += ` ${waiting.join(', ')} ${waiting.length === 1 ? 'waits' : 'wait'} for a later batch.`;
+        }
+        return decision;
+    }
+
+    /**
+     * Gets the moves of one SCAN sweep over a batch.
+     * @param {number} currentPos - The head position at the start of the sweep.
+     * @param {Array<number>} batch - The requests in this batch.
+     * @param {string} direction - The sweep direction ('low' or 'high').
+     * @returns {Array<number>} The positions visited, excluding currentPos itself.
+     * @private
+     */
+    planSweep(currentPos, batch, direction) {
+        const moves = [];
+        let rest = batch;
+
+        // SCAN treats the start position as already visited, so a batched
+        // request under the head is serviced first with a zero-length move
+        if (batch.includes(currentPos)) {
+            moves.push(currentPos);
+            rest = this.removeRequest(batch, currentPos);
+        }
+
+        if (rest.length > 0) {
+            const sweep = new SCAN(currentPos, this.maxTrack, rest, direction).execute();
+            moves.push(...sweep.slice(1));
+        }
+
+        return moves;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = NStepSCAN;
+}
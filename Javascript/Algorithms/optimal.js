@@ -0,0 +1,169 @@
+/* =====================================================
+ * JS/ALGORITHMS/OPTIMAL.JS - OFFLINE OPTIMAL SCHEDULE
+ * -----------------------------------------------------
+ * Finds the order with the minimum total head movement
+ * when every request is known up front. On a line, the
+ * tracks the head has swept always form an interval
+ * around its start, and every request inside it is
+ * already serviced. So the only choices are "extend the
+ * interval one request to the left or to the right",
+ * which dynamic programming over the (left, right)
+ * extents solves exactly in O(n²).
+ * ===================================================== */
+
+/**
+ * Implements the offline Optimal schedule.
+ * Characteristics: The minimum possible total head movement,
+ * used as a lower bound to judge the other algorithms.
+ * It needs the whole queue in advance, so no real drive can run it.
+ */
+class Optimal extends AlgorithmBase {
+
+    /**
+     * Gets the description for the Optimal algorithm.
+     * @static
+     * @returns {string} The algorithm's description.
+     */
+    static get description() {
+        return 'Optimal (offline): Knows every request in advance and finds the order with the least total head movement. A lower bound for the other algorithms, not a real scheduler.';
+    }
+
+    /**
+     * Gets the pseudocode shown in the Pseudocode panel. Lines tagged with
+     * decision rules are highlighted for moves made under that rule.
+     * @static
+     * @returns {Array<string|{text: string, rules: Array<string>}>}
+     */
+    static get pseudocode() {
+        return [
+            'below ← requests under the head, nearest first; above ← the rest',
+            'cost(i, j, side) ← least movement to serve i below and j above, ending on side',
+            'fill cost by extending the served interval one request left or right',
+            'order ← the cheapest path, traced back through the table',
+            { text: 'for each target in order:', rules: ['optimal', 'under-head'] },
+            '    move head to target'
+        ];
+    }
+
+    /**
+     * Gets the minimum total head movement needed to service a set of requests.
+     * @static
+     * @param {number} initialPosition - The starting position of the disk head.
+     * @param {Array<number>} requests - The requests, all pending at the start.
+     * @returns {number} The optimal total head movement.
+     */
+    static minimumMovement(initialPosition, requests) {
+        return Optimal.solve(initialPosition, requests).cost;
+    }
+
+    /**
+     * Solves the schedule with dynamic programming over the left/right extents.
+     * State (i, j, side): the nearest `i` requests below the start and the
+     * nearest `j` at/above it are serviced, and the head is at the left
+     * (side 0) or right (side 1) end of that interval.
+     * @static
+     * @private
+     * @param {number} initialPosition - The starting position of the disk head.
+     * @param {Array<number>} requests - The requests.
+     * @returns {{cost: number, order: Array<number>}} The minimum movement and the service order.
+     */
+    static solve(initialPosition, requests) {
+        // Nearest first on both sides
+        const below = requests.filter(req => req < initialPosition).sort((a, b) => b - a);
+        const above = requests.filter(req => req >= initialPosition).sort((a, b) => a - b);
+        const rows = below.length + 1;
+        const cols = above.length + 1;
+
+        const positionAt = (i, j, side) => {
+            if (side === 0) return i > 0 ? below[i - 1] : initialPosition;
+            return j > 0 ? above[j - 1] : initialPosition;
+        };
+        const index = (i, j, side) => (i * cols + j) * 2 + side;
+
+        const cost = new Array(rows * cols * 2).fill(Infinity);
+        const parent = new Array(rows * cols * 2).fill(-1);
+        cost[index(0, 0, 0)] = 0;
+        cost[index(0, 0, 1)] = 0;
+
+        // Every transition grows i + j by one, so row-major order is topological
+        for (let i = 0; i < rows; i++) {
+            for (let j = 0; j < cols; j++) {
+                for (let side = 0; side < 2; side++) {
+                    const from = index(i, j, side);
+                    if (cost[from] === Infinity) continue;
+                    const pos = positionAt(i, j, side);
+
+                    // Extend to the next request below
+                    if (i + 1 < rows) {
+                        const to = index(i + 1, j, 0);
+                        const total = cost[from] + Math.abs(pos - below[i]);
+                        if (total < cost[to]) {
+                            cost[to] = total;
+                            parent[to] = from;
+                        }
+                    }
+
+                    // Extend to the next request above
+                    if (j + 1 < cols) {
+                        const to = index(i, j + 1, 1);
+                        const total = cost[from] + Math.abs(pos - above[j]);
+                        if (total < cost[to]) {
+                            cost[to] = total;
+                            parent[to] = from;
+                        }
+                    }
+                }
+            }
+        }
+
+        // Pick the cheaper finishing side, then walk the parents back
+        const endLeft = index(rows - 1, cols - 1, 0);
+        const endRight = index(rows - 1, cols - 1, 1);
+        let current = cost[endLeft] <= cost[endRight] ? endLeft : endRight;
+        const best = cost[current];
+
+        const order = [];
+        while (parent[current] !== -1) {
+            const side = current % 2;
+            const cell = (current - side) / 2;
+            order.push(positionAt(Math.floor(cell / cols), cell % cols, side));
+            current = parent[current];
+        }
+
+        return { cost: best, order: order.reverse() };
+    }
+
+    /**
+     * Executes the Optimal algorithm.
+     * With timed arrivals the base class re-plans this on the arrived
+     * requests at every move, which is no longer guaranteed optimal.
+     * @returns {Array<number>} The sequence of disk positions visited.
+     */
+    execute() {
+        const sequence = this.initializeSequence(); // [initialPosition]
+        sequence.push(...Optimal.solve(this.initialPosition, this.cloneRequests()).order);
+        return sequence;
+    }
+
+    /**
+     * Explains an Optimal move. The order comes from the whole schedule,
+     * so a move is only "why" in the sense that any other order costs more.
+     * @param {number} fromPos - The head position before the move.
+     * @param {number} target - The position moved to.
+     * @param {Array<number>} pending - The requests waiting before the move.
+     * @returns {object} A decision record.
+     */
+    explainMove(fromPos, target, pending) {
+        const closest = this.findClosestRequest(fromPos, pending);
+        const note = closest !== null && closest !== target
+            ? ` Going to the closer ${closest} first would not lower the total.`
+            : '';
+        return this.createDecision('optimal', fromPos, target, pending,
+            `${target} is next in the order with the least total head movement over all requests.${note}`);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Optimal;
+}
@@ -21,6 +21,36 @@ class SCAN extends AlgorithmBase {
         return 'SCAN (Elevator Algorithm): The head moves to one end of the disk, servicing requests. It then reverses, servicing requests on the way back.';
     }
 
+    /**
+     * Marks SCAN as sweeping in the chosen initial direction.
+     * @static
+     * @returns {boolean}
+     */
+    static get usesDirection() {
+        return true;
+    }
+
+    /**
+     * Gets the pseudocode shown in the Pseudocode panel. Lines tagged with
+     * decision rules are highlighted for moves made under that rule.
+     * @static
+     * @returns {Array<string|{text: string, rules: Array<string>}>}
+     */
+    static get pseudocode() {
+        return [
+            'pos ← initial head position; dir ← initial direction',
+            'while pending is not empty:',
+            '    if a pending request lies ahead in dir:',
+            { text: '        target ← nearest pending request ahead in dir', rules: ['next-in-sweep', 'under-head'] },
+            '    else if pos is not at the end of the disk in dir:',
+            { text: '        target ← that end (0 or max track)', rules: ['end-of-disk'] },
+            '    else:',
+            '        dir ← opposite of dir; continue',
+            '    move head to target; pos ← target',
+            '    remove target from pending'
+        ];
+    }
+
     /**
      * Executes the SCAN (Elevator) algorithm.
      * @returns {Array<number>} The sequence of disk positions visited.
@@ -70,6 +100,18 @@ class SCAN extends AlgorithmBase {
 
         return sequence;
     }
+
+    /**
+     * Explains a SCAN move (see AlgorithmBase.explainSweepMove).
+     * @param {number} fromPos - The head position before the move.
+     * @param {number} target - The position moved to.
+     * @param {Array<number>} pending - The requests waiting before the move.
+     * @param {string} direction - The sweep direction before the move.
+     * @returns {object} A decision record.
+     */
+    explainMove(fromPos, target, pending, direction) {
+        return this.explainSweepMove(fromPos, target, pending, direction, 'SCAN');
+    }
 }
 
 // Export for use in other modules
@@ -0,0 +1,230 @@
+/* =====================================================
+ * JS/ALGORITHMS/SPTF.JS - SHORTEST POSITIONING TIME FIRST
+ * -----------------------------------------------------
+ * Also known as SATF (Shortest Access Time First). Like
+ * SSTF it is greedy, but it measures "closest" in time,
+ * not tracks: for each pending request it adds the seek
+ * time to the rotational delay until the request's
+ * sector passes under the head once the seek finishes
+ * (or, on the same cylinder, once the head is switched).
+ * This is how drive firmware actually schedules, and why
+ * a far request can beat a near one that just rotated by.
+ * Everything runs on the drive's clock in milliseconds;
+ * arrival times are converted to it once, up front.
+ * ===================================================== */
+
+/**
+ * Implements the SPTF / SATF algorithm.
+ * Characteristics: Lowest access time of the greedy algorithms,
+ * but needs a rotation model and can starve requests like SSTF.
+ */
+class SPTF extends AlgorithmBase {
+
+    /**
+     * Initializes the algorithm.
+     * @param {number} initialPosition - The starting position of the disk head.
+     * @param {number} maxTrack - The maximum track number on the disk.
+     * @param {Array<number>} requests - A clone of the request queue.
+     * @param {string} [direction='low'] - Unused by SPTF.
+     * @param {object} [options={}] - Optional per-request data (see AlgorithmBase).
+     * @param {DiskTimingModel} [options.timingModel] - Seek curve and spindle speed.
+     * @param {number} [options.sectorsPerTrack=64] - Sectors in one revolution.
+     */
+    constructor(initialPosition, maxTrack, requests, direction = 'low', options = {}) {
+        super(initialPosition, maxTrack, requests, direction, options);
+
+        /** @type {DiskTimingModel} */
+        this.timingModel = options.timingModel || new DiskTimingModel();
+        /** @type {number} */
+        this.sectorsPerTrack = options.sectorsPerTrack ?? 64;
+
+        if (!(this.sectorsPerTrack >= 1)) {
+            throw new Error('Sectors per track must be at least 1');
+        }
+    }
+
+    /**
+     * Gets the description for the SPTF algorithm.
+     * @static
+     * @returns {string} The algorithm's description.
+     */
+    static get description() {
+        return 'SPTF / SATF (Shortest Positioning Time First): Serves the request with the lowest seek time plus rotational delay, as modern drive firmware does.';
+    }
+
+    /**
+     * Gets the pseudocode shown in the Pseudocode panel. Lines tagged with
+     * decision rules are highlighted for moves made under that rule.
+     * @static
+     * @returns {Array<string|{text: string, rules: Array<string>}>}
+     */
+    static get pseudocode() {
+        return [
+            'pos ← initial head position; t ← 0',
+            'while pending is not empty:',
+            '    for each r in pending:',
+            '        cost(r) ← seek(pos, r) or head switch + rotational wait for r\'s sector at t',
+            { text: '    target ← r with the smallest cost (on a tie, the shorter seek)', rules: ['positioning', 'under-head'] },
+            '    move head to target; pos ← target',
+            '    t ← t + cost(target) + transfer time',
+            '    remove target from pending'
+        ];
+    }
+
+    /**
+     * Executes the SPTF algorithm. The platter angle depends on elapsed
+     * time, so this method already honors arrival times and records
+     * `this.timeline`. Each entry of `this.sequenceMeta` names the request
+     * served and carries the exact rotational delay of that move, its head
+     * switch time and any idle time before it.
+     * @returns {Array<number>} The sequence of disk positions visited.
+     */
+    execute() {
+        const sequence = this.initializeSequence(); // [initialPosition]
+        this.timeline = [0];
+        this.sequenceMeta = [undefined];
+
+        // Arrivals on the drive clock, which decides both arrivals and the platter angle
+        const unitMs = this.timingModel.getClockUnitMs();
+        let remaining = this.getRequestEntries().map(entry => ({ ...entry, arrivalMs: entry.arrival * unitMs }));
+        let currentPos = this.initialPosition;
+        let currentHead = 0;
+        let clock = 0; // Simulation clock (clock units), for the timeline
+        let elapsedMs = 0;
+        let idleMs = 0; // Drive time spent waiting before the next move
+
+        while (remaining.length > 0) {
+            const arrived = remaining.filter(entry => entry.arrivalMs <= elapsedMs);
+
+            // Nothing to do yet: idle until the next request arrives (the platter keeps turning)
+            if (arrived.length === 0) {
+                const nextArrivalMs = Math.min(...remaining.map(entry => entry.arrivalMs));
+                idleMs += nextArrivalMs - elapsedMs;
+                elapsedMs = nextArrivalMs;
+                continue;
+            }
+
+            // Pick the lowest seek + rotation; shorter seeks break ties
+            const options = arrived.map(entry => this.getPositioningTime(currentPos, currentHead, entry, elapsedMs));
+            const best = options.reduce((bestSoFar, candidate) => {
+                if (candidate.totalMs < bestSoFar.totalMs) return candidate;
+                if (candidate.totalMs === bestSoFar.totalMs && candidate.distance < bestSoFar.distance) return candidate;
+                return bestSoFar;
+            });
+            const decision = this.explainChoice(currentPos, best, options, arrived.map(entry => entry.track));
+
+            elapsedMs += best.totalMs + this.timingModel.transferTimeMs;
+            // The clock never runs behind the drive, so every request served has arrived by then
+            clock = Math.max(clock + best.distance, Math.ceil(elapsedMs / unitMs));
+            currentPos = best.track;
+            currentHead = best.head;
+
+            const positioning = (best.headSwitchMs > 0 ? `head switch ${best.headSwitchMs.toFixed(2)} ms` : `seek ${best.seekMs.toFixed(2)} ms`) +
+                ` + rotation ${best.rotationalMs.toFixed(2)} ms`;
+            sequence.push(best.track);
+            this.timeline.push(clock);
+            this.sequenceMeta.push({
+                request: best.request,
+                rotationalMs: best.rotationalMs,
+                headSwitchMs: best.headSwitchMs,
+                idleMs: idleMs,
+                note: idleMs > 0 ? `Idle ${idleMs.toFixed(2)} ms, then positioning: ${positioning}` : `Positioning: ${positioning}`,
+                decision: decision
+            });
+
+            remaining = remaining.filter(entry => entry.id !== best.request);
+            idleMs = 0;
+        }
+
+        return sequence;
+    }
+
+    /**
+     * The platter angle depends on the clock, so the timed run is the same as `execute()`.
+     * @returns {Array<number>} The sequence of disk positions visited.
+     */
+    executeWithArrivals() {
+        return this.execute();
+    }
+
+    /**
+     * Explains an SPTF choice. Candidates carry their positioning time,
+     * since that, not the distance, decides.
+     * @param {number} fromPos - The head position before the move.
+     * @param {object} best - The chosen entry from getPositioningTime().
+     * @param {Array<object>} options - getPositioningTime() for every arrived request.
+     * @param {Array<number>} arrived - The requests waiting to be served.
+     * @returns {object} A decision record. Its candidates name their request,
+     * since several may share a cylinder.
+     * @private
+     */
+    explainChoice(fromPos, best, options, arrived) {
+        const ms = (value) => `${value.toFixed(2)} ms`;
+        const positioning = best.headSwitchMs > 0 ? `head switch ${ms(best.headSwitchMs)}` : `seek ${ms(best.seekMs)}`;
+        let reason = `${best.track} can be reached soonest: ${positioning} + rotation ${ms(best.rotationalMs)} = ${ms(best.totalMs)}.`;
+
+        const nearest = options.reduce((a, b) => (b.distance < a.distance ? b : a));
+        if (nearest.track !== best.track) {
+            reason += ` The nearest request, ${nearest.track}, would take ${ms(nearest.totalMs)} because of the rotational wait.`;
+        }
+
+        const tied = options.filter(option => option !== best && option.totalMs === best.totalMs);
+        const tieBreak = tied.length > 0
+            ? `${tied.map(option => option.track).join(', ')} ${tied.length === 1 ? 'ties' : 'tie'} at ${ms(best.totalMs)}; the shorter seek goes first.`
+            : null;
+
+        return this.createDecision('positioning', fromPos, best.track, arrived, reason, {
+            tieBreak: tieBreak,
+            candidates: options.map(option => ({ track: option.track, distance: option.distance, request: option.request, timeMs: option.totalMs }))
+        });
+    }
+
+    /**
+     * Gets the platter's rotation as a fraction of a revolution [0, 1).
+     * Sector 0 is under the head at time 0.
+     * @param {number} timeMs - Drive time in milliseconds.
+     * @returns {number}
+     */
+    getPlatterPhase(timeMs) {
+        const rotationMs = this.timingModel.getRotationTimeMs();
+        return (timeMs % rotationMs) / rotationMs;
+    }
+
+    /**
+     * Gets the time needed to position the head over a request.
+     * @param {number} currentPos - The current head position (cylinder).
+     * @param {number} currentHead - The head (surface) that served the last request.
+     * @param {object} entry - The request (see AlgorithmBase.getRequestEntries()).
+     * @param {number} nowMs - The current drive time.
+     * @returns {{request: number, track: number, head: number, distance: number, seekMs: number,
+     * headSwitchMs: number, rotationalMs: number, totalMs: number}} `request` is the entry's id.
+     */
+    getPositioningTime(currentPos, currentHead, entry, nowMs) {
+        const distance = Math.abs(entry.track - currentPos);
+        const seekMs = this.timingModel.getSeekTimeMs(distance);
+        // Without a seek, reaching another surface still costs a head switch
+        const headSwitchMs = distance === 0 && entry.head !== currentHead ? this.timingModel.getHeadSwitchTimeMs() : 0;
+
+        // Once positioned, wait for the request's sector to come around
+        const sectorPhase = entry.sector / this.sectorsPerTrack;
+        const phaseWhenPositioned = this.getPlatterPhase(nowMs + seekMs + headSwitchMs);
+        const rotationFraction = ((sectorPhase - phaseWhenPositioned) % 1 + 1) % 1;
+        const rotationalMs = rotationFraction * this.timingModel.getRotationTimeMs();
+
+        return {
+            request: entry.id,
+            track: entry.track,
+            head: entry.head,
+            distance: distance,
+            seekMs: seekMs,
+            headSwitchMs: headSwitchMs,
+            rotationalMs: rotationalMs,
+            totalMs: seekMs + headSwitchMs + rotationalMs
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SPTF;
+}
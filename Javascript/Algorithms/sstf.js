@@ -22,6 +22,23 @@ class SSTF extends AlgorithmBase {
         return 'SSTF (Shortest Seek Time First): Always serves the request closest to the current head position. Efficient, but can cause starvation.';
     }
 
+    /**
+     * Gets the pseudocode shown in the Pseudocode panel. Lines tagged with
+     * decision rules are highlighted for moves made under that rule.
+     * @static
+     * @returns {Array<string|{text: string, rules: Array<string>}>}
+     */
+    static get pseudocode() {
+        return [
+            'pos ← initial head position',
+            'while pending is not empty:',
+            { text: '    target ← r in pending with the smallest |r − pos|', rules: ['closest', 'under-head'] },
+            '        (on a tie, the request earlier in the queue)',
+            '    move head to target; pos ← target',
+            '    remove target from pending'
+        ];
+    }
+
     /**
      * Executes the SSTF algorithm.
      * @returns {Array<number>} The sequence of disk positions visited.
@@ -48,6 +65,31 @@ class SSTF extends AlgorithmBase {
 
         return sequence;
     }
+
+    /**
+     * Explains an SSTF move: the closest pending request wins, and on a
+     * tie the one earlier in the queue (findClosestRequest keeps the first).
+     * @param {number} fromPos - The head position before the move.
+     * @param {number} target - The position moved to.
+     * @param {Array<number>} pending - The requests waiting, in queue order.
+     * @returns {object} A decision record.
+     */
+    explainMove(fromPos, target, pending) {
+        const distance = Math.abs(target - fromPos);
+        const others = pending.filter(req => req !== target);
+        const tied = others.filter(req => Math.abs(req - fromPos) === distance);
+        const runnerUp = this.findClosestRequest(fromPos, others.filter(req => !tied.includes(req)));
+
+        let reason = `${target} is the closest pending request (${distance} tracks from ${fromPos}).`;
+        if (runnerUp !== null) {
+            reason += ` The next closest is ${runnerUp} (${Math.abs(runnerUp - fromPos)} tracks).`;
+        }
+        const tieBreak = tied.length > 0
+            ? `${tied.join(', ')} ${tied.length === 1 ? 'is' : 'are'} also ${distance} tracks away; the request earlier in the queue goes first.`
+            : null;
+
+        return this.createDecision('closest', fromPos, target, pending, reason, { tieBreak });
+    }
 }
 
 // Export for use in other modules
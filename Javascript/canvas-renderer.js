@@ -9,7 +9,8 @@
 class CanvasRenderer {
     /**
      * Initializes the CanvasRenderer.
-     * @param {string} graphCanvasId - The ID of the graph <canvas> element.
+     * @param {string|HTMLCanvasElement} graphCanvasId - The ID of the graph <canvas> element,
+     * or the element itself (e.g. an off-screen canvas used for recording).
      * @param {StateManager} stateManager - An instance of the StateManager.
      */
     // --- MODIFICATION: Constructor arguments fixed ---
@@ -17,7 +18,7 @@ class CanvasRenderer {
         // --- END MODIFICATION ---
 
         // MODIFICATION: Only use graphCanvas. diskCanvas is ignored.
-        this.graphCanvas = document.getElementById(graphCanvasId);
+        this.graphCanvas = typeof graphCanvasId === 'string' ? document.getElementById(graphCanvasId) : graphCanvasId;
         if (!this.graphCanvas) {
             throw new Error(`Canvas with ID ${graphCanvasId} not found.`);
         }
@@ -34,9 +35,38 @@ class CanvasRenderer {
             text: '#000000', // Match theme
             gridLine: '#ecf0f1',
             lineLabelBg: 'rgba(255, 255, 255, 0.8)', // BG for seek distance
-            lineLabelText: '#e74c3c' // Red for seek distance
+            lineLabelText: '#e74c3c', // Red for seek distance
+            batchLine: '#95a5a6' // Grey for batch boundaries
         };
 
+        // Colors handed out to overlay traces, in order
+        this.overlayPalette = ['#e67e22', '#8e44ad', '#16a085', '#c0392b', '#2c3e50', '#d35400', '#27ae60'];
+
+        /** @type {string} Legend name of the main (state) trace. */
+        this.primaryTraceName = '';
+        /** @type {boolean} Whether the main (state) trace is drawn. */
+        this.primaryTraceVisible = true;
+        /** @type {Array<{name: string, color: string, steps: Array<object>, visible: boolean}>} Extra traces drawn on the same axes. */
+        this.overlayTraces = [];
+
+        /** @type {Array<object>} Points and segments drawn on the last render, for hit-testing. */
+        this.hitTargets = [];
+        /** @type {HTMLElement|null} The hover tooltip (created by initMouseTracking). */
+        this.tooltip = null;
+
+        /** @type {?{trackMin: number, trackMax: number, timeMin: number, timeMax: number}} Zoomed window (null = whole run). */
+        this.viewport = null;
+        /** @type {?Array<object>} The step list the viewport belongs to (a new run resets the zoom). */
+        this.viewportSteps = null;
+        /** @type {?{x: number, y: number, width: number, height: number}} The on-screen plot area. */
+        this.plotArea = null;
+        /** @type {?{x: number, y: number, width: number, height: number}} The on-screen minimap box, when shown. */
+        this.minimapRect = null;
+        /** @type {?object} The current mouse drag (pan, box zoom or minimap). */
+        this.drag = null;
+        /** @type {Map<string, Array<object>>} Reserved label boxes (see reserveLabel). */
+        this.labelGrid = new Map();
+
         // MODIFICATION: Removed all disk-related properties
     }
 
@@ -58,25 +88,45 @@ class CanvasRenderer {
         // Ensure canvas is sized correctly before drawing
         this.handleResize();
 
+        // A new run starts un-zoomed
+        if (this.viewportSteps !== this.state.allSteps) {
+            this.viewportSteps = this.state.allSteps;
+            this.viewport = null;
+        }
+
         this.clearCanvases();
         this.renderPositionTimeGraph(); // Renamed
     }
 
-    // --- All disk visualization functions have been REMOVED ---
-    // (renderDiskVisualization, drawDiskBar, drawGridLines, drawRequestDots,
-    // drawTraceLine, drawHeadPointer, drawAxisLabels, drawLegend, initMouseTracking)
+    /**
+     * Renders the Position vs. Time graph, at the current step, as an SVG document.
+     * @param {number} [width=this.graphCanvas.width] - SVG width in pixels.
+     * @param {number} [height=this.graphCanvas.height] - SVG height in pixels.
+     * @returns {string} The SVG markup.
+     */
+    toSVG(width = this.graphCanvas.width, height = this.graphCanvas.height) {
+        const svg = new SvgContext(width, height, this.graphCtx);
+        this.renderPositionTimeGraph(svg, width, height);
+        return svg.toString();
+    }
+
+    // --- The disk bar view (drawDiskBar, drawRequestDots, drawHeadPointer)
+    // now lives in DiskBarRenderer, on its own canvas above the graph ---
 
 
     /**
      * Renders the complete Position vs. Time graph.
+     * Drawing goes through whatever context is passed in, so the same code
+     * paints the canvas, an SvgContext or a PDF's vector context.
      * @private
+     * @param {CanvasRenderingContext2D} [ctx=this.graphCtx] - The context to draw on.
+     * @param {number} [canvasWidth=this.graphCanvas.width] - Drawing width.
+     * @param {number} [canvasHeight=this.graphCanvas.height] - Drawing height.
      */
-    renderPositionTimeGraph() {
-        const ctx = this.graphCtx;
-
+    renderPositionTimeGraph(ctx = this.graphCtx, canvasWidth = this.graphCanvas.width, canvasHeight = this.graphCanvas.height) {
         // Use the full canvas size, adjusted for padding
-        const width = this.graphCanvas.width - 2 * this.graphPadding;
-        const height = this.graphCanvas.height - 2 * this.graphPadding;
+        const width = canvasWidth - 2 * this.graphPadding;
+        const height = canvasHeight - 2 * this.graphPadding;
         const x = this.graphPadding;
         const y = this.graphPadding;
 
@@ -85,7 +135,15 @@ class CanvasRenderer {
 
         // Draw background
         ctx.fillStyle = this.colors.background;
-        ctx.fillRect(0, 0, this.graphCanvas.width, this.graphCanvas.height);
+        ctx.fillRect(0, 0, canvasWidth, canvasHeight);
+
+        // Only the on-screen graph is hit-tested (not SVG/PDF/recording contexts)
+        const onScreen = ctx === this.graphCtx;
+        if (onScreen) {
+            this.hitTargets = [];
+            this.plotArea = { x, y, width, height };
+            this.minimapRect = null;
+        }
 
         // Draw grid
         this.drawPositionTimeGrid(ctx, x, y, width, height);
@@ -94,11 +152,33 @@ class CanvasRenderer {
         this.drawPositionTimeAxes(ctx, x, y, width, height);
 
         // Draw data line (zigzag pattern going down)
-        // This function now also draws the labels
+        // This function now also draws the labels. When zoomed in,
+        // the data is clipped to the plot area.
+        const zoomed = this.isZoomed();
+        if (zoomed) {
+            ctx.save();
+            ctx.beginPath();
+            ctx.rect(x, y, width, height);
+            ctx.clip();
+        }
         this.drawPositionTimeDataLine(ctx, x, y, width, height);
+        if (zoomed) {
+            ctx.restore();
+        }
 
         // Draw axis labels
         this.drawPositionTimeLabels(ctx, x, y, width, height);
+
+        // Draw the legend when several traces share the axes
+        this.drawTraceLegend(ctx, x, y, width, height);
+
+        // On screen, a minimap shows where the zoomed window is
+        if (onScreen && zoomed) {
+            this.drawMinimap(ctx, x, y, width, height);
+        }
+        if (onScreen && this.drag && this.drag.mode === 'box') {
+            this.drawSelectionBox(ctx);
+        }
     }
 
     /**
@@ -159,22 +239,26 @@ class CanvasRenderer {
      * @param {number} y - The y-coordinate.
      * @param {string|number} label - The text label to draw.
      * @param {boolean} isHead - If this is the current head position.
+     * @param {number} [radius=6] - Dot radius (the head's dot is always 8).
      */
-    drawGraphPoint(ctx, x, y, label, isHead = false) {
+    drawGraphPoint(ctx, x, y, label, isHead = false, radius = 6) {
         // Draw dot
         ctx.fillStyle = isHead ? this.colors.head : this.colors.pending;
         ctx.beginPath();
-        ctx.arc(x, y, isHead ? 8 : 6, 0, Math.PI * 2); // Make head dot larger
+        ctx.arc(x, y, isHead ? 8 : radius, 0, Math.PI * 2); // Make head dot larger
         ctx.fill();
 
         // Draw outline
         ctx.strokeStyle = this.colors.border;
-        ctx.lineWidth = 2; // Match theme
+        ctx.lineWidth = radius < 4 && !isHead ? 1 : 2; // Match theme
         ctx.stroke();
 
-        // Draw label text
-        ctx.fillStyle = this.colors.text;
+        // Draw label text, unless it would overlap one already drawn
         ctx.font = 'bold 12px Arial';
+        const textWidth = ctx.measureText(String(label)).width;
+        if (!this.reserveLabel('point', x - textWidth / 2, y - 26, textWidth, 14, isHead)) return;
+
+        ctx.fillStyle = this.colors.text;
         ctx.textAlign = 'center';
         ctx.textBaseline = 'bottom';
         ctx.fillText(label, x, y - 12); // 12px above the dot
@@ -196,8 +280,11 @@ class CanvasRenderer {
         ctx.textAlign = 'center';
         ctx.textBaseline = 'middle';
 
-        // Add a small white background for readability
+        // Skip the label if it would overlap one already drawn
         const textWidth = ctx.measureText(labelText).width;
+        if (!this.reserveLabel('seek', x - textWidth / 2 - 2, y - 8, textWidth + 4, 16)) return;
+
+        // Add a small white background for readability
         ctx.fillStyle = this.colors.lineLabelBg;
         ctx.fillRect(x - textWidth / 2 - 2, y - 8, textWidth + 4, 16);
 
@@ -206,6 +293,237 @@ class CanvasRenderer {
         ctx.fillText(labelText, x, y);
     }
 
+    // --- Label thinning ---
+
+    /**
+     * Forgets every reserved label box. Called before each graph is drawn.
+     * @private
+     */
+    resetLabels() {
+        /** @type {Map<string, Array<object>>} Reserved label boxes, bucketed by grid cell. */
+        this.labelGrid = new Map();
+    }
+
+    /**
+     * Reserves space for a label if it does not collide with one already drawn.
+     * This is what thins labels out when the graph is zoomed out on a large trace.
+     * Track labels and seek labels are thinned separately, so a sparse graph
+     * keeps every label even where a seek label touches a track label.
+     * @private
+     * @param {string} layer - 'point' or 'seek'.
+     * @param {number} x - Box left.
+     * @param {number} y - Box top.
+     * @param {number} width - Box width.
+     * @param {number} height - Box height.
+     * @param {boolean} [force=false] - Reserve even on a collision (e.g. the head's label).
+     * @returns {boolean} Whether the label should be drawn.
+     */
+    reserveLabel(layer, x, y, width, height, force = false) {
+        const cellSize = 40;
+        const box = { x, y, width, height };
+        const cells = [];
+        for (let cx = Math.floor(x / cellSize); cx <= Math.floor((x + width) / cellSize); cx++) {
+            for (let cy = Math.floor(y / cellSize); cy <= Math.floor((y + height) / cellSize); cy++) {
+                cells.push(`${layer}:${cx},${cy}`);
+            }
+        }
+
+        const overlaps = (other) => box.x < other.x + other.width && other.x < box.x + box.width &&
+            box.y < other.y + other.height && other.y < box.y + box.height;
+        if (!force && cells.some(cell => (this.labelGrid.get(cell) || []).some(overlaps))) {
+            return false;
+        }
+
+        for (const cell of cells) {
+            if (!this.labelGrid.has(cell)) this.labelGrid.set(cell, []);
+            this.labelGrid.get(cell).push(box);
+        }
+        return true;
+    }
+
+    // --- Overlay traces ---
+
+    /**
+     * Adds (or replaces) a trace drawn on the same axes as the main trace.
+     * @param {string} name - The legend name, also used as the trace key.
+     * @param {Array<object>} steps - Step objects, as produced by StateManager.convertSequenceToSteps.
+     * @param {string} [color] - The trace color. Defaults to the next palette color.
+     */
+    addOverlayTrace(name, steps, color = null) {
+        const existing = this.overlayTraces.find(trace => trace.name === name);
+        if (existing) {
+            existing.steps = steps;
+            return;
+        }
+
+        this.overlayTraces.push({
+            name: name,
+            color: color || this.overlayPalette[this.overlayTraces.length % this.overlayPalette.length],
+            steps: steps,
+            visible: true
+        });
+    }
+
+    /**
+     * Removes an overlay trace.
+     * @param {string} name - The trace name.
+     */
+    removeOverlayTrace(name) {
+        this.overlayTraces = this.overlayTraces.filter(trace => trace.name !== name);
+    }
+
+    /**
+     * Removes every overlay trace.
+     */
+    clearOverlayTraces() {
+        this.overlayTraces = [];
+    }
+
+    /**
+     * Shows or hides a trace. The main trace uses `primaryTraceName`.
+     * @param {string} name - The trace name.
+     * @param {boolean} visible
+     */
+    setTraceVisible(name, visible) {
+        if (name === this.primaryTraceName) {
+            this.primaryTraceVisible = visible;
+            return;
+        }
+        const trace = this.overlayTraces.find(t => t.name === name);
+        if (trace) {
+            trace.visible = visible;
+        }
+    }
+
+    /**
+     * Gets the number of steps on the time axis. All visible traces
+     * share one axis, so this is the longest of them.
+     * @returns {number} The total step count (at least 1).
+     */
+    getTimelineLength() {
+        let longest = this.state.allSteps.length;
+        for (const trace of this.overlayTraces) {
+            if (trace.visible) {
+                longest = Math.max(longest, trace.steps.length);
+            }
+        }
+        return longest > 1 ? longest - 1 : 1;
+    }
+
+    /**
+     * Draws one overlay trace up to the current step.
+     * Overlays get small unlabeled dots so the main trace stays readable.
+     * @private
+     */
+    drawOverlayTrace(ctx, trace, x, y, width, height) {
+        // Once the main trace is finished, show every overlay in full
+        const lastIndex = this.state.isComplete()
+            ? trace.steps.length - 1
+            : Math.min(this.state.currentStepIndex, trace.steps.length - 1);
+
+        const toPoint = (i) => ({
+            px: this.projectX(trace.steps[i].headPosition, x, width),
+            py: this.projectY(i, y, height)
+        });
+
+        ctx.strokeStyle = trace.color;
+        ctx.fillStyle = trace.color;
+        ctx.lineWidth = 2;
+
+        // Only the visible time window is drawn
+        const view = this.getViewport();
+        const first = Math.max(0, Math.floor(view.timeMin));
+        const last = Math.min(lastIndex, Math.ceil(view.timeMax));
+        for (let i = first; i <= last; i++) {
+            const { px, py } = toPoint(i);
+
+            if (i > 0) {
+                const prev = toPoint(i - 1);
+                ctx.setLineDash(trace.steps[i].moveType === 'wrap' ? [5, 5] : []);
+                ctx.beginPath();
+                ctx.moveTo(prev.px, prev.py);
+                ctx.lineTo(px, py);
+                ctx.stroke();
+                ctx.setLineDash([]);
+            }
+
+            ctx.beginPath();
+            ctx.arc(px, py, 4, 0, Math.PI * 2);
+            ctx.fill();
+        }
+    }
+
+    /**
+     * Draws the legend in the bottom-right corner of the plot area.
+     * Only drawn when there is more than one trace to tell apart.
+     * @private
+     */
+    drawTraceLegend(ctx, x, y, width, height) {
+        const entries = [];
+        if (this.primaryTraceVisible) {
+            entries.push({ name: this.primaryTraceName, color: this.colors.pending });
+        }
+        for (const trace of this.overlayTraces) {
+            if (trace.visible) entries.push(trace);
+        }
+        if (entries.length < 2) return;
+
+        const rowHeight = 18;
+        const boxWidth = 120;
+        const boxHeight = entries.length * rowHeight + 8;
+        const boxX = x + width - boxWidth - 8;
+        const boxY = y + height - boxHeight - 8;
+
+        ctx.fillStyle = this.colors.lineLabelBg;
+        ctx.strokeStyle = this.colors.border;
+        ctx.lineWidth = 2;
+        ctx.fillRect(boxX, boxY, boxWidth, boxHeight);
+        ctx.strokeRect(boxX, boxY, boxWidth, boxHeight);
+
+        ctx.font = 'bold 11px Arial';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'middle';
+
+        entries.forEach((entry, i) => {
+            const rowY = boxY + 4 + rowHeight * i + rowHeight / 2;
+            ctx.strokeStyle = entry.color;
+            ctx.lineWidth = 3;
+            ctx.beginPath();
+            ctx.moveTo(boxX + 8, rowY);
+            ctx.lineTo(boxX + 28, rowY);
+            ctx.stroke();
+
+            ctx.fillStyle = this.colors.text;
+            ctx.fillText(entry.name.toUpperCase(), boxX + 34, rowY);
+        });
+    }
+
+    /**
+     * Draws a horizontal marker where a new batch of requests starts.
+     * @private
+     * @param {CanvasRenderingContext2D} ctx - The canvas context.
+     * @param {number} x - The left edge of the plot area.
+     * @param {number} y - The y-coordinate of the boundary.
+     * @param {number} width - The width of the plot area.
+     * @param {number} batch - The number of the batch that starts here.
+     */
+    drawBatchBoundary(ctx, x, y, width, batch) {
+        ctx.strokeStyle = this.colors.batchLine;
+        ctx.lineWidth = 1;
+        ctx.setLineDash([2, 4]);
+        ctx.beginPath();
+        ctx.moveTo(x, y);
+        ctx.lineTo(x + width, y);
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        ctx.fillStyle = this.colors.batchLine;
+        ctx.font = 'bold 10px Arial';
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'bottom';
+        ctx.fillText(`Batch ${batch}`, x + width - 4, y - 2);
+    }
+
     /**
      * MODIFICATION: Rewritten to draw all labels and distances.
      * Draws the data line on the Position vs. Time graph.
@@ -214,69 +532,122 @@ class CanvasRenderer {
     drawPositionTimeDataLine(ctx, x, y, width, height) {
         if (this.state.allSteps.length === 0) return;
 
-        const totalSteps = this.state.allSteps.length > 1 ? this.state.allSteps.length - 1 : 1;
-        const maxTrack = this.state.maxTrackNumber > 0 ? this.state.maxTrackNumber : 1;
+        this.resetLabels();
+
+        // Overlays go underneath so the labeled main trace stays on top
+        for (const trace of this.overlayTraces) {
+            if (trace.visible) {
+                this.drawOverlayTrace(ctx, trace, x, y, width, height);
+            }
+        }
+
+        if (!this.primaryTraceVisible) return;
 
-        // --- 1. Draw the trace line (REMOVED) ---
-        // We now draw segments one-by-one in the loop below.
+        const steps = this.state.allSteps;
+        const view = this.getViewport();
+        const recordHits = ctx === this.graphCtx;
+        const toPoint = (i) => ({
+            px: this.projectX(steps[i].headPosition, x, width),
+            py: this.projectY(i, y, height)
+        });
 
-        // --- 2. Draw dots and labels (so they are on top) ---
+        // Only the steps inside the visible time window are drawn, so large
+        // traces stay fast when zoomed in.
+        const lastIndex = Math.min(this.state.currentStepIndex, steps.length - 1);
+        const first = Math.max(0, Math.floor(view.timeMin));
+        const last = Math.min(lastIndex, Math.ceil(view.timeMax));
 
-        // Draw first point (Step 0)
-        const firstStep = this.state.allSteps[0];
-        const firstX = x + (firstStep.headPosition / maxTrack) * width;
-        const firstY = y; // Time = 0
-        const isHead = this.state.currentStepIndex === 0;
-        this.drawGraphPoint(ctx, firstX, firstY, firstStep.headPosition, isHead);
+        // During playback the head is part of the way into the next move
+        const progress = this.state.stepProgress;
+        const moving = progress > 0 && lastIndex + 1 < steps.length;
+        const headPoint = () => {
+            const from = toPoint(lastIndex);
+            if (!moving) return from;
+            const to = toPoint(lastIndex + 1);
+            return { px: from.px + (to.px - from.px) * progress, py: from.py + (to.py - from.py) * progress };
+        };
+        const headLabel = moving ? Math.round(this.state.currentHeadPosition) : steps[lastIndex].headPosition;
 
-        // Draw all subsequent points and line labels
-        for (let i = 1; i <= this.state.currentStepIndex && i < this.state.allSteps.length; i++) {
-            const prevStep = this.state.allSteps[i - 1];
-            const step = this.state.allSteps[i];
+        // Dots shrink when rows get too close to tell apart
+        const rowHeight = height / Math.max(view.timeMax - view.timeMin, 1);
+        const radius = Math.max(2, Math.min(6, rowHeight / 2 - 1));
 
-            const prevX = x + (prevStep.headPosition / maxTrack) * width;
-            const prevY = y + ((i - 1) / totalSteps) * height;
-            const xPos = x + (step.headPosition / maxTrack) * width;
-            const yPos = y + (i / totalSteps) * height;
+        // --- 1. Batch boundaries and line segments ---
+        for (let i = Math.max(1, first); i <= last; i++) {
+            const step = steps[i];
+            const prev = toPoint(i - 1);
+            const cur = toPoint(i);
 
-            // --- START MODIFICATION ---
+            // Mark where a new batch starts (N-Step SCAN / FSCAN)
+            if (step.batchStart && step.batch > 1) {
+                this.drawBatchBoundary(ctx, x, prev.py, width, step.batch);
+            }
 
-            // A. Set line style based on moveType
+            // Set line style based on moveType
             ctx.strokeStyle = this.colors.pending;
             ctx.lineWidth = 2;
+            ctx.setLineDash(step.moveType === 'wrap' ? [5, 5] : []); // Dotted line: 5px line, 5px gap
 
-            if (step.moveType === 'wrap') {
-                ctx.setLineDash([5, 5]); // Dotted line: 5px line, 5px gap
-            } else {
-                ctx.setLineDash([]); // Solid line
-            }
-            
-            // B. Draw the line segment
             ctx.beginPath();
-            ctx.moveTo(prevX, prevY);
-            ctx.lineTo(xPos, yPos);
+            ctx.moveTo(prev.px, prev.py);
+            ctx.lineTo(cur.px, cur.py);
             ctx.stroke();
 
-            // C. Reset line dash *immediately*
-            // This prevents point outlines from being dotted
+            // Reset line dash *immediately* so point outlines are not dotted
             ctx.setLineDash([]);
 
-            // --- END MODIFICATION ---
+            if (recordHits) {
+                this.hitTargets.push({ type: 'segment', stepIndex: i, x1: prev.px, y1: prev.py, x2: cur.px, y2: cur.py });
+            }
+        }
 
-            // Draw the point (dot + label)
-            const isCurrentHead = this.state.currentStepIndex === i;
-            this.drawGraphPoint(ctx, xPos, yPos, step.headPosition, isCurrentHead);
+        // The part of the current move covered so far
+        const headVisible = lastIndex + (moving ? 1 : 0) >= first && lastIndex <= last;
+        if (moving && headVisible) {
+            const from = toPoint(lastIndex);
+            const head = headPoint();
+            ctx.strokeStyle = this.colors.pending;
+            ctx.lineWidth = 2;
+            ctx.setLineDash(steps[lastIndex + 1].moveType === 'wrap' ? [5, 5] : []);
+            ctx.beginPath();
+            ctx.moveTo(from.px, from.py);
+            ctx.lineTo(head.px, head.py);
+            ctx.stroke();
+            ctx.setLineDash([]);
+        }
 
-            // Draw the line label (seek distance)
-            const midX = (prevX + xPos) / 2;
-            const midY = (prevY + yPos) / 2;
+        // --- 2. Dots (so they are on top) ---
+        if (headVisible) {
+            // Claim the head's label space before any other label
+            const { px, py } = headPoint();
+            ctx.font = 'bold 12px Arial';
+            const textWidth = ctx.measureText(String(headLabel)).width;
+            this.reserveLabel('point', px - textWidth / 2, py - 26, textWidth, 14, true);
+        }
 
-            // --- START MODIFICATION ---
-            // Don't draw a seek distance label for a wrap move
-            
-            this.drawGraphLineLabel(ctx, midX, midY, step.seekDistance);
+        for (let i = first; i <= last; i++) {
+            if (i === lastIndex && !moving) continue; // The head is drawn last
+            const { px, py } = toPoint(i);
+            this.drawGraphPoint(ctx, px, py, steps[i].headPosition, false, radius);
+            if (recordHits) {
+                this.hitTargets.push({ type: 'point', stepIndex: i, x: px, y: py });
+            }
+        }
 
-            // --- END MODIFICATION ---
+        // The current head goes on top and always keeps its label
+        if (headVisible) {
+            const { px, py } = headPoint();
+            this.drawGraphPoint(ctx, px, py, headLabel, lastIndex === this.state.currentStepIndex, radius);
+            if (recordHits && !moving) {
+                this.hitTargets.push({ type: 'point', stepIndex: lastIndex, x: px, y: py });
+            }
+        }
+
+        // --- 3. Seek distance labels, where they fit ---
+        for (let i = Math.max(1, first); i <= last; i++) {
+            const prev = toPoint(i - 1);
+            const cur = toPoint(i);
+            this.drawGraphLineLabel(ctx, (prev.px + cur.px) / 2, (prev.py + cur.py) / 2, steps[i].seekDistance);
         }
     }
 
@@ -287,7 +658,7 @@ class CanvasRenderer {
     drawPositionTimeLabels(ctx, x, y, width, height) {
         ctx.fillStyle = this.colors.text;
         ctx.font = 'bold 12px Arial'; // Match theme
-        const maxTrack = this.state.maxTrackNumber > 0 ? this.state.maxTrackNumber : 1;
+        const view = this.getViewport();
 
         // X-axis label (position - horizontal)
         ctx.textAlign = 'center';
@@ -311,7 +682,7 @@ class CanvasRenderer {
         const positionIntervals = 10;
         for (let i = 0; i <= positionIntervals; i++) {
             const xPos = x + (width / positionIntervals) * i;
-            const posValue = Math.round((i / positionIntervals) * maxTrack);
+            const posValue = Math.round(view.trackMin + (i / positionIntervals) * (view.trackMax - view.trackMin));
             ctx.fillText(posValue, xPos, y - 8); // Position above top axis
         }
         // --- END MODIFICATION ---
@@ -319,12 +690,12 @@ class CanvasRenderer {
         // --- MODIFICATION: Y-axis labels at 10 intervals ---
         ctx.textAlign = 'right';
         ctx.textBaseline = 'middle';
-        const totalSteps = this.state.allSteps.length > 1 ? this.state.allSteps.length - 1 : 1;
+        const totalSteps = view.timeMax - view.timeMin;
         const timeIntervals = 10;
         for (let i = 0; i <= timeIntervals; i++) {
             const yPos = y + (height / timeIntervals) * i; // top-to-bottom
             // Don't draw 0 again if totalSteps is 0
-            const stepValue = (totalSteps === 0) ? 0 : Math.round((i / timeIntervals) * totalSteps);
+            const stepValue = (totalSteps === 0) ? 0 : Math.round(view.timeMin + (i / timeIntervals) * totalSteps);
             if (i === 0 && totalSteps === 0) {
                 ctx.fillText('0', x - 8, yPos);
             } else if (i > 0) {
@@ -334,6 +705,502 @@ class CanvasRenderer {
         // --- END MODIFICATION ---
     }
 
+    // --- Zoom and pan ---
+
+    /**
+     * Gets the data range of the whole run: every track and every step.
+     * @returns {{trackMin: number, trackMax: number, timeMin: number, timeMax: number}}
+     */
+    getFullExtent() {
+        return {
+            trackMin: 0,
+            trackMax: this.state.maxTrackNumber > 0 ? this.state.maxTrackNumber : 1,
+            timeMin: 0,
+            timeMax: this.getTimelineLength()
+        };
+    }
+
+    /**
+     * Gets the visible data range (the whole run unless zoomed).
+     * @returns {{trackMin: number, trackMax: number, timeMin: number, timeMax: number}}
+     */
+    getViewport() {
+        return this.viewport || this.getFullExtent();
+    }
+
+    /**
+     * Whether the graph is zoomed in.
+     * @returns {boolean}
+     */
+    isZoomed() {
+        return this.viewport !== null;
+    }
+
+    /**
+     * Maps a track number to an x-coordinate in the plot area.
+     * @param {number} track - Track number.
+     * @param {number} x - Plot area left.
+     * @param {number} width - Plot area width.
+     * @returns {number}
+     */
+    projectX(track, x, width) {
+        const view = this.getViewport();
+        return x + ((track - view.trackMin) / (view.trackMax - view.trackMin)) * width;
+    }
+
+    /**
+     * Maps a step index (time) to a y-coordinate in the plot area.
+     * @param {number} time - Step index.
+     * @param {number} y - Plot area top.
+     * @param {number} height - Plot area height.
+     * @returns {number}
+     */
+    projectY(time, y, height) {
+        const view = this.getViewport();
+        return y + ((time - view.timeMin) / (view.timeMax - view.timeMin)) * height;
+    }
+
+    /**
+     * Sets the zoomed window, kept inside the run and no smaller than a few
+     * tracks/steps. A window covering the whole run turns zoom off.
+     * @param {{trackMin: number, trackMax: number, timeMin: number, timeMax: number}} view
+     */
+    setViewport(view) {
+        const full = this.getFullExtent();
+        const clampRange = (min, max, fullMin, fullMax, minSpan) => {
+            const span = Math.min(Math.max(max - min, minSpan), fullMax - fullMin);
+            const start = Math.max(fullMin, Math.min(min, fullMax - span));
+            return [start, start + span];
+        };
+
+        const [trackMin, trackMax] = clampRange(view.trackMin, view.trackMax, full.trackMin, full.trackMax, Math.min(4, full.trackMax));
+        const [timeMin, timeMax] = clampRange(view.timeMin, view.timeMax, full.timeMin, full.timeMax, Math.min(2, full.timeMax));
+
+        const isFull = trackMin <= full.trackMin && trackMax >= full.trackMax && timeMin <= full.timeMin && timeMax >= full.timeMax;
+        this.viewport = isFull ? null : { trackMin, trackMax, timeMin, timeMax };
+        this.viewportSteps = this.state.allSteps;
+    }
+
+    /**
+     * Zooms around a canvas position.
+     * @param {number} canvasX - Canvas x-coordinate to keep in place.
+     * @param {number} canvasY - Canvas y-coordinate to keep in place.
+     * @param {number} factorX - Track range multiplier (< 1 zooms in).
+     * @param {number} factorY - Time range multiplier (< 1 zooms in).
+     */
+    zoomAt(canvasX, canvasY, factorX, factorY) {
+        if (!this.plotArea) return;
+        const view = this.getViewport();
+        const { track, time } = this.toDataPoint(canvasX, canvasY);
+
+        this.setViewport({
+            trackMin: track - (track - view.trackMin) * factorX,
+            trackMax: track + (view.trackMax - track) * factorX,
+            timeMin: time - (time - view.timeMin) * factorY,
+            timeMax: time + (view.timeMax - time) * factorY
+        });
+    }
+
+    /**
+     * Resets the zoom to show the whole run.
+     */
+    resetZoom() {
+        this.viewport = null;
+    }
+
+    /**
+     * Converts a canvas position to data coordinates (track, step).
+     * @private
+     * @param {number} canvasX
+     * @param {number} canvasY
+     * @returns {{track: number, time: number}}
+     */
+    toDataPoint(canvasX, canvasY) {
+        const { x, y, width, height } = this.plotArea;
+        const view = this.getViewport();
+        const fx = Math.max(0, Math.min(1, (canvasX - x) / width));
+        const fy = Math.max(0, Math.min(1, (canvasY - y) / height));
+        return {
+            track: view.trackMin + fx * (view.trackMax - view.trackMin),
+            time: view.timeMin + fy * (view.timeMax - view.timeMin)
+        };
+    }
+
+    /**
+     * Draws a thumbnail of the whole run with the zoomed window outlined.
+     * @private
+     */
+    drawMinimap(ctx, x, y, width, height) {
+        const boxWidth = 160;
+        const boxHeight = 100;
+        const box = { x: x + width - boxWidth - 8, y: y + 8, width: boxWidth, height: boxHeight };
+        this.minimapRect = box;
+
+        const full = this.getFullExtent();
+        const toMini = (track, time) => ({
+            px: box.x + ((track - full.trackMin) / (full.trackMax - full.trackMin)) * box.width,
+            py: box.y + ((time - full.timeMin) / (full.timeMax - full.timeMin)) * box.height
+        });
+
+        ctx.fillStyle = this.colors.lineLabelBg;
+        ctx.strokeStyle = this.colors.border;
+        ctx.lineWidth = 2;
+        ctx.fillRect(box.x, box.y, box.width, box.height);
+        ctx.strokeRect(box.x, box.y, box.width, box.height);
+
+        // The trace so far, thinned to about two points per pixel row
+        const steps = this.state.allSteps;
+        const lastIndex = Math.min(this.state.currentStepIndex, steps.length - 1);
+        const stride = Math.max(1, Math.ceil(lastIndex / (box.height * 2)));
+        ctx.strokeStyle = this.colors.pending;
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        for (let i = 0; i <= lastIndex; i += stride) {
+            const { px, py } = toMini(steps[i].headPosition, i);
+            if (i === 0) ctx.moveTo(px, py); else ctx.lineTo(px, py);
+        }
+        if (lastIndex > 0) {
+            const { px, py } = toMini(steps[lastIndex].headPosition, lastIndex);
+            ctx.lineTo(px, py);
+        }
+        ctx.stroke();
+
+        // The visible window
+        const view = this.getViewport();
+        const topLeft = toMini(view.trackMin, view.timeMin);
+        const bottomRight = toMini(view.trackMax, view.timeMax);
+        ctx.strokeStyle = this.colors.head;
+        ctx.lineWidth = 2;
+        ctx.strokeRect(topLeft.px, topLeft.py, Math.max(2, bottomRight.px - topLeft.px), Math.max(2, bottomRight.py - topLeft.py));
+    }
+
+    /**
+     * Centers the zoomed window on a point of the minimap.
+     * @private
+     * @param {number} canvasX
+     * @param {number} canvasY
+     */
+    centerOnMinimapPoint(canvasX, canvasY) {
+        const box = this.minimapRect;
+        const full = this.getFullExtent();
+        const view = this.getViewport();
+        const track = full.trackMin + ((canvasX - box.x) / box.width) * (full.trackMax - full.trackMin);
+        const time = full.timeMin + ((canvasY - box.y) / box.height) * (full.timeMax - full.timeMin);
+        const halfTracks = (view.trackMax - view.trackMin) / 2;
+        const halfTime = (view.timeMax - view.timeMin) / 2;
+
+        this.setViewport({
+            trackMin: track - halfTracks,
+            trackMax: track + halfTracks,
+            timeMin: time - halfTime,
+            timeMax: time + halfTime
+        });
+    }
+
+    /**
+     * Draws the rubber band of a Shift+drag box zoom.
+     * @private
+     */
+    drawSelectionBox(ctx) {
+        const { startX, startY, currentX, currentY } = this.drag;
+        ctx.strokeStyle = this.colors.head;
+        ctx.lineWidth = 1;
+        ctx.setLineDash([4, 4]);
+        ctx.strokeRect(Math.min(startX, currentX), Math.min(startY, currentY),
+            Math.abs(currentX - startX), Math.abs(currentY - startY));
+        ctx.setLineDash([]);
+    }
+
+    /**
+     * Whether a canvas position is inside a box.
+     * @private
+     * @static
+     * @returns {boolean}
+     */
+    static isInside(px, py, box) {
+        return box !== null && px >= box.x && px <= box.x + box.width && py >= box.y && py <= box.y + box.height;
+    }
+
+    // --- Mouse interaction (tooltips, click-to-jump, zoom and pan) ---
+
+    /**
+     * Sets up hover tooltips and click-to-jump on the graph's points, plus
+     * zoom and pan: the wheel zooms (Shift: tracks only, Alt: time only),
+     * dragging pans, Shift+drag zooms to a box, the minimap recenters and
+     * a double-click zooms back out.
+     * @param {function(number): void} onStepClick - Called with the step index of a clicked point.
+     */
+    initMouseTracking(onStepClick) {
+        const container = this.graphCanvas.parentElement;
+        this.tooltip = document.createElement('div');
+        this.tooltip.className = 'graph-tooltip';
+        this.tooltip.style.display = 'none';
+        container.appendChild(this.tooltip);
+
+        /** @type {boolean} Set by a drag so the click that ends it does not jump. */
+        this.dragMoved = false;
+
+        this.graphCanvas.addEventListener('wheel', (e) => this.handleWheel(e), { passive: false });
+        this.graphCanvas.addEventListener('mousedown', (e) => this.handleMouseDown(e));
+        this.graphCanvas.addEventListener('mousemove', (e) => this.handleMouseMove(e));
+        this.graphCanvas.addEventListener('mouseleave', () => this.hideTooltip());
+        window.addEventListener('mouseup', () => this.handleMouseUp()); // Ends drags released outside the canvas
+        this.graphCanvas.addEventListener('dblclick', () => {
+            this.resetZoom();
+            this.render();
+        });
+        this.graphCanvas.addEventListener('click', (e) => {
+            if (this.dragMoved) {
+                this.dragMoved = false;
+                return;
+            }
+            const target = this.hitTest(...this.getCanvasPoint(e));
+            if (target && target.type === 'point') {
+                this.hideTooltip();
+                onStepClick(target.stepIndex);
+            }
+        });
+    }
+
+    /**
+     * Converts a mouse event to canvas pixel coordinates.
+     * @private
+     * @param {MouseEvent} event
+     * @returns {Array<number>} [x, y]
+     */
+    getCanvasPoint(event) {
+        const rect = this.graphCanvas.getBoundingClientRect();
+        return [
+            (event.clientX - rect.left) * (this.graphCanvas.width / rect.width),
+            (event.clientY - rect.top) * (this.graphCanvas.height / rect.height)
+        ];
+    }
+
+    /**
+     * Finds the point or segment under a canvas position.
+     * Points win over segments, and the nearest point wins.
+     * @param {number} x - Canvas x-coordinate.
+     * @param {number} y - Canvas y-coordinate.
+     * @returns {object|null} The hit target, or null.
+     */
+    hitTest(x, y) {
+        const pointRadius = 10;
+        const segmentTolerance = 5;
+
+        let best = null;
+        let bestDistance = Infinity;
+        for (const target of this.hitTargets) {
+            if (target.type !== 'point') continue;
+            const distance = Math.hypot(target.x - x, target.y - y);
+            if (distance <= pointRadius && distance < bestDistance) {
+                best = target;
+                bestDistance = distance;
+            }
+        }
+        if (best) return best;
+
+        for (const target of this.hitTargets) {
+            if (target.type !== 'segment') continue;
+            if (CanvasRenderer.distanceToSegment(x, y, target) <= segmentTolerance) {
+                return target;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Distance from a point to a line segment.
+     * @private
+     * @static
+     * @returns {number}
+     */
+    static distanceToSegment(x, y, { x1, y1, x2, y2 }) {
+        const dx = x2 - x1;
+        const dy = y2 - y1;
+        const lengthSquared = dx * dx + dy * dy;
+        const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, ((x - x1) * dx + (y - y1) * dy) / lengthSquared));
+        return Math.hypot(x - (x1 + t * dx), y - (y1 + t * dy));
+    }
+
+    /**
+     * Describes a step for the tooltip.
+     * @param {number} stepIndex - The step index.
+     * @returns {Array<string>} One line per fact.
+     */
+    describeStep(stepIndex) {
+        const step = this.state.allSteps[stepIndex];
+        const prevStep = stepIndex > 0 ? this.state.allSteps[stepIndex - 1] : null;
+        const newlyServiced = prevStep ? step.servicedQueue.slice(prevStep.servicedQueue.length) : [];
+
+        let serviced;
+        if (!prevStep) {
+            serviced = 'Start position';
+        } else if (newlyServiced.length > 0) {
+            serviced = `Serviced: ${newlyServiced.join(', ')}`;
+        } else {
+            serviced = step.moveType === 'wrap' ? 'Wrap-around (no request serviced)' : 'No request serviced';
+        }
+
+        return [
+            `Step ${step.step}`,
+            `Track: ${step.headPosition}`,
+            `Seek Distance: ${step.seekDistance}`,
+            `Total Movement: ${step.totalHeadMovement}`,
+            serviced
+        ];
+    }
+
+    /**
+     * Zooms around the mouse on a wheel turn over the plot area.
+     * @private
+     * @param {WheelEvent} event
+     */
+    handleWheel(event) {
+        const [canvasX, canvasY] = this.getCanvasPoint(event);
+        if (!CanvasRenderer.isInside(canvasX, canvasY, this.plotArea)) return;
+        event.preventDefault();
+
+        // Some browsers turn Shift+wheel into a horizontal scroll
+        const delta = event.deltaY || event.deltaX;
+        const factor = delta < 0 ? 0.8 : 1.25;
+        this.zoomAt(canvasX, canvasY, event.altKey ? 1 : factor, event.shiftKey ? 1 : factor);
+        this.hideTooltip();
+        this.render();
+    }
+
+    /**
+     * Starts a pan, box zoom (Shift) or minimap drag.
+     * @private
+     * @param {MouseEvent} event
+     */
+    handleMouseDown(event) {
+        if (event.button !== 0) return;
+        const [canvasX, canvasY] = this.getCanvasPoint(event);
+
+        if (CanvasRenderer.isInside(canvasX, canvasY, this.minimapRect)) {
+            this.drag = { mode: 'minimap' };
+            this.dragMoved = true; // Never a click-to-jump
+            this.centerOnMinimapPoint(canvasX, canvasY);
+            this.render();
+            return;
+        }
+        if (!CanvasRenderer.isInside(canvasX, canvasY, this.plotArea)) return;
+
+        event.preventDefault(); // No text selection while dragging
+        this.dragMoved = false;
+        this.drag = {
+            mode: event.shiftKey ? 'box' : 'pan',
+            startX: canvasX,
+            startY: canvasY,
+            currentX: canvasX,
+            currentY: canvasY,
+            startView: this.getViewport()
+        };
+    }
+
+    /**
+     * Updates the drag in progress.
+     * @private
+     * @param {number} canvasX
+     * @param {number} canvasY
+     */
+    handleDrag(canvasX, canvasY) {
+        const drag = this.drag;
+        if (drag.mode === 'minimap') {
+            this.centerOnMinimapPoint(canvasX, canvasY);
+            this.render();
+            return;
+        }
+
+        if (Math.hypot(canvasX - drag.startX, canvasY - drag.startY) > 3) {
+            this.dragMoved = true;
+        }
+        if (!this.dragMoved) return;
+
+        drag.currentX = canvasX;
+        drag.currentY = canvasY;
+        this.hideTooltip();
+
+        if (drag.mode === 'pan') {
+            const view = drag.startView;
+            const trackShift = -((canvasX - drag.startX) / this.plotArea.width) * (view.trackMax - view.trackMin);
+            const timeShift = -((canvasY - drag.startY) / this.plotArea.height) * (view.timeMax - view.timeMin);
+            this.setViewport({
+                trackMin: view.trackMin + trackShift,
+                trackMax: view.trackMax + trackShift,
+                timeMin: view.timeMin + timeShift,
+                timeMax: view.timeMax + timeShift
+            });
+            this.graphCanvas.style.cursor = 'grabbing';
+        }
+        this.render();
+    }
+
+    /**
+     * Ends a drag. A finished box zoom zooms to the box.
+     * @private
+     */
+    handleMouseUp() {
+        const drag = this.drag;
+        if (!drag) return;
+        this.drag = null;
+
+        if (drag.mode === 'box' && this.dragMoved) {
+            const a = this.toDataPoint(drag.startX, drag.startY);
+            const b = this.toDataPoint(drag.currentX, drag.currentY);
+            this.setViewport({
+                trackMin: Math.min(a.track, b.track),
+                trackMax: Math.max(a.track, b.track),
+                timeMin: Math.min(a.time, b.time),
+                timeMax: Math.max(a.time, b.time)
+            });
+        }
+        this.graphCanvas.style.cursor = 'default';
+        this.render();
+    }
+
+    /**
+     * Updates a drag, or shows/hides the tooltip for the position under the mouse.
+     * @private
+     * @param {MouseEvent} event
+     */
+    handleMouseMove(event) {
+        if (this.drag) {
+            this.handleDrag(...this.getCanvasPoint(event));
+            return;
+        }
+
+        const target = this.hitTest(...this.getCanvasPoint(event));
+        this.graphCanvas.style.cursor = target && target.type === 'point' ? 'pointer' : 'default';
+        if (!target) {
+            this.hideTooltip();
+            return;
+        }
+
+        const lines = this.describeStep(target.stepIndex);
+        if (target.type === 'segment') {
+            lines[0] = `Move to Step ${target.stepIndex}`;
+        }
+        this.tooltip.innerHTML = lines.map(line => `<div>${line}</div>`).join('');
+
+        // Position next to the mouse, inside the graph container
+        const containerRect = this.graphCanvas.parentElement.getBoundingClientRect();
+        this.tooltip.style.left = `${event.clientX - containerRect.left + 12}px`;
+        this.tooltip.style.top = `${event.clientY - containerRect.top + 12}px`;
+        this.tooltip.style.display = 'block';
+    }
+
+    /**
+     * Hides the tooltip.
+     * @private
+     */
+    hideTooltip() {
+        if (this.tooltip) {
+            this.tooltip.style.display = 'none';
+        }
+        this.graphCanvas.style.cursor = 'default';
+    }
+
     /**
      * MODIFICATION: This function is no longer needed
      * but the controller still calls it.
@@ -0,0 +1,295 @@
+/* =====================================================
+ * JS/COMPARISON-VIEW.JS - SIDE-BY-SIDE ALGORITHM COMPARISON
+ * -----------------------------------------------------
+ * Runs every registered algorithm on the same workload.
+ * Each algorithm gets its own StateManager (so the main
+ * simulation is never touched) and its own small graph.
+ * The view shows a ranked results table and plays all
+ * graphs back in lock-step from a shared step index.
+ * ===================================================== */
+
+class ComparisonView {
+    /**
+     * Initializes the ComparisonView.
+     * @param {Controller} controller - The main application controller.
+     */
+    constructor(controller) {
+        this.controller = controller;
+
+        /** @type {Array<object>} One entry per algorithm: { name, state, renderer, summary, error }. */
+        this.results = [];
+        /** @type {number} The shared step index all graphs are synchronized to. */
+        this.currentStepIndex = 0;
+        /** @type {number|null} The playback interval ID. */
+        this.animationInterval = null;
+
+        // Element cache
+        this.ui = {};
+    }
+
+    /**
+     * Caches UI elements and sets up event listeners.
+     */
+    init() {
+        this.ui.panel = document.getElementById('comparison-panel');
+        this.ui.compareBtn = document.getElementById('compareAllBtn');
+        this.ui.closeBtn = document.getElementById('closeComparisonBtn');
+        this.ui.playPauseBtn = document.getElementById('comparePlayPauseBtn');
+        this.ui.stepBackwardBtn = document.getElementById('compareStepBackwardBtn');
+        this.ui.stepForwardBtn = document.getElementById('compareStepForwardBtn');
+        this.ui.resetBtn = document.getElementById('compareResetBtn');
+        this.ui.tableBody = document.getElementById('comparisonTableBody');
+        this.ui.optimalHeader = document.getElementById('comparisonOptimalHeader');
+        this.ui.graphs = document.getElementById('comparisonGraphs');
+        this.ui.stepDisplay = document.getElementById('compareStepDisplay');
+
+        this.ui.compareBtn.addEventListener('click', () => this.handleCompareAll());
+        this.ui.closeBtn.addEventListener('click', () => this.close());
+        this.ui.playPauseBtn.addEventListener('click', () => this.toggleRunPause());
+        this.ui.stepBackwardBtn.addEventListener('click', () => this.handleStep(-1));
+        this.ui.stepForwardBtn.addEventListener('click', () => this.handleStep(1));
+        this.ui.resetBtn.addEventListener('click', () => this.handleReset());
+
+        // A custom algorithm that was still running fires a change on the algorithm
+        // select when it finishes (see CustomAlgorithmPanel); compare again to rank it
+        document.getElementById('algorithmSelect').addEventListener('change', () => {
+            if (this.ui.panel.style.display === 'flex' && this.results.some(result => result.error)) {
+                this.handleCompareAll();
+            }
+        });
+    }
+
+    /**
+     * Handles the "Compare All Algorithms" button click.
+     * Validates the DOM inputs, runs every algorithm and opens the panel.
+     */
+    handleCompareAll() {
+        try {
+            this.stopAnimation();
+
+            const params = this.controller.getParametersFromDOM();
+
+            // Validate through a throw-away StateManager so the main
+            // simulation state is not reset by a comparison run.
+            const probe = new StateManager();
+            probe.initializeWithParams(params);
+            const validation = probe.validateParameters();
+            if (!validation.valid) {
+                this.controller.showError('Error: ' + validation.errors.join('\n'));
+                return;
+            }
+
+            this.results = this.runAll(params);
+            this.currentStepIndex = 0;
+
+            this.ui.panel.style.display = 'flex';
+            this.renderTable();
+            this.buildGraphs();
+            this.syncToStep(0);
+
+        } catch (error) {
+            this.controller.showError('Error: ' + error.message);
+        }
+    }
+
+    /**
+     * Runs every registered algorithm on the same parameters.
+     * @param {object} params - Parameters in the shape returned by Controller.getParametersFromDOM().
+     * @returns {Array<object>} Results sorted by total head movement (best first), followed by
+     * the algorithms whose run failed or is still going. Those have an `error` and are not ranked.
+     */
+    runAll(params) {
+        const results = [];
+
+        for (const [name, AlgorithmClass] of this.controller.algorithms) {
+            const state = new StateManager();
+            state.initializeWithParams({ ...params, algorithm: name });
+            state.generateSequence(AlgorithmClass);
+
+            results.push({
+                name: name,
+                state: state,
+                renderer: null, // Created in buildGraphs()
+                summary: state.getExportData(),
+                error: state.lastError
+            });
+        }
+
+        // Rank: least total movement first, fewer seeks breaks ties. A failed run
+        // has no moves, so it goes last instead of looking like the best
+        results.sort((a, b) =>
+            (Boolean(a.error) - Boolean(b.error)) ||
+            (a.summary.totalHeadMovement - b.summary.totalHeadMovement) ||
+            (a.summary.seeksCount - b.summary.seeksCount)
+        );
+
+        return results;
+    }
+
+    /**
+     * Fills the ranked results table.
+     * @private
+     */
+    renderTable() {
+        // Every run has the same workload, so the same kind of optimum
+        this.ui.optimalHeader.textContent = StateManager.describeOptimal(this.results[0]?.summary.optimalIsStaticBound ?? false).label;
+
+        // Built with textContent: a failed run's message can come from a custom algorithm
+        this.ui.tableBody.replaceChildren(...this.results.map((result, index) => {
+            const row = document.createElement('tr');
+            const addCell = (text) => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
+                return cell;
+            };
+
+            if (result.error) {
+                row.className = 'unranked';
+                addCell('-');
+                addCell(result.name.toUpperCase());
+                addCell(`Not ranked: ${result.error}`).colSpan = 8;
+                return row;
+            }
+
+            if (index === 0) row.className = 'best';
+            const { summary } = result;
+            [
+                index + 1,
+                result.name.toUpperCase(),
+                summary.totalHeadMovement,
+                summary.seeksCount,
+                summary.averageSeekTime,
+                summary.totalElapsedMs,
+                `+${summary.percentAboveOptimal}%`,
+                summary.requestMetrics.meanWait.toFixed(2),
+                summary.requestMetrics.maxWait.toFixed(2),
+                summary.requestMetrics.starvedCount
+            ].forEach(addCell);
+            return row;
+        }));
+    }
+
+    /**
+     * Creates one small canvas + renderer per algorithm.
+     * @private
+     */
+    buildGraphs() {
+        this.ui.graphs.innerHTML = this.results.map((result, index) => `
+            <div class="comparison-graph">
+                <h4>${result.error ? 'Not ranked:' : '#' + (index + 1)} ${result.name.toUpperCase()}</h4>
+                <div class="comparison-canvas-wrap">
+                    <canvas id="compareCanvas-${result.name}" class="graph-canvas"></canvas>
+                </div>
+            </div>`
+        ).join('');
+
+        for (const result of this.results) {
+            result.renderer = new CanvasRenderer(`compareCanvas-${result.name}`, result.state);
+            result.renderer.graphPadding = 40; // Tighter padding for the small graphs
+        }
+    }
+
+    /**
+     * Gets the largest step count across all results.
+     * @returns {number}
+     */
+    getMaxStepIndex() {
+        return this.results.reduce((max, result) => Math.max(max, result.state.allSteps.length - 1), 0);
+    }
+
+    /**
+     * Moves every graph to the shared step index and redraws.
+     * Algorithms that finish early stay on their final step.
+     * @param {number} stepIndex - The shared step index.
+     */
+    syncToStep(stepIndex) {
+        this.currentStepIndex = Math.max(0, Math.min(stepIndex, this.getMaxStepIndex()));
+
+        for (const result of this.results) {
+            result.state.jumpToStep(this.currentStepIndex);
+            result.renderer.render();
+        }
+
+        this.ui.stepDisplay.textContent = `Step: ${this.currentStepIndex} / ${this.getMaxStepIndex()}`;
+    }
+
+    /**
+     * Toggles synchronized playback.
+     */
+    toggleRunPause() {
+        if (this.animationInterval) {
+            this.stopAnimation();
+            return;
+        }
+
+        // Replay from the start if already at the end
+        if (this.currentStepIndex >= this.getMaxStepIndex()) {
+            this.syncToStep(0);
+        }
+        this.startAnimation();
+    }
+
+    /**
+     * Starts the `setInterval` playback loop at the main animation speed.
+     * @private
+     */
+    startAnimation() {
+        this.ui.playPauseBtn.innerHTML = '<span class="btn-text">Pause</span>';
+        this.ui.playPauseBtn.classList.add('active');
+
+        this.animationInterval = setInterval(() => {
+            if (this.currentStepIndex >= this.getMaxStepIndex()) {
+                this.stopAnimation();
+                this.ui.playPauseBtn.innerHTML = '<span class="btn-text">Replay</span>';
+            } else {
+                this.syncToStep(this.currentStepIndex + 1);
+            }
+        }, this.controller.state.getAnimationDelay());
+    }
+
+    /**
+     * Clears the playback loop.
+     * @private
+     */
+    stopAnimation() {
+        if (this.animationInterval) {
+            clearInterval(this.animationInterval);
+            this.animationInterval = null;
+        }
+        if (this.ui.playPauseBtn) {
+            this.ui.playPauseBtn.innerHTML = '<span class="btn-text">Play</span>';
+            this.ui.playPauseBtn.classList.remove('active');
+        }
+    }
+
+    /**
+     * Handles the step forward/backward buttons.
+     * @param {number} delta - +1 or -1.
+     */
+    handleStep(delta) {
+        this.stopAnimation();
+        this.syncToStep(this.currentStepIndex + delta);
+    }
+
+    /**
+     * Handles the reset button. Jumps all graphs back to Step 0.
+     */
+    handleReset() {
+        this.stopAnimation();
+        this.syncToStep(0);
+    }
+
+    /**
+     * Hides the comparison panel and stops playback.
+     */
+    close() {
+        this.stopAnimation();
+        this.ui.panel.style.display = 'none';
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ComparisonView;
+}
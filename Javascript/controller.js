@@ -19,8 +19,19 @@ class Controller {
     constructor(stateManager, canvasRenderer, showSimulationView, showConfigView) {
         this.state = stateManager;
         this.renderer = canvasRenderer;
+        /** @type {Array<{render: function}>} Extra views redrawn with the graph (e.g., the platter view). */
+        this.views = [];
         this.algorithms = new Map();
-        this.animationInterval = null;
+        this.animationFrame = null;
+
+        /** @type {Set<string>} Algorithms overlaid on the main graph. */
+        this.overlayAlgorithms = new Set();
+        /** @type {Map<string, string>} Overlaid algorithms whose run failed -> the error message. */
+        this.overlayErrors = new Map();
+        /** @type {?object} The request metrics the metrics table was built from. */
+        this.shownMetrics = null;
+        /** @type {{steps: ?Array<object>, count: number}} The run and number of steps the step log shows. */
+        this.shownLog = { steps: null, count: 0 };
         
         // UI View-Switching Functions (passed from main.js)
         this.showSimulationView = showSimulationView;
@@ -34,9 +45,30 @@ class Controller {
      * Stores an algorithm class in the algorithms Map.
      * @param {string} name - The shorthand name of the algorithm (e.g., "fcfs").
      * @param {class} AlgorithmClass - The class constructor for the algorithm.
+     * @param {?string} [label=null] - If given, the algorithm is also added to (or relabelled in)
+     * #algorithmSelect. For algorithms registered after the page has loaded.
      */
-    registerAlgorithm(name, AlgorithmClass) {
+    registerAlgorithm(name, AlgorithmClass, label = null) {
         this.algorithms.set(name, AlgorithmClass);
+        if (label === null) return;
+
+        const select = document.getElementById('algorithmSelect');
+        let option = [...select.options].find(opt => opt.value === name);
+        if (!option) {
+            option = document.createElement('option');
+            option.value = name;
+            select.appendChild(option);
+        }
+        option.textContent = label;
+        this.updateTraceToggles();
+    }
+
+    /**
+     * Adds a view that is redrawn whenever the graph is.
+     * @param {{render: function}} view - Any renderer with a render() method.
+     */
+    addView(view) {
+        this.views.push(view);
     }
 
     /**
@@ -49,8 +81,19 @@ class Controller {
         this.ui.stepBackwardBtn = document.getElementById('stepBackwardBtn');
         this.ui.resetBtn = document.getElementById('resetBtn');
         this.ui.exportBtn = document.getElementById('exportBtn');
+        this.ui.exportJsonBtn = document.getElementById('exportJsonBtn');
+        this.ui.exportCsvBtn = document.getElementById('exportCsvBtn');
+        this.ui.exportSvgBtn = document.getElementById('exportSvgBtn');
+        this.ui.exportLatexBtn = document.getElementById('exportLatexBtn');
+        this.ui.pdfVectorGraph = document.getElementById('pdfVectorGraph');
+        this.ui.loadRunBtn = document.getElementById('loadRunBtn');
+        this.ui.shareLinkBtn = document.getElementById('shareLinkBtn');
+        this.ui.shareLinkStatus = document.getElementById('shareLinkStatus');
+        this.ui.runFileInput = document.getElementById('runFileInput');
         this.ui.algorithmSelect = document.getElementById('algorithmSelect');
         this.ui.speedSlider = document.getElementById('speedSlider');
+        this.ui.animationTiming = document.getElementById('animationTiming');
+        this.ui.traceToggleList = document.getElementById('traceToggleList');
 
         // Setup event listeners for the SIMULATION PANEL
         this.setupEventListeners();
@@ -66,7 +109,16 @@ class Controller {
         this.ui.stepBackwardBtn.addEventListener('click', () => this.handleStepBackward());
         this.ui.resetBtn.addEventListener('click', () => this.handleResetAnimation());
         this.ui.exportBtn.addEventListener('click', () => this.handleExport());
+        this.ui.exportJsonBtn.addEventListener('click', () => this.handleExportJSON());
+        this.ui.exportCsvBtn.addEventListener('click', () => this.handleExportCSV());
+        this.ui.exportSvgBtn.addEventListener('click', () => this.handleExportSVG());
+        this.ui.exportLatexBtn.addEventListener('click', () => this.handleExportLatex());
+        this.ui.loadRunBtn.addEventListener('click', () => this.ui.runFileInput.click());
+        this.ui.runFileInput.addEventListener('change', (e) => this.handleImportRun(e));
+        this.ui.shareLinkBtn.addEventListener('click', () => this.handleShareLink());
         this.ui.speedSlider.addEventListener('input', (e) => this.handleSpeedChange(e));
+        this.ui.animationTiming.addEventListener('change', (e) => this.state.setAnimationTiming(e.target.value));
+        this.ui.traceToggleList.addEventListener('change', (e) => this.handleTraceToggle(e));
     }
 
     /**
@@ -113,7 +165,7 @@ class Controller {
 
     /**
      * Generates the full animation sequence based on DOM inputs.
-     * @returns {boolean} True if simulation was generated, false if validation failed.
+     * @returns {boolean} True if simulation was generated, false if validation or the algorithm failed.
      */
     generateSimulation() {
         try {
@@ -139,11 +191,21 @@ class Controller {
 
             // 4. Generate sequence
             this.state.generateSequence(AlgorithmClass);
+
+            // 4b. Recompute overlay traces for the new parameters
+            this.refreshOverlayTraces();
             
             // 5. Update UI
             this.updateAllUI(); 
             this.updateAlgorithmDescription();
             this.updateInitialQueue(); // Populate the initial queue box
+            this.updateTraceToggles();
+
+            // 6. A failed run is left at Step 0, so say why rather than show an empty run
+            if (this.state.lastError) {
+                this.showError('Error: ' + this.state.lastError);
+                return false;
+            }
 
             return true; // Indicate success
 
@@ -164,8 +226,199 @@ class Controller {
             initialHeadPosition: document.getElementById('initialHeadPosition').value,
             maxTrackNumber: document.getElementById('maxTrackNumber').value,
             requestQueue: document.getElementById('requestQueue').value,
-            direction: document.querySelector('input[name="direction"]:checked').value
+            direction: document.querySelector('input[name="direction"]:checked').value,
+            batchSize: document.getElementById('batchSize').value,
+            readExpire: document.getElementById('readExpire').value,
+            writeExpire: document.getElementById('writeExpire').value,
+            starvationThreshold: document.getElementById('starvationThreshold').value,
+            headsCount: document.getElementById('driveHeads').value,
+            sectorsPerTrack: document.getElementById('driveSectors').value,
+            timing: {
+                rpm: document.getElementById('driveRpm').value,
+                settleTimeMs: document.getElementById('driveSettleTime').value,
+                sqrtFactorMs: document.getElementById('driveSqrtFactor').value,
+                linearFactorMs: document.getElementById('driveLinearFactor').value,
+                transferTimeMs: document.getElementById('driveTransferTime').value
+            }
+        };
+    }
+
+    /**
+     * Writes parameters back into the configuration inputs.
+     * The inverse of getParametersFromDOM(); no input events are fired,
+     * so the current simulation is not regenerated.
+     * @param {object} params - Parameters in the shape returned by StateManager.getParameters().
+     */
+    setParametersInDOM(params) {
+        const setValue = (id, value) => {
+            const el = document.getElementById(id);
+            if (el && value !== undefined && value !== null) el.value = value;
         };
+
+        setValue('algorithmSelect', params.algorithm);
+        setValue('initialHeadPosition', params.initialHeadPosition);
+        setValue('maxTrackNumber', params.maxTrackNumber);
+        setValue('requestQueue', params.requestQueue);
+        setValue('batchSize', params.batchSize);
+        setValue('readExpire', params.readExpire);
+        setValue('writeExpire', params.writeExpire);
+        setValue('starvationThreshold', params.starvationThreshold);
+        setValue('driveHeads', params.headsCount);
+        setValue('driveSectors', params.sectorsPerTrack);
+        if (params.timing) {
+            setValue('driveRpm', params.timing.rpm);
+            setValue('driveSettleTime', params.timing.settleTimeMs);
+            setValue('driveSqrtFactor', params.timing.sqrtFactorMs);
+            setValue('driveLinearFactor', params.timing.linearFactorMs);
+            setValue('driveTransferTime', params.timing.transferTimeMs);
+        }
+
+        if (params.direction === 'low' || params.direction === 'high') {
+            document.querySelector(`input[name="direction"][value="${params.direction}"]`).checked = true;
+        }
+
+        this.updateOptionVisibility();
+    }
+
+    /**
+     * Writes a saved configuration into the inputs and runs it like an edit would.
+     * The select's change event runs the page's input handler, which also starts
+     * the custom algorithms' runs and saves the session. A configuration naming an
+     * algorithm this page does not have (e.g. a custom one from another visit)
+     * runs with FCFS instead, with an error saying so.
+     * @param {object} params - Parameters in the shape of StateManager.getParameters().
+     * @param {string} source - Where the configuration came from, for the error (e.g. "scenario").
+     * @returns {boolean} True if the configuration's own algorithm was selected.
+     */
+    loadParameters(params, source) {
+        const algorithm = params.algorithm;
+        const known = this.algorithms.has(algorithm);
+        this.setParametersInDOM(known ? params : { ...params, algorithm: 'fcfs' });
+        this.ui.algorithmSelect.dispatchEvent(new Event('change'));
+
+        if (!known) {
+            this.showError(`Error: The ${source}'s algorithm "${algorithm}" is not available, so FCFS is selected instead.`);
+        }
+        return known;
+    }
+
+    /**
+     * Shows only the option groups the selected algorithm uses
+     * (direction, N-Step batch size, Deadline expiry times).
+     */
+    updateOptionVisibility() {
+        const algorithm = document.getElementById('algorithmSelect').value;
+        const AlgorithmClass = this.algorithms.get(algorithm);
+
+        // Each algorithm class says whether it takes a direction (AlgorithmBase.usesDirection)
+        document.getElementById('directionGroup').style.display = AlgorithmClass?.usesDirection ? 'flex' : 'none';
+
+        // Only N-Step SCAN takes a batch size
+        document.getElementById('batchSizeGroup').style.display = algorithm === 'nstepscan' ? 'flex' : 'none';
+
+        // Only Deadline takes expiry times
+        document.getElementById('deadlineGroup').style.display = algorithm === 'deadline' ? 'flex' : 'none';
+    }
+
+    /**
+     * Runs another algorithm on the current parameters without
+     * touching the main simulation state.
+     * @param {string} name - The registered algorithm name.
+     * @returns {?Array<object>} The algorithm's step objects, or null if its run failed
+     * (the error is kept in overlayErrors).
+     * @private
+     */
+    buildTraceSteps(name) {
+        const traceState = new StateManager();
+        traceState.initializeWithParams({ ...this.getParametersFromDOM(), algorithm: name });
+        traceState.generateSequence(this.algorithms.get(name));
+
+        if (traceState.lastError) {
+            this.overlayErrors.set(name, traceState.lastError);
+            return null;
+        }
+        this.overlayErrors.delete(name);
+        return traceState.allSteps;
+    }
+
+    /**
+     * Gets a stable overlay color for an algorithm, based on its registration order.
+     * @param {string} name - The registered algorithm name.
+     * @returns {string} A CSS color.
+     * @private
+     */
+    getTraceColor(name) {
+        const index = [...this.algorithms.keys()].indexOf(name);
+        const palette = this.renderer.overlayPalette;
+        return palette[index % palette.length];
+    }
+
+    /**
+     * Rebuilds every selected overlay trace from the current parameters.
+     * @private
+     */
+    refreshOverlayTraces() {
+        this.renderer.clearOverlayTraces();
+        this.renderer.primaryTraceName = this.state.algorithm;
+        this.overlayErrors.clear();
+
+        for (const name of this.overlayAlgorithms) {
+            // The main trace is never drawn twice
+            if (name === this.state.algorithm || !this.algorithms.has(name)) continue;
+            const steps = this.buildTraceSteps(name);
+            if (steps) this.renderer.addOverlayTrace(name, steps, this.getTraceColor(name));
+        }
+    }
+
+    /**
+     * Populates the "Overlay Traces" checkbox list.
+     */
+    updateTraceToggles() {
+        if (!this.ui.traceToggleList) return;
+
+        this.ui.traceToggleList.innerHTML = [...this.algorithms.keys()].map(name => {
+            const isPrimary = name === this.state.algorithm;
+            const checked = isPrimary ? this.renderer.primaryTraceVisible : this.overlayAlgorithms.has(name);
+            const color = isPrimary ? this.renderer.colors.pending : this.getTraceColor(name);
+            return `
+                <label class="radio-label trace-toggle">
+                    <input type="checkbox" value="${name}" ${checked ? 'checked' : ''}>
+                    <span class="trace-swatch" style="background-color: ${color};"></span>
+                    ${name.toUpperCase()}${isPrimary ? ' (current)' : ''}
+                </label>`;
+        }).join('');
+
+        // Overlays that could not be drawn, with the reason (as text: it may come from a custom algorithm)
+        for (const [name, message] of this.overlayErrors) {
+            const note = document.createElement('p');
+            note.className = 'trace-error';
+            note.textContent = `${name.toUpperCase()} is not drawn: ${message}`;
+            this.ui.traceToggleList.append(note);
+        }
+    }
+
+    /**
+     * Handles a change on one of the "Overlay Traces" checkboxes.
+     * @param {Event} event - The change event (delegated from the list).
+     */
+    handleTraceToggle(event) {
+        const name = event.target.value;
+        const checked = event.target.checked;
+
+        if (name === this.state.algorithm) {
+            this.renderer.setTraceVisible(name, checked);
+        } else if (checked) {
+            this.overlayAlgorithms.add(name);
+            const steps = this.buildTraceSteps(name);
+            if (steps) this.renderer.addOverlayTrace(name, steps, this.getTraceColor(name));
+        } else {
+            this.overlayAlgorithms.delete(name);
+            this.overlayErrors.delete(name);
+            this.renderer.removeOverlayTrace(name);
+        }
+
+        this.updateTraceToggles();
+        this.renderer.render();
     }
 
     /**
@@ -196,38 +449,76 @@ class Controller {
     }
 
     /**
-     * Starts the `setInterval` animation loop.
+     * Starts the `requestAnimationFrame` animation loop.
+     * The head glides along each move, taking StateManager.getStepDuration().
      * @private
      */
     startAnimation() {
-        if (this.animationInterval) {
-            clearInterval(this.animationInterval);
+        if (this.animationFrame) {
+            cancelAnimationFrame(this.animationFrame);
         }
-        
-        const delay = this.state.getAnimationDelay();
 
-        this.animationInterval = setInterval(() => {
-            if (!this.state.nextStep()) {
+        let lastTime = null;
+        const frame = (now) => {
+            // Cap the frame time so a hidden tab does not skip ahead on return
+            const elapsed = lastTime === null ? 0 : Math.min(now - lastTime, 250);
+            lastTime = now;
+
+            if (this.advanceAnimation(elapsed)) {
+                this.animationFrame = requestAnimationFrame(frame);
+            } else {
                 // --- Animation finished ---
                 this.stopAnimation();
-                this.state.pause();
                 this.ui.playPauseBtn.innerHTML = '<span class="btn-text">Replay</span>';
                 this.ui.playPauseBtn.classList.remove('active');
-            } else {
-                 // Normal step
-                 this.updateAllUI(); // Update stats, queues, and render canvas
             }
-        }, delay);
+        };
+        this.animationFrame = requestAnimationFrame(frame);
+    }
+
+    /**
+     * Moves the playback forward by a frame's worth of time.
+     * Time left over after reaching a step carries into the next move, so
+     * short moves at high speed are not stretched to one frame each.
+     * @private
+     * @param {number} elapsedMs - Wall-clock time since the last frame.
+     * @returns {boolean} False once the final step has been reached.
+     */
+    advanceAnimation(elapsedMs) {
+        const state = this.state;
+        let time = state.stepProgress * state.getStepDuration(state.currentStepIndex + 1) + elapsedMs;
+        let stepped = false;
+
+        while (!state.isComplete()) {
+            const duration = state.getStepDuration(state.currentStepIndex + 1);
+            if (time < duration) {
+                state.setStepProgress(time / duration);
+                break;
+            }
+            time -= duration;
+            state.nextStep();
+            stepped = true;
+        }
+
+        if (stepped) {
+            this.updateAllUI(); // Queues, metrics and log only change per step
+        } else {
+            this.updateStatistics();
+            this.renderer.render();
+            this.views.forEach(view => view.render());
+        }
+        return !state.isComplete();
     }
 
     /**
-     * Clears the `setInterval` animation loop.
+     * Cancels the `requestAnimationFrame` animation loop.
+     * A paused move keeps its progress, so Play resumes mid-move.
      * @private
      */
     stopAnimation() {
-        if (this.animationInterval) {
-            clearInterval(this.animationInterval);
-            this.animationInterval = null;
+        if (this.animationFrame) {
+            cancelAnimationFrame(this.animationFrame);
+            this.animationFrame = null;
         }
         this.state.pause(); // Ensure state knows it's paused
     }
@@ -258,6 +549,19 @@ class Controller {
         }
     }
 
+    /**
+     * Handles a click on a graph point. Jumps to that step.
+     * @param {number} stepIndex - The clicked point's step index.
+     */
+    handleJumpToStep(stepIndex) {
+        this.stopAnimation();
+        this.ui.playPauseBtn.innerHTML = '<span class="btn-text">Play</span>';
+        this.ui.playPauseBtn.classList.remove('active');
+
+        this.state.jumpToStep(stepIndex);
+        this.updateAllUI();
+    }
+
     /**
      * Handles the "Reset Anim" button click. Resets animation to Step 0.
      */
@@ -286,7 +590,7 @@ class Controller {
         const speed = parseInt(event.target.value);
         this.state.setAnimationSpeed(speed);
         
-        // If currently animating, restart interval with new speed
+        // If currently animating, restart the loop with the new speed
         if (this.state.isRunning) {
             this.startAnimation();
         }
@@ -329,6 +633,150 @@ class Controller {
     }
 
 
+    /**
+     * Handles the "Export JSON" button click.
+     * Saves the complete export data, which "Load Saved Run" can restore.
+     */
+    handleExportJSON() {
+        try {
+            const exportData = this.state.getExportData();
+            this.downloadFile(`disk-scheduling-${exportData.algorithm}.json`, RunFile.toJSON(exportData), 'application/json');
+        } catch (error) {
+            this.showError('Error: ' + error.message);
+        }
+    }
+
+    /**
+     * Handles the "Export CSV" button click. Saves one row per step.
+     */
+    handleExportCSV() {
+        try {
+            this.downloadFile(`disk-scheduling-${this.state.algorithm}.csv`, RunFile.toCSV(this.state.allSteps), 'text/csv');
+        } catch (error) {
+            this.showError('Error: ' + error.message);
+        }
+    }
+
+    /**
+     * Handles the "Export SVG" button click.
+     * Saves the Position vs. Time graph, at the current step, as a vector image.
+     */
+    handleExportSVG() {
+        try {
+            this.downloadFile(`disk-scheduling-${this.state.algorithm}.svg`, this.renderer.toSVG(), 'image/svg+xml');
+        } catch (error) {
+            this.showError('Error: ' + error.message);
+        }
+    }
+
+    /**
+     * Handles the "Export LaTeX" button click.
+     * Saves a standalone document with the graph, trace table and parameters.
+     */
+    handleExportLatex() {
+        try {
+            const exportData = this.state.getExportData();
+            this.downloadFile(`disk-scheduling-${exportData.algorithm}.tex`, LatexExport.toLatex(exportData), 'application/x-tex');
+        } catch (error) {
+            this.showError('Error: ' + error.message);
+        }
+    }
+
+    /**
+     * Handles a file chosen with "Load Saved Run".
+     * Restores the saved steps and parameters, then opens the simulation view.
+     * @param {Event} event - The file input's change event.
+     */
+    async handleImportRun(event) {
+        const file = event.target.files[0];
+        event.target.value = ''; // Allow loading the same file again
+        if (!file) return;
+
+        try {
+            this.stopAnimation();
+            const data = RunFile.parseJSON(await file.text());
+
+            this.state.loadExportData(data);
+            this.setParametersInDOM(this.state.getParameters());
+
+            this.refreshOverlayTraces();
+            this.updateAllUI();
+            this.updateAlgorithmDescription();
+            this.updateInitialQueue();
+            this.updateTraceToggles();
+            this.showSimulationView();
+        } catch (error) {
+            this.showError('Error: ' + error.message);
+        }
+    }
+
+    /**
+     * Handles the "Copy Share Link" button click.
+     * Puts the configuration, speed and current step into the URL hash
+     * and copies the resulting URL to the clipboard.
+     */
+    async handleShareLink() {
+        const hash = Permalink.encode(this.state.getParameters(), {
+            speed: this.state.animationSpeed,
+            step: this.state.currentStepIndex
+        });
+        // replaceState does not fire "hashchange", so this does not reload the simulation
+        history.replaceState(null, '', hash);
+
+        try {
+            await navigator.clipboard.writeText(window.location.href);
+            this.ui.shareLinkStatus.textContent = 'Link copied to the clipboard.';
+        } catch (error) {
+            this.ui.shareLinkStatus.textContent = 'Copy the link from the address bar.';
+        }
+    }
+
+    /**
+     * Restores a simulation from a decoded permalink and jumps to its step.
+     * @param {{params: object, speed: ?number, step: ?number}} link - From Permalink.decode().
+     * @returns {boolean} True if the simulation was restored.
+     */
+    restoreFromLink(link) {
+        if (link.speed !== null) {
+            this.ui.speedSlider.value = link.speed;
+            this.state.setAnimationSpeed(link.speed);
+        }
+
+        // The same path as loading a scenario: runs the configuration, starts the
+        // custom algorithms' runs and saves the session. A link may name an
+        // algorithm this page does not have (e.g. another page's custom one)
+        if (!this.loadParameters(link.params, 'link')) {
+            return false;
+        }
+        // A failed run stays in the configuration view, with its error shown
+        if (!this.state.validateParameters().valid || this.state.lastError) {
+            return false;
+        }
+
+        this.showSimulationView();
+        this.state.jumpToStep(link.step ?? 0);
+        this.updateAllUI();
+        return true;
+    }
+
+    /**
+     * Offers text content to the user as a file download.
+     * @private
+     * @param {string} filename - The suggested file name.
+     * @param {string} content - The file contents.
+     * @param {string} type - The MIME type.
+     */
+    downloadFile(filename, content, type) {
+        const url = URL.createObjectURL(new Blob([content], { type: type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+
     /**
      * Generates a styled PDF report of the simulation.
      * @private
@@ -385,6 +833,15 @@ class Controller {
         if (exportData.direction) {
              doc.text(`Direction: ${exportData.direction}`, paramX, yPos + 60);
         }
+        if (exportData.batchSize) {
+             doc.text(`Batch Size (N): ${exportData.batchSize}`, paramX + 130, yPos + 60);
+        }
+        if (exportData.readExpire !== null) {
+             doc.text(`Expiry: read ${exportData.readExpire}, write ${exportData.writeExpire}`, paramX, yPos + 60);
+        }
+        const timing = exportData.timingModel;
+        doc.text(`Drive: ${timing.rpm} RPM, settle ${timing.settleTimeMs} ms, ${exportData.headsCount} heads x ${exportData.sectorsPerTrack} sectors`, paramX, yPos + 80);
+        doc.text(`Seek: ${timing.sqrtFactorMs}*sqrt(d) + ${timing.linearFactorMs}*d ms, transfer ${timing.transferTimeMs} ms`, paramX, yPos + 100);
         
         // Results Column
         doc.setFont(undefined, 'bold');
@@ -395,10 +852,20 @@ class Controller {
         doc.text('Total Seeks:', resultX, yPos + 20);
         doc.text(exportData.seeksCount.toString(), resultX + 130, yPos + 20);
         
-        doc.text('Average Seek Time:', resultX, yPos + 40);
+        doc.text('Avg Seek Distance:', resultX, yPos + 40);
         doc.text(exportData.averageSeekTime.toString(), resultX + 130, yPos + 40);
 
-        yPos += 80;
+        doc.text('Total Service Time:', resultX, yPos + 60);
+        doc.text(`${exportData.totalElapsedMs} ms`, resultX + 130, yPos + 60);
+
+        doc.text('Avg Service Time:', resultX, yPos + 80);
+        doc.text(`${exportData.averageServiceTimeMs} ms`, resultX + 130, yPos + 80);
+
+        const optimal = StateManager.describeOptimal(exportData.optimalIsStaticBound);
+        doc.text(`${optimal.label}:`, resultX, yPos + 100);
+        doc.text(`+${exportData.percentAboveOptimal}% (${optimal.name}: ${exportData.optimalMovement})`, resultX + 130, yPos + 100);
+
+        yPos += 140;
 
         // --- START OF RE-ORDER ---
 
@@ -412,18 +879,9 @@ class Controller {
         yPos += 30;
 
         // Prepare data for the table
-        const tableHead = [['Step', 'Head Position', 'Seek Distance', 'Total Movement', 'Serviced']];
-        const tableBody = exportData.allSteps.map(step => [
-            step.step,
-            step.headPosition,
-            step.seekDistance,
-            step.totalHeadMovement,
-            // Show the request that was *just* serviced on this step
-            step.servicedQueue.length > 0 ? step.servicedQueue[step.servicedQueue.length - 1] : '-'
-        ]);
-        
-        // Fix for Step 0, which has no serviced item
-        tableBody[0][4] = '-'; 
+        const traceTable = StateManager.getTraceTable(exportData.allSteps);
+        const tableHead = [traceTable.head];
+        const tableBody = traceTable.body;
 
         // Use autoTable plugin to draw the table
         doc.autoTable({
@@ -453,6 +911,62 @@ class Controller {
         // Update yPos to be *after* the table
         yPos = doc.autoTable.previous.finalY + 30;
 
+        // --- 3b. Fairness (per-request metrics) ---
+        const metrics = exportData.requestMetrics;
+        if (yPos + 120 > pageHeight) {
+            doc.addPage();
+            yPos = margin;
+        }
+
+        doc.setFontSize(16);
+        doc.setFont(undefined, 'bold');
+        doc.setTextColor(0);
+        doc.text('Fairness', margin, yPos);
+        doc.setLineWidth(1.5);
+        doc.line(margin, yPos + 8, pageWidth - margin, yPos + 8); // Underline
+        yPos += 30;
+
+        doc.setFontSize(11);
+        doc.setFont(undefined, 'normal');
+        doc.text(`Mean Wait: ${metrics.meanWait.toFixed(2)}   Max Wait: ${metrics.maxWait.toFixed(2)}`, margin, yPos);
+        doc.text(`Response Variance: ${metrics.responseVariance.toFixed(2)}   Std Dev: ${metrics.responseStdDev.toFixed(2)}`, margin, yPos + 20);
+        doc.text(`Starved (response > ${metrics.starvationThreshold}): ${metrics.starvedCount}`, margin, yPos + 40);
+        yPos += 60;
+
+        doc.autoTable({
+            head: [['Request', 'Arrival', 'Serviced at Step', 'Serviced at t', 'Wait', 'Response', 'Starved']],
+            body: metrics.requests.map(req => [
+                req.track,
+                req.arrival,
+                req.servicedStep ?? '-',
+                req.servicedTime ?? '-',
+                req.waitTime !== null ? req.waitTime.toFixed(2) : '-',
+                req.responseTime !== null ? req.responseTime.toFixed(2) : '-',
+                req.starved ? 'YES' : ''
+            ]),
+            startY: yPos,
+            theme: 'grid',
+            headStyles: {
+                fillColor: themeBlack,
+                textColor: themeYellow,
+                fontStyle: 'bold',
+                lineWidth: 2,
+                lineColor: themeBlack
+            },
+            styles: {
+                font: 'Inter',
+                fontSize: 10,
+                cellPadding: 6,
+                borderColor: themeBlack,
+                lineWidth: 1
+            },
+            alternateRowStyles: {
+                fillColor: themeGray
+            }
+        });
+
+        yPos = doc.autoTable.previous.finalY + 30;
+
         // --- 4. Request Queue (Moved from Section 3) ---
         
         // Check if there's enough space for the queue, add a new page if not
@@ -472,7 +986,7 @@ class Controller {
         doc.setFontSize(10);
         doc.setFont(undefined, 'normal');
         doc.setTextColor(80);
-        const queueText = doc.splitTextToSize(exportData.requestQueue.join(', '), contentWidth);
+        const queueText = doc.splitTextToSize(exportData.requestQueue.map((req, id) => this.state.formatRequestById(id)).join(', '), contentWidth);
         doc.text(queueText, margin, yPos);
         
         // --- END OF RE-ORDER ---
@@ -485,12 +999,9 @@ class Controller {
         
         try {
             const graphCanvas = document.getElementById('graphCanvas');
-            // Capture the canvas
-            const graphImg = await html2canvas(graphCanvas, { scale: 2 });
-            const graphImgData = graphImg.toDataURL('image/png');
-            
-            // Calculate the image's original aspect ratio
-            const graphRatio = graphImg.height / graphImg.width;
+
+            // Calculate the graph's original aspect ratio
+            const graphRatio = graphCanvas.height / graphCanvas.width;
 
             // 1. Calculate dimensions to fit page width
             let imgWidth = landscapePageWidth;
@@ -506,9 +1017,23 @@ class Controller {
             // 3. Calculate offsets to center the image
             const xOffset = (landscapePageWidth - imgWidth) / 2;
             const yOffset = (landscapePageHeight - imgHeight) / 2;
-            
-            // Add the image, centered, and scaled to fill the page
-            doc.addImage(graphImgData, 'PNG', xOffset, yOffset, imgWidth, imgHeight);
+
+            if (this.ui.pdfVectorGraph.checked && doc.context2d) {
+                // Redraw the graph as vectors through jsPDF's canvas-like context
+                const ctx = doc.context2d;
+                ctx.save();
+                ctx.translate(xOffset, yOffset);
+                ctx.scale(imgWidth / graphCanvas.width, imgHeight / graphCanvas.height);
+                this.renderer.renderPositionTimeGraph(ctx, graphCanvas.width, graphCanvas.height);
+                ctx.restore();
+            } else {
+                // Capture the canvas
+                const graphImg = await html2canvas(graphCanvas, { scale: 2 });
+                const graphImgData = graphImg.toDataURL('image/png');
+
+                // Add the image, centered, and scaled to fill the page
+                doc.addImage(graphImgData, 'PNG', xOffset, yOffset, imgWidth, imgHeight);
+            }
 
         } catch (e) {
             doc.setTextColor(255, 0, 0);
@@ -527,8 +1052,13 @@ class Controller {
     updateAllUI() {
         this.updateStatistics();
         this.updateServicedQueue(); // Live-updates the serviced queue
+        this.updateRequestMetrics();
+        this.updatePseudocode();
+        this.updateDecision();
         this.updateStepInfo();
+        this.updateStepLog();
         this.renderer.render();
+        this.views.forEach(view => view.render());
     }
 
     /**
@@ -536,14 +1066,176 @@ class Controller {
      * @private
      */
     updateStatistics() {
-        document.getElementById('currentHeadPosition').textContent = this.state.currentHeadPosition;
-        document.getElementById('totalHeadMovement').textContent = this.state.totalHeadMovement;
+        // Head and movement are fractional while a move is animating
+        document.getElementById('currentHeadPosition').textContent = Math.round(this.state.currentHeadPosition);
+        document.getElementById('totalHeadMovement').textContent = Math.round(this.state.totalHeadMovement);
         document.getElementById('seeksCount').textContent = this.state.seeksCount;
         document.getElementById('averageSeekTime').textContent = this.state.averageSeekTime.toFixed(2);
+        document.getElementById('elapsedTime').textContent = this.state.elapsedMs.toFixed(2);
+        document.getElementById('averageServiceTime').textContent = this.state.averageServiceTimeMs.toFixed(2);
+        document.getElementById('aboveOptimal').textContent = `+${this.state.getPercentAboveOptimal().toFixed(1)}%`;
+        document.getElementById('aboveOptimalLabel').textContent = StateManager.describeOptimal(this.state.hasTimedArrivals()).label;
         document.getElementById('nextTargetDisplay').textContent = this.state.nextTarget !== null ? this.state.nextTarget : '-';
     }
 
 
+    /**
+     * Populates the per-request metrics table and fairness summary.
+     * Rows for requests already serviced at the current step are highlighted.
+     * The table is built once per run; later steps only move the highlight.
+     */
+    updateRequestMetrics() {
+        const tableBody = document.getElementById('requestMetricsBody');
+        const summary = document.getElementById('requestMetricsSummary');
+        if (!tableBody || !summary) return;
+
+        const metrics = this.state.getRequestMetrics();
+        if (metrics !== this.shownMetrics) {
+            this.buildRequestMetrics(tableBody, summary, metrics);
+            this.shownMetrics = metrics;
+        }
+
+        const stepIndex = this.state.currentStepIndex;
+        [...tableBody.rows].forEach((row, i) => {
+            const { servicedStep } = metrics.requests[i];
+            row.classList.toggle('serviced', servicedStep !== null && servicedStep <= stepIndex);
+        });
+    }
+
+    /**
+     * Fills the metrics table and fairness summary for a run (without the serviced highlight).
+     * @private
+     * @param {HTMLElement} tableBody - #requestMetricsBody.
+     * @param {HTMLElement} summary - #requestMetricsSummary.
+     * @param {object} metrics - From StateManager.getRequestMetrics().
+     */
+    buildRequestMetrics(tableBody, summary, metrics) {
+        const format = (value) => value !== null ? Number(value.toFixed(2)) : '-';
+
+        summary.textContent =
+            `Mean wait: ${format(metrics.meanWait)} | Max wait: ${format(metrics.maxWait)} | ` +
+            `Response σ²: ${format(metrics.responseVariance)} | σ: ${format(metrics.responseStdDev)} | ` +
+            `Starved (> ${metrics.starvationThreshold}): ${metrics.starvedCount}`;
+
+        tableBody.innerHTML = metrics.requests.map(req => `
+                <tr class="${req.starved ? 'starved' : ''}">
+                    <td>${req.track}</td>
+                    <td>${req.arrival}</td>
+                    <td>${req.servicedStep ?? '-'}</td>
+                    <td>${format(req.servicedTime)}</td>
+                    <td>${format(req.waitTime)}</td>
+                    <td>${format(req.responseTime)}</td>
+                    <td>${req.starved ? 'YES' : ''}</td>
+                </tr>`
+        ).join('');
+    }
+
+    /**
+     * Fills the "Pseudocode" panel for the selected algorithm. The line
+     * matching the current step's decision rule is highlighted (the first
+     * line at Step 0), and the loop variables are shown underneath.
+     */
+    updatePseudocode() {
+        const listing = document.getElementById('pseudocodeListing');
+        const vars = document.getElementById('pseudocodeVars');
+        if (!listing || !vars) return;
+
+        const AlgorithmClass = this.algorithms.get(this.state.algorithm);
+        const lines = AlgorithmClass ? AlgorithmClass.pseudocode : [];
+        const step = this.state.getCurrentStep();
+        const rule = step.decision ? step.decision.rule : null;
+
+        let activeIndex = this.state.currentStepIndex === 0 ? 0 : -1;
+        if (rule) {
+            activeIndex = lines.findIndex(line => typeof line === 'object' && line.rules.includes(rule));
+        }
+
+        // textContent, so '<' and '&' in the listing need no escaping
+        listing.replaceChildren(...lines.map((line, index) => {
+            const span = document.createElement('span');
+            span.className = index === activeIndex ? 'pseudocode-line active' : 'pseudocode-line';
+            span.textContent = typeof line === 'object' ? line.text : line;
+            return span;
+        }));
+
+        const pending = step.pendingIds.map(id => this.state.formatRequestById(id));
+        const parts = [`pos = ${step.headPosition}`, `pending = [${pending.join(', ')}]`];
+        if (step.upcomingIds.length > 0) {
+            parts.push(`not arrived = [${step.upcomingIds.map(id => this.state.formatRequestById(id)).join(', ')}]`);
+        }
+        if (this.state.usesDirection()) {
+            // The last move's direction, except across a wrap jump (the sweep keeps its direction)
+            const sweep = this.state.getSweepDirection();
+            parts.push(`dir = ${sweep === 'high' || sweep === 'low' ? sweep : this.state.direction}`);
+        }
+        if (step.batch) parts.push(`batch = ${step.batch}`);
+        vars.textContent = parts.join('   ');
+    }
+
+    /**
+     * Fills the "Why This Move?" panel from the current step's decision
+     * record: the rule applied, the reason, any tie-break and the candidates.
+     */
+    updateDecision() {
+        const reason = document.getElementById('decisionReason');
+        const table = document.getElementById('decisionTable');
+        if (!reason || !table) return;
+
+        const step = this.state.getCurrentStep();
+        const decision = step.decision;
+        if (!decision) {
+            reason.textContent = this.state.currentStepIndex === 0
+                ? 'No move yet. Step forward to see why the first target is chosen.'
+                : 'This algorithm did not record why this move was made.';
+            table.replaceChildren();
+            return;
+        }
+
+        const ruleLabels = {
+            'first-come': 'First come', 'closest': 'Closest', 'next-in-sweep': 'Next in sweep',
+            'end-of-disk': 'End of disk', 'wrap': 'Wrap-around', 'deadline': 'Deadline expired',
+            'positioning': 'Shortest positioning', 'optimal': 'Optimal order', 'under-head': 'Under the head'
+        };
+        // Built with textContent: decisions can come from imported runs and custom algorithms
+        const rule = document.createElement('span');
+        rule.className = 'decision-rule';
+        rule.textContent = ruleLabels[decision.rule] || decision.rule;
+        reason.replaceChildren(rule, decision.reason);
+        if (decision.tieBreak) {
+            const tieBreak = document.createElement('span');
+            tieBreak.className = 'decision-tiebreak';
+            tieBreak.textContent = `Tie-break: ${decision.tieBreak}`;
+            reason.append(document.createElement('br'), tieBreak);
+        }
+
+        const hasTime = decision.candidates.some(candidate => Number.isFinite(candidate.timeMs));
+        const row = (cellTag, texts) => {
+            const tr = document.createElement('tr');
+            tr.append(...texts.map(text => {
+                const cell = document.createElement(cellTag);
+                cell.textContent = text;
+                return cell;
+            }));
+            return tr;
+        };
+
+        const head = document.createElement('thead');
+        head.append(row('th', ['Candidate', `Distance from ${decision.from}`, ...(hasTime ? ['Positioning (ms)'] : [])]));
+        const body = document.createElement('tbody');
+        body.append(...decision.candidates.map(candidate => {
+            // A candidate naming its request is one of several on its cylinder
+            const named = this.state.requestDetails[candidate.request] !== undefined;
+            const tr = row('td', [
+                named ? this.state.formatRequestById(candidate.request) : this.state.formatRequest(candidate.track),
+                candidate.distance,
+                ...(hasTime ? [Number.isFinite(candidate.timeMs) ? candidate.timeMs.toFixed(2) : '-'] : [])
+            ]);
+            if (named ? candidate.request === step.request : candidate.track === decision.target) tr.className = 'chosen';
+            return tr;
+        }));
+        table.replaceChildren(head, body);
+    }
+
     /**
      * Populates the "Initial Request Queue" box one time.
      */
@@ -555,7 +1247,7 @@ class Controller {
             initialContainer.innerHTML = '<span class="queue-empty">No simulation run</span>';
         } else {
             initialContainer.innerHTML = this.state.requestQueue
-                .map(req => `<span class="queue-item">${req}</span>`)
+                .map((req, id) => `<span class="queue-item">${this.state.formatRequestById(id)}</span>`)
                 .join('');
         }
     }
@@ -584,6 +1276,39 @@ class Controller {
      */
     updateStepInfo() {
         document.getElementById('currentStepDisplay').textContent = `Step: ${this.state.getStepInfo()}`;
+        document.getElementById('currentActionDisplay').textContent = this.state.getCurrentStep().currentAction;
+    }
+
+    /**
+     * Updates the "Step Log" box with the action text of every step
+     * up to the current one. Deadline-triggered jumps are highlighted.
+     * Only the steps added or removed since the last update are touched,
+     * so playing a run through does not rebuild the log on every step.
+     * @private
+     */
+    updateStepLog() {
+        const logContainer = document.getElementById('stepLog');
+        if (!logContainer) return;
+
+        const steps = this.state.allSteps;
+        const count = this.state.currentStepIndex + 1;
+        let shown = this.shownLog.steps === steps ? this.shownLog.count : 0;
+        if (shown === 0) logContainer.replaceChildren(); // A new run
+
+        while (shown > count) {
+            logContainer.lastElementChild.remove();
+            shown--;
+        }
+        // textContent: action text can come from imported runs and custom algorithms
+        logContainer.append(...steps.slice(shown, count).map(step => {
+            const item = document.createElement('li');
+            if (step.deadline) item.className = 'deadline';
+            item.textContent = step.currentAction;
+            return item;
+        }));
+
+        this.shownLog = { steps, count };
+        logContainer.scrollTop = logContainer.scrollHeight;
     }
 
     /**
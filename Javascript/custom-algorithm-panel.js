@@ -0,0 +1,291 @@
+/* =====================================================
+ * JS/CUSTOM-ALGORITHM-PANEL.JS - USER-DEFINED ALGORITHMS
+ * -----------------------------------------------------
+ * Config-panel editor for writing a scheduler in the
+ * page. The code is a class extending AlgorithmBase; it
+ * only ever runs in CustomAlgorithmSandbox's worker.
+ *
+ * Views run algorithms synchronously, so each custom
+ * algorithm is registered as a class that serves its
+ * results from a per-workload cache:
+ * 1. On every configuration change, prepare() starts a
+ *    worker run for each custom algorithm on the new
+ *    workload.
+ * 2. A view that asks before its run has finished gets
+ *    a "still running" error (an empty run), and the page
+ *    regenerates (through the #algorithmSelect change
+ *    event) once the run is done.
+ * 3. Errors and timeouts are cached too, so a broken
+ *    algorithm fails the same way in every view. They
+ *    are shown in the panel's status line.
+ * ===================================================== */
+
+class CustomAlgorithmPanel {
+    /**
+     * Initializes the CustomAlgorithmPanel.
+     * @param {Controller} controller - The main application controller.
+     * @param {CustomAlgorithmSandbox} sandbox - Runs the user's code.
+     */
+    constructor(controller, sandbox) {
+        this.controller = controller;
+        this.sandbox = sandbox;
+
+        /**
+         * @type {Map<string, object>} Registered name -> { source, description, pseudocode,
+         * results: Map<string, object>, running: Set<string> }. Results are keyed by run input.
+         */
+        this.customAlgorithms = new Map();
+        /** @type {boolean} Whether a view was turned away while a run was still going. */
+        this.refreshPending = false;
+
+        // Element cache
+        this.ui = {};
+    }
+
+    /**
+     * The code the editor starts with: SSTF written against AlgorithmBase's helpers.
+     * @static
+     * @returns {string}
+     */
+    static get TEMPLATE() {
+        return [
+            'class MyScheduler extends AlgorithmBase {',
+            '    static get description() {',
+            "        return 'My scheduler: always serves the closest pending request.';",
+            '    }',
+            '',
+            '    execute() {',
+            '        const sequence = this.initializeSequence(); // [initialPosition]',
+            '        const remaining = this.cloneRequests();',
+            '        let currentPos = this.initialPosition;',
+            '',
+            '        while (remaining.length > 0) {',
+            '            const next = this.findClosestRequest(currentPos, remaining);',
+            '            sequence.push(next);',
+            '            currentPos = next;',
+            '            remaining.splice(remaining.indexOf(next), 1);',
+            '        }',
+            '',
+            '        return sequence;',
+            '    }',
+            '}',
+            ''
+        ].join('\n');
+    }
+
+    /**
+     * Caches UI elements and sets up event listeners.
+     */
+    init() {
+        this.ui.name = document.getElementById('customAlgorithmName');
+        this.ui.code = document.getElementById('customAlgorithmCode');
+        this.ui.registerBtn = document.getElementById('registerCustomAlgorithmBtn');
+        this.ui.status = document.getElementById('customAlgorithmStatus');
+        this.ui.algorithmSelect = document.getElementById('algorithmSelect');
+
+        if (!this.ui.code.value.trim()) {
+            this.ui.code.value = CustomAlgorithmPanel.TEMPLATE;
+        }
+
+        this.ui.registerBtn.addEventListener('click', () => this.handleRegister());
+    }
+
+    /**
+     * Handles the "Validate & Register" button: runs the code on the current
+     * workload and, if it produces a valid schedule, adds it as an algorithm.
+     */
+    async handleRegister() {
+        try {
+            const label = this.ui.name.value.trim();
+            const name = label.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+            if (!name) {
+                throw new Error('Give the algorithm a name');
+            }
+            if (this.controller.algorithms.has(name) && !this.customAlgorithms.has(name)) {
+                throw new Error(`"${name}" is already the name of a built-in algorithm`);
+            }
+
+            const input = this.getCurrentInput();
+            if (!input) {
+                throw new Error('Fix the configuration errors before registering an algorithm');
+            }
+
+            const source = this.ui.code.value;
+            this.setRegistering(true);
+            this.ui.status.textContent = 'Validating in a worker...';
+            const result = await this.sandbox.run(source, input);
+
+            const entry = {
+                source: source,
+                description: result.description,
+                pseudocode: result.pseudocode,
+                results: new Map([[JSON.stringify(input), result]]),
+                running: new Set()
+            };
+            this.customAlgorithms.set(name, entry);
+            this.controller.registerAlgorithm(name, this.createAlgorithmClass(name, entry), `${label} (Custom)`);
+
+            this.ui.status.textContent = `Registered ${name.toUpperCase()}: ${result.sequence.length - 1} moves on the current workload.`;
+            this.ui.algorithmSelect.value = name;
+            this.ui.algorithmSelect.dispatchEvent(new Event('change'));
+
+        } catch (error) {
+            this.ui.status.textContent = '';
+            this.controller.showError('Error: ' + error.message);
+        } finally {
+            this.setRegistering(false);
+        }
+    }
+
+    /**
+     * Builds the class registered with the controller. It validates its
+     * arguments like any algorithm, then serves the worker's result.
+     * @private
+     * @param {string} name - The registered name.
+     * @param {object} entry - The algorithm's entry in customAlgorithms.
+     * @returns {class} A subclass of AlgorithmBase.
+     */
+    createAlgorithmClass(name, entry) {
+        const panel = this;
+
+        return class CustomAlgorithm extends AlgorithmBase {
+            constructor(initialPosition, maxTrack, requests, direction, options = {}) {
+                super(initialPosition, maxTrack, requests, direction, options);
+                /** @type {object} The run input, from CustomAlgorithmSandbox.createInput(). */
+                this.input = CustomAlgorithmSandbox.createInput(initialPosition, maxTrack, requests, direction, options);
+            }
+
+            static get description() {
+                return entry.description;
+            }
+
+            static get pseudocode() {
+                return entry.pseudocode;
+            }
+
+            // The user's code is given the direction and may use it
+            static get usesDirection() {
+                return true;
+            }
+
+            run() {
+                const result = panel.getResult(name, entry, this.input);
+                this.timeline = [...result.timeline];
+                this.sequenceMeta = result.sequenceMeta.map(meta => (meta ? { ...meta } : meta));
+                return [...result.sequence];
+            }
+
+            execute() {
+                return this.run();
+            }
+        };
+    }
+
+    /**
+     * Gets a custom algorithm's cached result for a workload.
+     * @param {string} name - The registered name.
+     * @param {object} entry - The algorithm's entry in customAlgorithms.
+     * @param {object} input - The run input.
+     * @returns {object} The worker's checked result.
+     * @throws {Error} the run's error, or a "still running" error (after starting the run).
+     */
+    getResult(name, entry, input) {
+        const key = JSON.stringify(input);
+        const cached = entry.results.get(key);
+        if (cached) {
+            if (cached.error) throw new Error(cached.error);
+            return cached;
+        }
+
+        this.startRun(name, entry, key, input);
+        this.refreshPending = true;
+        throw new Error(`${name.toUpperCase()} is still running on this workload. The page updates when it finishes.`);
+    }
+
+    /**
+     * Starts a worker run for a workload, unless one is already going.
+     * When the last run finishes, views that were turned away are regenerated.
+     * @private
+     */
+    startRun(name, entry, key, input) {
+        if (entry.running.has(key)) return;
+        entry.running.add(key);
+        this.ui.status.textContent = `Running ${name.toUpperCase()} on the new workload...`;
+
+        let failure = '';
+        this.sandbox.run(entry.source, input)
+            .then(result => entry.results.set(key, result))
+            .catch(error => {
+                entry.results.set(key, { error: error.message });
+                failure = `${name.toUpperCase()} failed on this workload: ${error.message}`;
+            })
+            .finally(() => {
+                entry.running.delete(key);
+                if (failure) this.ui.status.textContent = failure;
+                if (this.isRunning()) return;
+
+                if (!failure) this.ui.status.textContent = '';
+                if (this.refreshPending) {
+                    this.refreshPending = false;
+                    this.ui.algorithmSelect.dispatchEvent(new Event('change'));
+                }
+            });
+    }
+
+    /**
+     * Starts runs for every custom algorithm on the current configuration,
+     * so each is ready by the time a view asks for it. Called on every
+     * configuration change, before the simulation is regenerated.
+     */
+    prepare() {
+        if (this.customAlgorithms.size === 0) return;
+
+        const input = this.getCurrentInput();
+        if (!input) return;
+
+        const key = JSON.stringify(input);
+        for (const [name, entry] of this.customAlgorithms) {
+            if (!entry.results.has(key)) {
+                this.startRun(name, entry, key, input);
+            }
+        }
+    }
+
+    /**
+     * Gets the run input for the configuration in the DOM.
+     * @private
+     * @returns {object|null} From CustomAlgorithmSandbox.createInput(), or null if the configuration is invalid.
+     */
+    getCurrentInput() {
+        // A throw-away StateManager parses the inputs without touching the simulation
+        const probe = new StateManager();
+        probe.initializeWithParams(this.controller.getParametersFromDOM());
+        if (!probe.validateParameters().valid) return null;
+
+        return CustomAlgorithmSandbox.createInput(...probe.getAlgorithmArguments());
+    }
+
+    /**
+     * Checks whether any worker run is still going.
+     * @private
+     * @returns {boolean}
+     */
+    isRunning() {
+        return [...this.customAlgorithms.values()].some(entry => entry.running.size > 0);
+    }
+
+    /**
+     * Enables/disables the register button while validating.
+     * @private
+     * @param {boolean} registering
+     */
+    setRegistering(registering) {
+        this.ui.registerBtn.disabled = registering;
+        this.ui.registerBtn.innerHTML = `<span class="btn-text">${registering ? 'Validating...' : 'Validate & Register'}</span>`;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CustomAlgorithmPanel;
+}
@@ -0,0 +1,263 @@
+/* =====================================================
+ * JS/CUSTOM-ALGORITHM-SANDBOX.JS - WEB WORKER FOR USER CODE
+ * -----------------------------------------------------
+ * Runs a user-written scheduler away from the page:
+ * 1. The worker is built from the AlgorithmBase and
+ *    DiskTimingModel sources (a Blob URL, so it also
+ *    works when index.html is opened from disk), with
+ *    network, storage and messaging APIs deleted from the
+ *    worker's global and its prototypes before the code
+ *    is compiled.
+ * 2. Every run gets a fresh worker, which is terminated
+ *    after the run or when it exceeds the timeout.
+ * 3. The returned schedule is checked before the page
+ *    uses it: valid tracks, starting at the head, every
+ *    request visited. Its per-move metadata is cleaned
+ *    the same way as a loaded run's.
+ * ===================================================== */
+
+class CustomAlgorithmSandbox {
+    /**
+     * Initializes the sandbox.
+     * @param {number} [timeoutMs=CustomAlgorithmSandbox.TIMEOUT_MS] - How long one run may take.
+     */
+    constructor(timeoutMs = CustomAlgorithmSandbox.TIMEOUT_MS) {
+        this.timeoutMs = timeoutMs;
+
+        /** @type {string|null} Blob URL of the worker script, created on first use. */
+        this.workerURL = null;
+    }
+
+    /**
+     * The default time limit for one run.
+     * @static
+     * @returns {number} Milliseconds.
+     */
+    static get TIMEOUT_MS() {
+        return 2000;
+    }
+
+    /**
+     * The most moves a schedule may have, per request. Sweeps add a few
+     * moves to the disk ends; anything far beyond that is a runaway loop.
+     * @static
+     * @returns {number}
+     */
+    static get MAX_MOVES_PER_REQUEST() {
+        return 10;
+    }
+
+    /**
+     * Turns algorithm constructor arguments into plain data the worker
+     * can receive. The timing model is sent as its settings.
+     * @static
+     * @param {number} initialPosition
+     * @param {number} maxTrack
+     * @param {Array<number>} requests
+     * @param {string} direction
+     * @param {object} [options={}] - As given to AlgorithmBase's constructor.
+     * @returns {object} The run input (also used as the cache key).
+     */
+    static createInput(initialPosition, maxTrack, requests, direction, options = {}) {
+        return {
+            initialPosition: initialPosition,
+            maxTrack: maxTrack,
+            requests: [...requests],
+            direction: direction,
+            options: {
+                arrivalTimes: options.arrivalTimes ?? null,
+                requestTypes: options.requestTypes ?? null,
+                requestLocations: options.requestLocations ?? null,
+                timing: options.timingModel ? options.timingModel.toJSON() : {},
+                sectorsPerTrack: options.sectorsPerTrack ?? null,
+                batchSize: options.batchSize ?? null,
+                readExpire: options.readExpire ?? null,
+                writeExpire: options.writeExpire ?? null
+            }
+        };
+    }
+
+    /**
+     * Runs user code on one workload.
+     * @param {string} source - JavaScript defining a class that extends AlgorithmBase.
+     * @param {object} input - From createInput().
+     * @returns {Promise<{sequence: Array<number>, timeline: Array<number>, sequenceMeta: Array<object>,
+     * description: string, pseudocode: Array}>} Rejects with the code's error, a timeout or a bad schedule.
+     */
+    run(source, input) {
+        return new Promise((resolve, reject) => {
+            const worker = new Worker(this.getWorkerURL());
+            const finish = (callback) => {
+                clearTimeout(timer);
+                worker.terminate();
+                callback();
+            };
+            const timer = setTimeout(() => finish(() => reject(new Error(
+                `The algorithm did not finish within ${this.timeoutMs} ms. Check for a loop that never ends.`
+            ))), this.timeoutMs);
+
+            worker.onmessage = (event) => finish(() => {
+                if (event.data.error) {
+                    reject(new Error(event.data.error));
+                    return;
+                }
+                try {
+                    resolve(CustomAlgorithmSandbox.checkResult(event.data, input));
+                } catch (error) {
+                    reject(error);
+                }
+            });
+            worker.onerror = (event) => {
+                event.preventDefault();
+                finish(() => reject(new Error(event.message || 'The algorithm worker could not be started')));
+            };
+
+            worker.postMessage({ source: source, input: input });
+        });
+    }
+
+    /**
+     * Gets the worker script URL, building the script on first use.
+     * @private
+     * @returns {string}
+     */
+    getWorkerURL() {
+        if (!this.workerURL) {
+            const script = [
+                DiskTimingModel.toString(),
+                AlgorithmBase.toString(),
+                `({ ${CustomAlgorithmSandbox.workerMain.toString()} }).workerMain();`
+            ].join('\n\n');
+            this.workerURL = URL.createObjectURL(new Blob([script], { type: 'text/javascript' }));
+        }
+        return this.workerURL;
+    }
+
+    /**
+     * The worker's entry point. Runs inside the worker only, so it may use
+     * nothing but the worker's own globals, AlgorithmBase and DiskTimingModel.
+     * @static
+     * @private
+     */
+    static workerMain() {
+        const post = self.postMessage.bind(self);
+
+        // User code gets no network, storage or way to post its own messages.
+        // Interfaces (XMLHttpRequest...) are properties of the global itself, but
+        // methods such as fetch and postMessage live on its prototypes
+        // (WorkerGlobalScope.prototype...), so they are removed along the whole chain.
+        const blocked = ['fetch', 'XMLHttpRequest', 'WebSocket', 'WebTransport', 'EventSource', 'importScripts',
+            'indexedDB', 'caches', 'BroadcastChannel', 'Worker', 'SharedWorker', 'postMessage'];
+        for (const name of blocked) {
+            for (let target = self; target !== null; target = Object.getPrototypeOf(target)) {
+                if (!Object.prototype.hasOwnProperty.call(target, name)) continue;
+                try {
+                    delete target[name];
+                } catch (error) {
+                    // Not configurable: hide it instead, if it is writable
+                    try {
+                        target[name] = undefined;
+                    } catch (ignored) {
+                        // Neither: the browser keeps it
+                    }
+                }
+            }
+        }
+
+        self.onmessage = (event) => {
+            const { source, input } = event.data;
+            try {
+                const match = /class\s+([A-Za-z_$][\w$]*)\s+extends\s+AlgorithmBase\b/.exec(source);
+                if (!match) {
+                    throw new Error('Define a class that extends AlgorithmBase, e.g. "class MyScheduler extends AlgorithmBase { ... }"');
+                }
+
+                const AlgorithmClass = new Function('AlgorithmBase', 'DiskTimingModel',
+                    `"use strict";\n${source}\nreturn ${match[1]};`)(AlgorithmBase, DiskTimingModel);
+                if (AlgorithmClass.prototype.execute === AlgorithmBase.prototype.execute) {
+                    throw new Error(`${match[1]} must implement execute()`);
+                }
+
+                const algorithm = new AlgorithmClass(input.initialPosition, input.maxTrack, input.requests, input.direction, {
+                    ...input.options,
+                    timingModel: new DiskTimingModel(input.options.timing)
+                });
+                const sequence = algorithm.run();
+
+                post({
+                    sequence: sequence,
+                    timeline: algorithm.timeline,
+                    sequenceMeta: algorithm.sequenceMeta,
+                    description: String(AlgorithmClass.description),
+                    pseudocode: AlgorithmClass.pseudocode
+                });
+            } catch (error) {
+                const message = !(error instanceof Error) ? String(error)
+                    : error.name === 'Error' ? error.message
+                    : `${error.name}: ${error.message}`;
+                post({ error: message });
+            }
+        };
+    }
+
+    /**
+     * Checks a schedule returned by the worker and tidies its extras.
+     * @static
+     * @param {object} result - The worker's message.
+     * @param {object} input - The run input (from createInput()).
+     * @returns {object} The result's known fields, with a timeline, metadata and pseudocode the page can rely on.
+     * @throws {Error} if the schedule is not usable.
+     */
+    static checkResult(result, input) {
+        const { sequence } = result;
+        if (!Array.isArray(sequence) || sequence.length === 0) {
+            throw new Error('execute() must return an array of track numbers');
+        }
+        if (sequence.length > (input.requests.length + 1) * CustomAlgorithmSandbox.MAX_MOVES_PER_REQUEST) {
+            throw new Error(`The schedule has ${sequence.length - 1} moves for ${input.requests.length} requests`);
+        }
+        sequence.forEach((track, i) => {
+            if (!Number.isInteger(track) || track < 0 || track > input.maxTrack) {
+                throw new Error(`Entry ${i} of the schedule (${track}) is not a track between 0 and ${input.maxTrack}`);
+            }
+        });
+        if (sequence[0] !== input.initialPosition) {
+            throw new Error(`The schedule must start at the initial head position (${input.initialPosition}); use this.initializeSequence()`);
+        }
+
+        const unvisited = [...input.requests];
+        for (const track of sequence.slice(1)) {
+            const index = unvisited.indexOf(track);
+            if (index !== -1) unvisited.splice(index, 1);
+        }
+        if (unvisited.length > 0) {
+            throw new Error(`The schedule never visits: ${unvisited.join(', ')}`);
+        }
+
+        // run() keeps these in step with the sequence; a custom run() might not
+        let timeline = result.timeline;
+        if (!Array.isArray(timeline) || timeline.length !== sequence.length || !timeline.every(Number.isFinite)) {
+            timeline = [0];
+            for (let i = 1; i < sequence.length; i++) {
+                timeline.push(timeline[i - 1] + Math.abs(sequence[i] - sequence[i - 1]));
+            }
+        }
+        // The page shows these as text and numbers, so only the known fields are kept
+        const sequenceMeta = (Array.isArray(result.sequenceMeta) ? result.sequenceMeta : [])
+            .slice(0, sequence.length)
+            .map(meta => StateManager.cleanMeta(meta));
+
+        const pseudocode = Array.isArray(result.pseudocode)
+            ? result.pseudocode.map(line => (line !== null && typeof line === 'object')
+                ? { text: String(line.text), rules: Array.isArray(line.rules) ? line.rules.map(String) : [] }
+                : String(line))
+            : AlgorithmBase.pseudocode;
+
+        return { sequence, timeline, sequenceMeta, description: String(result.description), pseudocode };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CustomAlgorithmSandbox;
+}
@@ -0,0 +1,219 @@
+/* =====================================================
+ * JS/DISK-BAR-RENDERER.JS - LINEAR DISK TRACE VIEW
+ * -----------------------------------------------------
+ * Draws the disk as a single horizontal bar from track 0
+ * to the max track, above the Position vs. Time graph:
+ * 1. Every request is a dot over its track, colored by
+ *    the current step's queues: pending (blue), serviced
+ *    (green) or not yet arrived (grey).
+ * 2. A red pointer marks the head. It follows the live
+ *    head position, so it glides with the animation.
+ * 3. An arrow shows the direction of the current sweep.
+ * ===================================================== */
+
+class DiskBarRenderer {
+    /**
+     * Initializes the DiskBarRenderer.
+     * @param {string} canvasId - The ID of the disk bar <canvas> element.
+     * @param {StateManager} stateManager - An instance of the StateManager.
+     */
+    constructor(canvasId, stateManager) {
+        this.canvas = document.getElementById(canvasId);
+        if (!this.canvas) {
+            throw new Error(`Canvas with ID ${canvasId} not found.`);
+        }
+        this.ctx = this.canvas.getContext('2d');
+        this.state = stateManager;
+
+        // Canvas settings
+        this.padding = 40;
+        this.barHeight = 14;
+        this.dotRadius = 5;
+        this.colors = {
+            background: '#ffffff',
+            bar: '#f4f6f7',
+            border: '#000000',
+            gridLine: '#d5dbdb',
+            pending: '#007bff', // Blue
+            serviced: '#27ae60', // Green
+            upcoming: '#bdc3c7', // Grey
+            head: '#e74c3c', // Red
+            text: '#000000'
+        };
+    }
+
+    /**
+     * Main render function. Called by the controller for each step
+     * and for every animation frame.
+     */
+    render() {
+        // Follow the container's width; the height is fixed by the canvas element
+        if (this.canvas.clientWidth > 0) {
+            this.canvas.width = this.canvas.clientWidth;
+        }
+
+        const ctx = this.ctx;
+        const width = this.canvas.width;
+        const height = this.canvas.height;
+
+        ctx.fillStyle = this.colors.background;
+        ctx.fillRect(0, 0, width, height);
+
+        const step = this.state.getCurrentStep();
+        const barX = this.padding;
+        const barWidth = width - this.padding * 2;
+        const barY = height - 34;
+
+        this.drawDiskBar(ctx, barX, barY, barWidth);
+        this.drawRequestDots(ctx, barX, barY, barWidth, step);
+        this.drawHeadPointer(ctx, barX, barY, barWidth, this.state.currentHeadPosition);
+        this.drawDirection(ctx);
+        this.drawLegend(ctx, width);
+    }
+
+    /**
+     * Maps a track number to an x coordinate on the bar.
+     * @private
+     */
+    trackToX(track, barX, barWidth) {
+        const maxTrack = this.state.maxTrackNumber > 0 ? this.state.maxTrackNumber : 1;
+        return barX + (track / maxTrack) * barWidth;
+    }
+
+    /**
+     * Draws the bar with tick marks and track numbers underneath.
+     * @private
+     */
+    drawDiskBar(ctx, barX, barY, barWidth) {
+        ctx.fillStyle = this.colors.bar;
+        ctx.fillRect(barX, barY, barWidth, this.barHeight);
+
+        // Ticks at 0, 10%, ..., 100% of the disk
+        const ticks = 10;
+        ctx.strokeStyle = this.colors.gridLine;
+        ctx.lineWidth = 1;
+        ctx.fillStyle = this.colors.text;
+        ctx.font = '10px Arial';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        for (let i = 0; i <= ticks; i++) {
+            const track = Math.round(this.state.maxTrackNumber * i / ticks);
+            const x = this.trackToX(track, barX, barWidth);
+            ctx.beginPath();
+            ctx.moveTo(x, barY);
+            ctx.lineTo(x, barY + this.barHeight);
+            ctx.stroke();
+            ctx.fillText(track, x, barY + this.barHeight + 4);
+        }
+
+        ctx.strokeStyle = this.colors.border;
+        ctx.strokeRect(barX, barY, barWidth, this.barHeight);
+    }
+
+    /**
+     * Draws one dot per request above its track. Requests on the
+     * same track are stacked so none is hidden.
+     * @private
+     * @param {object} step - The current step (its queues decide the colors).
+     */
+    drawRequestDots(ctx, barX, barY, barWidth, step) {
+        const stacks = new Map(); // track -> dots already drawn there
+        const groups = [
+            [step.upcomingQueue || [], this.colors.upcoming],
+            [step.pendingQueue, this.colors.pending],
+            [step.servicedQueue, this.colors.serviced]
+        ];
+
+        for (const [tracks, color] of groups) {
+            ctx.fillStyle = color;
+            for (const track of tracks) {
+                const level = Math.min(stacks.get(track) || 0, 4); // Tall stacks stay inside the canvas
+                stacks.set(track, (stacks.get(track) || 0) + 1);
+
+                const x = this.trackToX(track, barX, barWidth);
+                const y = barY - this.dotRadius - 3 - level * (this.dotRadius * 2 + 1);
+                ctx.beginPath();
+                ctx.arc(x, y, this.dotRadius, 0, 2 * Math.PI);
+                ctx.fill();
+            }
+        }
+    }
+
+    /**
+     * Draws the head as a red line across the bar with a pointer on top.
+     * @private
+     * @param {number} headPosition - The live (possibly fractional) head position.
+     */
+    drawHeadPointer(ctx, barX, barY, barWidth, headPosition) {
+        const x = this.trackToX(headPosition, barX, barWidth);
+
+        ctx.strokeStyle = this.colors.head;
+        ctx.lineWidth = 3;
+        ctx.beginPath();
+        ctx.moveTo(x, barY - 2);
+        ctx.lineTo(x, barY + this.barHeight + 2);
+        ctx.stroke();
+
+        // Downward triangle above the bar
+        const tipY = barY - 2;
+        ctx.fillStyle = this.colors.head;
+        ctx.beginPath();
+        ctx.moveTo(x, tipY);
+        ctx.lineTo(x - 7, tipY - 10);
+        ctx.lineTo(x + 7, tipY - 10);
+        ctx.closePath();
+        ctx.fill();
+
+        ctx.font = 'bold 12px Arial';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'bottom';
+        ctx.fillText(Math.round(headPosition), x, tipY - 12);
+    }
+
+    /**
+     * Draws the sweep direction in the top-left corner.
+     * @private
+     */
+    drawDirection(ctx) {
+        const direction = this.state.getSweepDirection();
+        const text = {
+            high: 'Sweep: → towards higher tracks',
+            low: 'Sweep: ← towards lower tracks',
+            wrap: 'Wrap-around: returning to the other end'
+        }[direction];
+        if (!text) return;
+
+        ctx.fillStyle = this.colors.text;
+        ctx.font = '12px Arial';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'top';
+        ctx.fillText(text, 8, 6);
+    }
+
+    /**
+     * Draws the dot color legend in the top-right corner.
+     * @private
+     */
+    drawLegend(ctx, width) {
+        const legend = [['Pending', this.colors.pending], ['Serviced', this.colors.serviced], ['Not arrived', this.colors.upcoming]];
+        ctx.font = '12px Arial';
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'top';
+        let x = width - 8;
+        for (const [label, color] of legend.reverse()) {
+            ctx.fillStyle = this.colors.text;
+            ctx.fillText(label, x, 6);
+            x -= ctx.measureText(label).width + 6;
+            ctx.fillStyle = color;
+            ctx.beginPath();
+            ctx.arc(x - 4, 12, 4, 0, 2 * Math.PI);
+            ctx.fill();
+            x -= 18;
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DiskBarRenderer;
+}
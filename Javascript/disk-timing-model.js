@@ -0,0 +1,157 @@
+/* =====================================================
+ * JS/DISK-TIMING-MODEL.JS - PHYSICAL DRIVE TIMING MODEL
+ * -----------------------------------------------------
+ * Turns track distances into milliseconds. A request's
+ * service time is made up of:
+ * 1. Seek time: a fixed settle time plus a cost that
+ *    grows with the square root and/or linearly with
+ *    the distance moved.
+ * 2. Rotational latency: on average half a revolution,
+ *    derived from the spindle speed (RPM).
+ * 3. Transfer time: a fixed time to read/write the block.
+ * ===================================================== */
+
+class DiskTimingModel {
+    /**
+     * Initializes the timing model. Every option is in milliseconds
+     * unless noted otherwise.
+     * @param {object} [options={}] - Drive parameters.
+     * @param {number} [options.rpm=7200] - Spindle speed in revolutions per minute.
+     * @param {number} [options.settleTimeMs=1] - Fixed cost of any non-zero seek.
+     * @param {number} [options.sqrtFactorMs=0.4] - Seek cost per sqrt(track) moved.
+     * @param {number} [options.linearFactorMs=0.01] - Seek cost per track moved.
+     * @param {number} [options.transferTimeMs=0.1] - Time to transfer one request's data.
+     */
+    constructor(options = {}) {
+        /** @type {number} */
+        this.rpm = DiskTimingModel.toNumber(options.rpm, 7200);
+        /** @type {number} */
+        this.settleTimeMs = DiskTimingModel.toNumber(options.settleTimeMs, 1);
+        /** @type {number} */
+        this.sqrtFactorMs = DiskTimingModel.toNumber(options.sqrtFactorMs, 0.4);
+        /** @type {number} */
+        this.linearFactorMs = DiskTimingModel.toNumber(options.linearFactorMs, 0.01);
+        /** @type {number} */
+        this.transferTimeMs = DiskTimingModel.toNumber(options.transferTimeMs, 0.1);
+
+        this.validate();
+    }
+
+    /**
+     * Parses a numeric option, falling back to a default for empty/invalid input.
+     * @private
+     * @param {*} value - The raw value (number or input string).
+     * @param {number} fallback - The default value.
+     * @returns {number}
+     */
+    static toNumber(value, fallback) {
+        const num = parseFloat(value);
+        return isNaN(num) ? fallback : num;
+    }
+
+    /**
+     * Validates the drive parameters.
+     * @private
+     * @throws {Error} if any parameter is invalid.
+     */
+    validate() {
+        if (this.rpm <= 0) {
+            throw new Error('Drive RPM must be greater than 0');
+        }
+        for (const key of ['settleTimeMs', 'sqrtFactorMs', 'linearFactorMs', 'transferTimeMs']) {
+            if (this[key] < 0) {
+                throw new Error(`Drive timing parameter ${key} cannot be negative`);
+            }
+        }
+    }
+
+    /**
+     * Gets the time of one full revolution.
+     * @returns {number} Milliseconds per revolution.
+     */
+    getRotationTimeMs() {
+        return 60000 / this.rpm;
+    }
+
+    /**
+     * Gets the average rotational latency (half a revolution).
+     * @returns {number} Milliseconds.
+     */
+    getRotationalLatencyMs() {
+        return this.getRotationTimeMs() / 2;
+    }
+
+    /**
+     * Gets the time to seek a given number of tracks.
+     * @param {number} distance - Tracks moved.
+     * @returns {number} Milliseconds (0 for a zero-distance move).
+     */
+    getSeekTimeMs(distance) {
+        if (distance <= 0) return 0;
+        return this.settleTimeMs + this.sqrtFactorMs * Math.sqrt(distance) + this.linearFactorMs * distance;
+    }
+
+    /**
+     * Gets the time to switch to another head (surface) without moving the arm.
+     * The new head still has to settle on its track, so this is the settle time.
+     * During a seek the switch overlaps the arm's movement and costs nothing extra.
+     * @returns {number} Milliseconds.
+     */
+    getHeadSwitchTimeMs() {
+        return this.settleTimeMs;
+    }
+
+    /**
+     * Gets how long one unit of the simulation clock lasts on this drive.
+     * The clock counts one unit per track moved, so a unit is a one-track seek.
+     * @returns {number} Milliseconds (1 if seeks are modeled as free).
+     */
+    getClockUnitMs() {
+        return this.getSeekTimeMs(1) || 1;
+    }
+
+    /**
+     * Gets the time taken by one step of the simulation.
+     * Moves that service a request also pay rotational latency and transfer.
+     * @param {number} distance - Tracks moved on this step.
+     * @param {boolean} serviced - Whether a request was serviced at the end of the move.
+     * @param {number} [rotationalMs=null] - The exact rotational delay, when an
+     * algorithm models the platter angle (e.g., SPTF). Defaults to the average latency.
+     * @param {number} [headSwitchMs=0] - Time spent switching heads on the same
+     * cylinder (see getHeadSwitchTimeMs), counted as seek time.
+     * @returns {{seekMs: number, rotationalMs: number, transferMs: number, totalMs: number}}
+     */
+    getStepTime(distance, serviced, rotationalMs = null, headSwitchMs = 0) {
+        const seekMs = this.getSeekTimeMs(distance) + headSwitchMs;
+        if (rotationalMs === null) {
+            rotationalMs = serviced ? this.getRotationalLatencyMs() : 0;
+        }
+        const transferMs = serviced ? this.transferTimeMs : 0;
+
+        return {
+            seekMs: seekMs,
+            rotationalMs: rotationalMs,
+            transferMs: transferMs,
+            totalMs: seekMs + rotationalMs + transferMs
+        };
+    }
+
+    /**
+     * Gets a plain object of the model parameters (for export and display).
+     * @returns {object}
+     */
+    toJSON() {
+        return {
+            rpm: this.rpm,
+            settleTimeMs: this.settleTimeMs,
+            sqrtFactorMs: this.sqrtFactorMs,
+            linearFactorMs: this.linearFactorMs,
+            transferTimeMs: this.transferTimeMs
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DiskTimingModel;
+}
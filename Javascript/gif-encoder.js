@@ -0,0 +1,271 @@
+/* =====================================================
+ * JS/GIF-ENCODER.JS - ANIMATED GIF WRITER
+ * -----------------------------------------------------
+ * A small GIF89a encoder for the playback recorder's
+ * fallback when the browser cannot record WebM.
+ * 1. Each frame gets its own 256-color palette, picked
+ *    from the frame's most frequent colors (the graph
+ *    uses few colors, plus anti-aliasing shades).
+ * 2. Pixels are mapped to the nearest palette color and
+ *    LZW-compressed as the GIF format requires.
+ * 3. The animation loops forever (NETSCAPE2.0 block).
+ * ===================================================== */
+
+class GifEncoder {
+    /**
+     * Initializes an empty animation.
+     * @param {number} width - Frame width in pixels.
+     * @param {number} height - Frame height in pixels.
+     */
+    constructor(width, height) {
+        if (width < 1 || height < 1 || width > 65535 || height > 65535) {
+            throw new Error('GIF frame size must be between 1 and 65535 pixels');
+        }
+        this.width = width;
+        this.height = height;
+
+        /** @type {Array<number>} Bytes of the block being written. */
+        this.bytes = [];
+        /** @type {Array<Uint8Array>} Finished blocks (header, then one per frame). */
+        this.chunks = [];
+        this.writeHeader();
+        this.flush();
+    }
+
+    /**
+     * Writes the file header, screen descriptor and loop extension.
+     * @private
+     */
+    writeHeader() {
+        this.writeString('GIF89a');
+        this.writeShort(this.width);
+        this.writeShort(this.height);
+        this.bytes.push(0x00, 0x00, 0x00); // No global color table, background 0, square pixels
+
+        // NETSCAPE2.0 application extension: loop forever
+        this.bytes.push(0x21, 0xff, 0x0b);
+        this.writeString('NETSCAPE2.0');
+        this.bytes.push(0x03, 0x01, 0x00, 0x00, 0x00);
+    }
+
+    /**
+     * Adds one frame.
+     * @param {Uint8ClampedArray} rgba - The frame's pixels (ImageData.data), width x height.
+     * @param {number} delayMs - How long the frame is shown, in milliseconds.
+     */
+    addFrame(rgba, delayMs) {
+        if (rgba.length !== this.width * this.height * 4) {
+            throw new Error('GIF frame data does not match the frame size');
+        }
+        const { palette, indices } = GifEncoder.quantize(rgba);
+
+        // Graphic control extension: delay in hundredths of a second, no transparency
+        this.bytes.push(0x21, 0xf9, 0x04, 0x04);
+        this.writeShort(Math.max(2, Math.round(delayMs / 10)));
+        this.bytes.push(0x00, 0x00);
+
+        // Image descriptor with a 256-entry local color table
+        this.bytes.push(0x2c);
+        this.writeShort(0);
+        this.writeShort(0);
+        this.writeShort(this.width);
+        this.writeShort(this.height);
+        this.bytes.push(0x87);
+        for (let i = 0; i < 256; i++) {
+            const color = palette[i] || [0, 0, 0];
+            this.bytes.push(color[0], color[1], color[2]);
+        }
+
+        // LZW image data in sub-blocks of up to 255 bytes
+        const data = GifEncoder.lzwEncode(indices, 8);
+        this.bytes.push(8);
+        for (let offset = 0; offset < data.length; offset += 255) {
+            const block = data.slice(offset, offset + 255);
+            this.bytes.push(block.length, ...block);
+        }
+        this.bytes.push(0x00);
+        this.flush();
+    }
+
+    /**
+     * Finishes the animation.
+     * @returns {Uint8Array} The complete GIF file.
+     */
+    finish() {
+        const parts = [...this.chunks, Uint8Array.of(0x3b)];
+        const file = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+        let offset = 0;
+        for (const part of parts) {
+            file.set(part, offset);
+            offset += part.length;
+        }
+        return file;
+    }
+
+    /**
+     * Reduces a frame to at most 256 colors.
+     * Colors are binned at 5 bits per channel; the 256 most frequent bins
+     * (averaged) form the palette and every bin maps to its nearest entry.
+     * @static
+     * @private
+     * @param {Uint8ClampedArray} rgba - The frame's pixels.
+     * @returns {{palette: Array<Array<number>>, indices: Uint8Array}}
+     */
+    static quantize(rgba) {
+        const pixelCount = rgba.length / 4;
+        const counts = new Uint32Array(32768);
+        const sums = new Float64Array(32768 * 3);
+        const keys = new Uint16Array(pixelCount);
+
+        for (let i = 0; i < pixelCount; i++) {
+            const r = rgba[i * 4], g = rgba[i * 4 + 1], b = rgba[i * 4 + 2];
+            const key = ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+            keys[i] = key;
+            counts[key]++;
+            sums[key * 3] += r;
+            sums[key * 3 + 1] += g;
+            sums[key * 3 + 2] += b;
+        }
+
+        const used = [];
+        for (let key = 0; key < 32768; key++) {
+            if (counts[key] > 0) used.push(key);
+        }
+        used.sort((a, b) => counts[b] - counts[a]);
+
+        const palette = used.slice(0, 256).map(key => [0, 1, 2].map(c => Math.round(sums[key * 3 + c] / counts[key])));
+
+        // Map each bin to its nearest palette color (once per bin)
+        const lookup = new Int16Array(32768).fill(-1);
+        const indices = new Uint8Array(pixelCount);
+        for (let i = 0; i < pixelCount; i++) {
+            const key = keys[i];
+            if (lookup[key] < 0) {
+                lookup[key] = GifEncoder.nearest(palette, rgba[i * 4], rgba[i * 4 + 1], rgba[i * 4 + 2]);
+            }
+            indices[i] = lookup[key];
+        }
+
+        return { palette, indices };
+    }
+
+    /**
+     * Finds the palette entry closest to a color.
+     * @static
+     * @private
+     * @returns {number} The palette index.
+     */
+    static nearest(palette, r, g, b) {
+        let best = 0;
+        let bestDistance = Infinity;
+        for (let i = 0; i < palette.length; i++) {
+            const [pr, pg, pb] = palette[i];
+            const distance = (pr - r) ** 2 + (pg - g) ** 2 + (pb - b) ** 2;
+            if (distance < bestDistance) {
+                best = i;
+                bestDistance = distance;
+            }
+        }
+        return best;
+    }
+
+    /**
+     * LZW-compresses palette indices with GIF's variable-width codes.
+     * @static
+     * @private
+     * @param {Uint8Array} indices - Palette index per pixel.
+     * @param {number} minCodeSize - The LZW minimum code size (bits per index).
+     * @returns {Array<number>} The packed code stream.
+     */
+    static lzwEncode(indices, minCodeSize) {
+        const clearCode = 1 << minCodeSize;
+        const endCode = clearCode + 1;
+        const output = [];
+        let bitBuffer = 0;
+        let bitCount = 0;
+
+        let codeSize = minCodeSize + 1;
+        let nextCode = endCode + 1;
+        let table = new Map();
+
+        const emit = (code) => {
+            bitBuffer |= code << bitCount;
+            bitCount += codeSize;
+            while (bitCount >= 8) {
+                output.push(bitBuffer & 0xff);
+                bitBuffer >>= 8;
+                bitCount -= 8;
+            }
+        };
+
+        emit(clearCode);
+        if (indices.length === 0) {
+            emit(endCode);
+            if (bitCount > 0) output.push(bitBuffer & 0xff);
+            return output;
+        }
+
+        let prefix = indices[0];
+        for (let i = 1; i < indices.length; i++) {
+            const pixel = indices[i];
+            const key = prefix * 256 + pixel;
+            const code = table.get(key);
+            if (code !== undefined) {
+                prefix = code;
+                continue;
+            }
+
+            emit(prefix);
+            if (nextCode < 4096) {
+                table.set(key, nextCode++);
+                if (nextCode > (1 << codeSize) && codeSize < 12) codeSize++;
+            } else {
+                // Table full: start over
+                emit(clearCode);
+                table = new Map();
+                codeSize = minCodeSize + 1;
+                nextCode = endCode + 1;
+            }
+            prefix = pixel;
+        }
+
+        emit(prefix);
+        // The decoder adds one more entry on reading the last code
+        if (nextCode === (1 << codeSize) && codeSize < 12) codeSize++;
+        emit(endCode);
+        if (bitCount > 0) output.push(bitBuffer & 0xff);
+        return output;
+    }
+
+    /**
+     * Moves the bytes written so far into a finished chunk.
+     * @private
+     */
+    flush() {
+        this.chunks.push(Uint8Array.from(this.bytes));
+        this.bytes = [];
+    }
+
+    /**
+     * Writes a 16-bit little-endian number.
+     * @private
+     */
+    writeShort(value) {
+        this.bytes.push(value & 0xff, (value >> 8) & 0xff);
+    }
+
+    /**
+     * Writes ASCII text.
+     * @private
+     */
+    writeString(text) {
+        for (let i = 0; i < text.length; i++) {
+            this.bytes.push(text.charCodeAt(i));
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GifEncoder;
+}
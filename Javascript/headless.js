@@ -0,0 +1,126 @@
+/* =====================================================
+ * JS/HEADLESS.JS - DOM-FREE SIMULATION CORE (NODE.JS)
+ * -----------------------------------------------------
+ * The browser loads every class as a global through
+ * <script> tags, and the algorithm files rely on that
+ * (`class SCAN extends AlgorithmBase`). In Node each
+ * file is its own module, so this file requires them in
+ * the same order as index.html and publishes each export
+ * as a global before the next file needs it.
+ *
+ * Only the DOM-free modules are loaded: StateManager,
+ * the algorithms, DiskTimingModel, RequestMetrics,
+ * WorkloadGenerator, TraceImporter, RunFile and
+ * LatexExport. Controller and the renderers stay
+ * browser-only.
+ *
+ * Usage:
+ *   const { simulate } = require('./Javascript/headless.js');
+ *   const steps = simulate({ algorithm: 'sstf', head: 53, maxTrack: 199,
+ *                            requests: [98, 183, 37, 122], direction: 'low' });
+ * ===================================================== */
+
+// --- Load the browser classes as globals (same order as index.html) ---
+const MODULES = [
+    ['DiskTimingModel', './disk-timing-model.js'],
+    ['RequestMetrics', './request-metrics.js'],
+    ['WorkloadGenerator', './workload-generator.js'],
+    ['TraceImporter', './trace-importer.js'],
+    ['RunFile', './run-file.js'],
+    ['LatexExport', './latex-export.js'],
+    ['StateManager', './state-manager.js'],
+    ['AlgorithmBase', './Algorithms/algorithm-base.js'],
+    ['FCFS', './Algorithms/fcfs.js'],
+    ['SSTF', './Algorithms/sstf.js'],
+    ['SCAN', './Algorithms/scan.js'],
+    ['CSCAN', './Algorithms/cscan.js'],
+    ['LOOK', './Algorithms/look.js'],
+    ['CLOOK', './Algorithms/clook.js'],
+    ['NStepSCAN', './Algorithms/nstep-scan.js'],
+    ['FSCAN', './Algorithms/fscan.js'],
+    ['Deadline', './Algorithms/deadline.js'],
+    ['SPTF', './Algorithms/sptf.js'],
+    ['Optimal', './Algorithms/optimal.js']
+];
+
+for (const [name, path] of MODULES) {
+    if (typeof globalThis[name] === 'undefined') {
+        globalThis[name] = require(path);
+    }
+}
+
+/**
+ * The algorithms available to simulate(), by the same names main.js registers.
+ * @type {Map<string, class>}
+ */
+const ALGORITHMS = new Map([
+    ['fcfs', FCFS],
+    ['sstf', SSTF],
+    ['scan', SCAN],
+    ['cscan', CSCAN],
+    ['look', LOOK],
+    ['clook', CLOOK],
+    ['nstepscan', NStepSCAN],
+    ['fscan', FSCAN],
+    ['deadline', Deadline],
+    ['sptf', SPTF],
+    ['optimal', Optimal]
+]);
+
+/**
+ * Creates and runs a simulation, returning its StateManager
+ * (for the summary, metrics and export data as well as the steps).
+ * @param {object} options - Simulation settings.
+ * @param {string} [options.algorithm='fcfs'] - A key of ALGORITHMS.
+ * @param {number} [options.head=53] - Initial head position.
+ * @param {number} [options.maxTrack=199] - Maximum track number.
+ * @param {Array<number>|string} options.requests - Track numbers, or a queue string in
+ * the request-queue syntax (e.g., "98, 183w@20, 37/1/12").
+ * @param {string} [options.direction='low'] - 'low' or 'high', for SCAN-family algorithms.
+ * @param {object} [options.params] - Any other StateManager.initializeWithParams() fields
+ * (e.g., batchSize, readExpire, timing).
+ * @returns {StateManager} The state, with allSteps pre-calculated.
+ * @throws {Error} for an unknown algorithm, invalid parameters or an algorithm that fails.
+ */
+function createSimulation({ algorithm = 'fcfs', head = 53, maxTrack = 199, requests = [], direction = 'low', params = {} } = {}) {
+    const AlgorithmClass = ALGORITHMS.get(algorithm);
+    if (!AlgorithmClass) {
+        throw new Error(`Algorithm ${algorithm} not found. Available: ${[...ALGORITHMS.keys()].join(', ')}`);
+    }
+
+    const state = new StateManager();
+    state.initializeWithParams({
+        ...params,
+        algorithm: algorithm,
+        initialHeadPosition: String(head),
+        maxTrackNumber: String(maxTrack),
+        requestQueue: Array.isArray(requests) ? requests.join(', ') : String(requests),
+        direction: direction
+    });
+
+    const validation = state.validateParameters();
+    if (!validation.valid) {
+        throw new Error(validation.errors.join('\n'));
+    }
+
+    state.generateSequence(AlgorithmClass);
+    if (state.lastError) {
+        throw new Error(`${algorithm.toUpperCase()} failed: ${state.lastError}`);
+    }
+    return state;
+}
+
+/**
+ * Runs a simulation headlessly.
+ * @param {object} options - See createSimulation().
+ * @returns {Array<object>} The step objects, as built by StateManager.convertSequenceToSteps.
+ * @throws {Error} for an unknown algorithm or invalid parameters.
+ */
+function simulate(options) {
+    return createSimulation(options).allSteps;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { simulate, createSimulation, ALGORITHMS, WorkloadGenerator, TraceImporter, RunFile, LatexExport };
+}
@@ -0,0 +1,269 @@
+/* =====================================================
+ * JS/LATEX-EXPORT.JS - LATEX (TIKZ/PGFPLOTS) REPORT
+ * -----------------------------------------------------
+ * Writes a finished simulation as a standalone LaTeX
+ * document for exam solutions and papers:
+ * 1. A parameter and results summary (booktabs tabular).
+ * 2. The Position vs. Time graph as a pgfplots figure,
+ *    built from the same step data the canvas draws:
+ *    labelled points, seek distances, dashed wrap jumps
+ *    and batch boundaries.
+ * 3. The execution trace table from the PDF report.
+ *
+ * Only tikz, pgfplots and booktabs are required. Each
+ * part can also be taken on its own (figure(), ...) to
+ * paste into an existing document.
+ * ===================================================== */
+
+class LatexExport {
+    /**
+     * Trace table rows per tabular. Plain tabulars cannot break across
+     * pages, so long traces are split into several tables.
+     * @static
+     * @returns {number}
+     */
+    static get ROWS_PER_TABLE() {
+        return 40;
+    }
+
+    /**
+     * Colors used in the figure, matching CanvasRenderer's palette.
+     * @static
+     * @returns {object} Color name -> HTML hex (without '#').
+     */
+    static get COLORS() {
+        return {
+            pending: '007BFF',
+            head: 'E74C3C',
+            batchLine: '95A5A6'
+        };
+    }
+
+    /**
+     * Builds the complete, compilable document.
+     * @static
+     * @param {object} exportData - Data from StateManager.getExportData().
+     * @returns {string} The LaTeX source.
+     */
+    static toLatex(exportData) {
+        const colors = Object.entries(LatexExport.COLORS)
+            .map(([name, hex]) => `\\definecolor{${name}}{HTML}{${hex}}`)
+            .join('\n');
+
+        return [
+            '\\documentclass{article}',
+            '\\usepackage{booktabs}',
+            '\\usepackage{tikz}',
+            '\\usepackage{pgfplots}',
+            '\\pgfplotsset{compat=1.16}',
+            colors,
+            '',
+            '\\begin{document}',
+            '',
+            `\\section*{Disk Scheduling: ${LatexExport.escape(exportData.algorithm.toUpperCase())}}`,
+            '',
+            '\\subsection*{Parameters and Results}',
+            LatexExport.summaryTable(exportData),
+            '',
+            '\\subsection*{Position vs. Time}',
+            LatexExport.figure(exportData),
+            '',
+            '\\subsection*{Execution Trace}',
+            LatexExport.traceTables(exportData.allSteps),
+            '',
+            '\\end{document}',
+            ''
+        ].join('\n');
+    }
+
+    /**
+     * Builds the parameter and results summary.
+     * @static
+     * @param {object} exportData - Data from StateManager.getExportData().
+     * @returns {string} A centered booktabs tabular.
+     */
+    static summaryTable(exportData) {
+        const requests = exportData.requestDetails
+            ? exportData.requestDetails.map(detail => LatexExport.formatRequest(detail))
+            : exportData.requestQueue.map(String);
+
+        const rows = [
+            ['Algorithm', exportData.algorithm.toUpperCase()],
+            ['Initial Head Position', exportData.initialHeadPosition],
+            ['Max Track Number', exportData.maxTrackNumber],
+            ['Request Queue', requests.join(', ')]
+        ];
+        if (exportData.direction) rows.push(['Direction', exportData.direction]);
+        if (exportData.batchSize) rows.push(['Batch Size (N)', exportData.batchSize]);
+        if (exportData.readExpire) rows.push(['Read / Write Expiry', `${exportData.readExpire} / ${exportData.writeExpire}`]);
+
+        const optimal = StateManager.describeOptimal(exportData.optimalIsStaticBound);
+        const results = [
+            ['Total Head Movement', exportData.totalHeadMovement],
+            ['Total Seeks', exportData.seeksCount],
+            ['Average Seek Distance', exportData.averageSeekTime],
+            ['Total Elapsed (ms)', exportData.totalElapsedMs],
+            [optimal.label, `+${exportData.percentAboveOptimal}\\% (${optimal.name}: ${exportData.optimalMovement})`]
+        ];
+
+        const line = ([label, value], escapeValue = true) =>
+            `${LatexExport.escape(label)} & ${escapeValue ? LatexExport.escape(value) : value} \\\\`;
+
+        return [
+            '\\begin{center}',
+            '\\begin{tabular}{lp{0.6\\linewidth}}',
+            '\\toprule',
+            ...rows.map(row => line(row)),
+            '\\midrule',
+            ...results.map(row => line(row, row[0] !== optimal.label)),
+            '\\bottomrule',
+            '\\end{tabular}',
+            '\\end{center}'
+        ].join('\n');
+    }
+
+    /**
+     * Builds the Position vs. Time figure for the whole run.
+     * Like the canvas, time runs downwards and disk position left to right.
+     * @static
+     * @param {object} exportData - Data from StateManager.getExportData().
+     * @returns {string} A tikzpicture with a pgfplots axis.
+     */
+    static figure(exportData) {
+        const steps = exportData.allSteps;
+        const maxTrack = exportData.maxTrackNumber > 0 ? exportData.maxTrackNumber : 1;
+        const lastIndex = Math.max(steps.length - 1, 1);
+        const point = (step, index) => `(${step.headPosition},${index})`;
+
+        const body = [];
+
+        // Batch boundaries (N-Step SCAN / FSCAN), underneath the trace
+        steps.forEach((step, i) => {
+            if (i > 0 && step.batchStart && step.batch > 1) {
+                body.push(`\\draw[batchLine, densely dashed] (axis cs:0,${i - 1}) -- (axis cs:${maxTrack},${i - 1})` +
+                    ` node[pos=1, right, font=\\tiny] {Batch ${step.batch}};`);
+            }
+        });
+
+        // Trace line: runs of normal moves are one plot, wrap jumps are dashed
+        let run = [];
+        const flushRun = () => {
+            if (run.length > 1) {
+                body.push(`\\addplot[pending, thick] coordinates {${run.join(' ')}};`);
+            }
+            run = [];
+        };
+        steps.forEach((step, i) => {
+            if (i === 0) {
+                run.push(point(step, i));
+                return;
+            }
+            if (step.moveType === 'wrap') {
+                flushRun();
+                body.push(`\\addplot[pending, thick, dashed] coordinates {${point(steps[i - 1], i - 1)} ${point(step, i)}};`);
+            } else if (run.length === 0) {
+                run.push(point(steps[i - 1], i - 1));
+            }
+            if (step.moveType !== 'wrap') run.push(point(step, i));
+        });
+        flushRun();
+
+        // Points (the final head position in the head color)
+        if (steps.length > 1) {
+            body.push(`\\addplot[only marks, mark=*, pending] coordinates {${steps.slice(0, -1).map(point).join(' ')}};`);
+        }
+        if (steps.length > 0) {
+            body.push(`\\addplot[only marks, mark=*, head] coordinates {${point(steps[steps.length - 1], steps.length - 1)}};`);
+        }
+
+        // Track labels on the points and seek distances on the segments
+        steps.forEach((step, i) => {
+            body.push(`\\node[above right, font=\\scriptsize] at (axis cs:${step.headPosition},${i}) {${step.headPosition}};`);
+            if (i > 0) {
+                const midX = (steps[i - 1].headPosition + step.headPosition) / 2;
+                body.push(`\\node[fill=white, fill opacity=0.8, text opacity=1, text=head, font=\\tiny]` +
+                    ` at (axis cs:${midX},${i - 0.5}) {${step.seekDistance}};`);
+            }
+        });
+
+        return [
+            '\\begin{center}',
+            '\\begin{tikzpicture}',
+            '\\begin{axis}[',
+            '    width=\\linewidth, height=0.7\\linewidth,',
+            `    xmin=0, xmax=${maxTrack}, ymin=0, ymax=${lastIndex},`,
+            '    y dir=reverse,',
+            '    xlabel={Disk Position}, ylabel={Time (Steps)},',
+            '    grid=both, grid style={gray!15}, clip=false',
+            ']',
+            ...body,
+            '\\end{axis}',
+            '\\end{tikzpicture}',
+            '\\end{center}'
+        ].join('\n');
+    }
+
+    /**
+     * Builds the execution trace as one or more booktabs tabulars.
+     * @static
+     * @param {Array<object>} steps - Step objects.
+     * @returns {string}
+     */
+    static traceTables(steps) {
+        const table = StateManager.getTraceTable(steps);
+        const header = table.head.map(LatexExport.escape).join(' & ') + ' \\\\';
+        const tables = [];
+
+        for (let start = 0; start < table.body.length; start += LatexExport.ROWS_PER_TABLE) {
+            const rows = table.body.slice(start, start + LatexExport.ROWS_PER_TABLE);
+            tables.push([
+                '\\begin{center}',
+                `\\begin{tabular}{${'r'.repeat(table.head.length)}}`,
+                '\\toprule',
+                header,
+                '\\midrule',
+                ...rows.map(row => row.map(LatexExport.escape).join(' & ') + ' \\\\'),
+                '\\bottomrule',
+                '\\end{tabular}',
+                '\\end{center}'
+            ].join('\n'));
+        }
+
+        return tables.join('\n\n');
+    }
+
+    /**
+     * Formats a request like StateManager.formatRequest() (e.g. "98/2/35w@20"),
+     * from a requestDetails entry.
+     * @static
+     * @private
+     * @param {{track: number, arrival: number, type: string, head: ?number, sector: ?number}} detail
+     * @returns {string}
+     */
+    static formatRequest(detail) {
+        const location = detail.head !== null && detail.head !== undefined ? `/${detail.head}/${detail.sector}` : '';
+        const type = detail.type === 'write' ? 'w' : '';
+        const arrival = detail.arrival > 0 ? `@${detail.arrival}` : '';
+        return `${detail.track}${location}${type}${arrival}`;
+    }
+
+    /**
+     * Escapes LaTeX special characters.
+     * @static
+     * @private
+     * @param {*} text
+     * @returns {string}
+     */
+    static escape(text) {
+        const replacements = {
+            '\\': '\\textbackslash{}', '{': '\\{', '}': '\\}', '$': '\\$', '&': '\\&',
+            '#': '\\#', '%': '\\%', '_': '\\_', '^': '\\textasciicircum{}', '~': '\\textasciitilde{}'
+        };
+        return String(text).replace(/[\\{}$&#%_^~]/g, ch => replacements[ch]);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LatexExport;
+}
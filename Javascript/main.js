@@ -46,10 +46,46 @@ function initializeApp() {
         controller.registerAlgorithm('cscan', CSCAN);
         controller.registerAlgorithm('look', LOOK);
         controller.registerAlgorithm('clook', CLOOK);
+        controller.registerAlgorithm('nstepscan', NStepSCAN);
+        controller.registerAlgorithm('fscan', FSCAN);
+        controller.registerAlgorithm('deadline', Deadline);
+        controller.registerAlgorithm('sptf', SPTF);
+        controller.registerAlgorithm('optimal', Optimal);
 
         // 6. Initialize controller (this sets up its internal listeners)
         controller.init();
 
+        // Hover tooltips and click-to-jump on the graph points
+        canvasRenderer.initMouseTracking((stepIndex) => controller.handleJumpToStep(stepIndex));
+
+        // 6a. Add the disk bar above the graph and the platter view (shown for cylinder/head/sector requests)
+        controller.addView(new DiskBarRenderer('diskCanvas', stateManager));
+        controller.addView(new PlatterRenderer('platterCanvas', stateManager));
+
+        // 6b. Create the side-by-side comparison view
+        const comparisonView = new ComparisonView(controller);
+        comparisonView.init();
+
+        // 6c. Create the workload generator panel
+        const workloadPanel = new WorkloadPanel(controller);
+        workloadPanel.init();
+
+        // 6d. Create the trace import panel
+        const tracePanel = new TracePanel(controller);
+        tracePanel.init();
+
+        // 6e. Create the saved scenario library (persisted in localStorage, or in memory where it is blocked)
+        const scenarioPanel = new ScenarioPanel(controller, new ScenarioLibrary());
+        scenarioPanel.init();
+
+        // 6f. Create the video/GIF recorder
+        const playbackRecorder = new PlaybackRecorder(controller);
+        playbackRecorder.init();
+
+        // 6g. Create the custom algorithm editor (user code runs in a Web Worker)
+        const customAlgorithmPanel = new CustomAlgorithmPanel(controller, new CustomAlgorithmSandbox());
+        customAlgorithmPanel.init();
+
         // 7. --- Setup Main UI Event Listeners ---
 
         // Listener for the FIRST "Run Simulation" button
@@ -67,10 +103,11 @@ function initializeApp() {
         const initialHeadPosition = document.getElementById('initialHeadPosition');
         const maxTrackNumber = document.getElementById('maxTrackNumber');
         const requestQueue = document.getElementById('requestQueue');
-        const directionGroup = document.getElementById('directionGroup');
+        const starvationThreshold = document.getElementById('starvationThreshold');
+        const batchSize = document.getElementById('batchSize');
+        const deadlineInputs = document.getElementById('deadlineGroup').querySelectorAll('input');
         const directionInputs = document.querySelectorAll('input[name="direction"]');
-        
-        const scanAlgos = ['scan', 'cscan', 'look', 'clook'];
+        const driveModelInputs = document.querySelectorAll('.drive-model-group input');
 
         // This function will be called by ALL input listeners
         const handleInputChange = () => {
@@ -79,16 +116,18 @@ function initializeApp() {
                 errorBox.style.display = 'none';
             }
 
-            // 2. Toggle the direction group visibility
-            if (scanAlgos.includes(algorithmSelect.value)) {
-                directionGroup.style.display = 'flex';
-            } else {
-                directionGroup.style.display = 'none';
-            }
+            // 2. Show the option groups (direction, batch size...) the algorithm uses
+            controller.updateOptionVisibility();
+
+            // 2b. Start the custom algorithms' worker runs on the new configuration
+            customAlgorithmPanel.prepare();
             
             // 3. Re-generate the simulation to update the state
             // This will also update the "Initial Request Queue" box
             controller.generateSimulation();
+
+            // 4. Remember the configuration for the next visit
+            scenarioPanel.saveSession();
         };
 
         // Attach the *single* handler to all inputs
@@ -96,11 +135,30 @@ function initializeApp() {
         initialHeadPosition.addEventListener('input', handleInputChange);
         maxTrackNumber.addEventListener('input', handleInputChange);
         requestQueue.addEventListener('input', handleInputChange);
+        batchSize.addEventListener('input', handleInputChange);
+        deadlineInputs.forEach(input => input.addEventListener('input', handleInputChange));
+        starvationThreshold.addEventListener('input', handleInputChange);
         directionInputs.forEach(input => input.addEventListener('change', handleInputChange));
+        driveModelInputs.forEach(input => input.addEventListener('input', handleInputChange));
+
+        // Restore the last session, unless the page was opened with a share link
+        if (!Permalink.decode(window.location.hash)) {
+            scenarioPanel.restoreSession();
+        }
 
         // Call it once on load to set initial state
         handleInputChange();
 
+        // 8. Restore a shared simulation link (on load, or when a link is pasted)
+        const restoreFromHash = () => {
+            const link = Permalink.decode(window.location.hash);
+            if (link) {
+                controller.restoreFromLink(link);
+            }
+        };
+        window.addEventListener('hashchange', restoreFromHash);
+        restoreFromHash();
+
     } catch (error) {
         // Use a less intrusive error display
         const errorEl = document.getElementById('configError'); // Use the new error box
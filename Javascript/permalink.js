@@ -0,0 +1,111 @@
+/* =====================================================
+ * JS/PERMALINK.JS - SHAREABLE SIMULATION LINKS
+ * -----------------------------------------------------
+ * Encodes the full configuration, the animation speed
+ * and the current step into a URL hash, e.g.
+ *   #algorithm=sstf&head=53&maxTrack=199&requests=98%2C183...&step=4
+ * and decodes it again. Parameters use the same shape as
+ * StateManager.getParameters() / initializeWithParams().
+ * ===================================================== */
+
+class Permalink {
+    /**
+     * Hash keys for the flat (non-timing) parameters.
+     * @static
+     * @returns {object} Parameter name -> hash key.
+     */
+    static get PARAM_KEYS() {
+        return {
+            algorithm: 'algorithm',
+            initialHeadPosition: 'head',
+            maxTrackNumber: 'maxTrack',
+            requestQueue: 'requests',
+            direction: 'direction',
+            batchSize: 'batchSize',
+            readExpire: 'readExpire',
+            writeExpire: 'writeExpire',
+            starvationThreshold: 'starvation',
+            headsCount: 'heads',
+            sectorsPerTrack: 'sectors'
+        };
+    }
+
+    /**
+     * Hash keys for the drive timing parameters.
+     * @static
+     * @returns {object} Timing option name -> hash key.
+     */
+    static get TIMING_KEYS() {
+        return {
+            rpm: 'rpm',
+            settleTimeMs: 'settle',
+            sqrtFactorMs: 'sqrtFactor',
+            linearFactorMs: 'linearFactor',
+            transferTimeMs: 'transfer'
+        };
+    }
+
+    /**
+     * Encodes a simulation into a URL hash.
+     * @static
+     * @param {object} params - Parameters from StateManager.getParameters().
+     * @param {object} [view={}]
+     * @param {number} [view.speed] - Animation speed (1-10).
+     * @param {number} [view.step] - Current step index.
+     * @returns {string} The hash, including the leading '#'.
+     */
+    static encode(params, { speed, step } = {}) {
+        const search = new URLSearchParams();
+
+        for (const [name, key] of Object.entries(Permalink.PARAM_KEYS)) {
+            if (params[name] !== undefined && params[name] !== null) {
+                search.set(key, params[name]);
+            }
+        }
+        for (const [name, key] of Object.entries(Permalink.TIMING_KEYS)) {
+            if (params.timing && params.timing[name] !== undefined) {
+                search.set(key, params.timing[name]);
+            }
+        }
+        if (speed !== undefined) search.set('speed', speed);
+        if (step !== undefined) search.set('step', step);
+
+        return '#' + search.toString();
+    }
+
+    /**
+     * Decodes a URL hash produced by encode().
+     * Missing keys are left out, so callers keep their own defaults for them.
+     * @static
+     * @param {string} hash - The URL hash (with or without the leading '#').
+     * @returns {{params: object, speed: ?number, step: ?number} | null} Null if the hash
+     * does not describe a simulation.
+     */
+    static decode(hash) {
+        const search = new URLSearchParams(String(hash || '').replace(/^#/, ''));
+        if (!search.has('algorithm') || !search.has('requests')) {
+            return null;
+        }
+
+        const params = { timing: {} };
+        for (const [name, key] of Object.entries(Permalink.PARAM_KEYS)) {
+            if (search.has(key)) params[name] = search.get(key);
+        }
+        for (const [name, key] of Object.entries(Permalink.TIMING_KEYS)) {
+            if (search.has(key)) params.timing[name] = search.get(key);
+        }
+
+        const speed = parseInt(search.get('speed'));
+        const step = parseInt(search.get('step'));
+        return {
+            params: params,
+            speed: isNaN(speed) ? null : speed,
+            step: isNaN(step) ? null : step
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Permalink;
+}
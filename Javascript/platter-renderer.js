@@ -0,0 +1,204 @@
+/* =====================================================
+ * JS/PLATTER-RENDERER.JS - TOP-DOWN PLATTER VIEW
+ * -----------------------------------------------------
+ * Draws the disk as seen from above: cylinders are rings
+ * (cylinder 0 on the outer edge) and each request sits at
+ * the angle of its sector. The platter turns with the
+ * modeled drive time (StateManager step.elapsedMs), while
+ * the head stays fixed at 12 o'clock, so a request
+ * reaches the head when it rotates to the top.
+ * ===================================================== */
+
+class PlatterRenderer {
+    /**
+     * Initializes the PlatterRenderer.
+     * @param {string} canvasId - The ID of the platter <canvas> element.
+     * @param {StateManager} stateManager - An instance of the StateManager.
+     */
+    constructor(canvasId, stateManager) {
+        this.canvas = document.getElementById(canvasId);
+        if (!this.canvas) {
+            throw new Error(`Canvas with ID ${canvasId} not found.`);
+        }
+        this.ctx = this.canvas.getContext('2d');
+        this.state = stateManager;
+
+        this.colors = {
+            background: '#ffffff',
+            platter: '#f4f6f7',
+            ring: '#d5dbdb',
+            pending: '#007bff', // Blue
+            serviced: '#27ae60', // Green
+            upcoming: '#bdc3c7', // Grey
+            head: '#e74c3c', // Red
+            text: '#000000'
+        };
+    }
+
+    /**
+     * Checks whether the platter view applies to the current simulation:
+     * requests with sector addresses, or the SPTF algorithm.
+     * @returns {boolean}
+     */
+    isActive() {
+        return this.state.algorithm === 'sptf' || this.state.hasSectorInfo();
+    }
+
+    /**
+     * Main render function. Called by the controller for each step.
+     * Hides the view's container when there is nothing angular to show.
+     */
+    render() {
+        const container = this.canvas.parentElement;
+        if (container) {
+            container.style.display = this.isActive() ? 'flex' : 'none';
+        }
+        if (!this.isActive()) return;
+
+        const ctx = this.ctx;
+        const width = this.canvas.width;
+        const height = this.canvas.height;
+
+        ctx.fillStyle = this.colors.background;
+        ctx.fillRect(0, 0, width, height);
+
+        const centerX = width / 2;
+        const centerY = height / 2 + 10;
+        const outerRadius = Math.min(width, height) / 2 - 30;
+        const hubRadius = outerRadius * 0.15;
+
+        const step = this.state.allSteps[this.state.currentStepIndex] || this.state.createInitialStep();
+        // The live values keep the platter turning and the arm moving mid-step during playback
+        const phase = this.getPhase(this.state.elapsedMs);
+
+        this.drawPlatter(ctx, centerX, centerY, outerRadius, hubRadius);
+        this.drawRequests(ctx, centerX, centerY, outerRadius, hubRadius, step, phase);
+        this.drawHead(ctx, centerX, centerY, outerRadius, hubRadius, this.state.currentHeadPosition);
+        this.drawCaption(ctx, step, phase);
+    }
+
+    /**
+     * Gets the platter's rotation as a fraction of a revolution [0, 1).
+     * @param {number} elapsedMs - Modeled drive time.
+     * @returns {number}
+     */
+    getPhase(elapsedMs) {
+        const rotationMs = this.state.timingModel.getRotationTimeMs();
+        return (elapsedMs % rotationMs) / rotationMs;
+    }
+
+    /**
+     * Maps a cylinder to a ring radius (cylinder 0 on the outer edge).
+     * @private
+     */
+    getRadius(cylinder, outerRadius, hubRadius) {
+        const fraction = this.state.maxTrackNumber > 0 ? cylinder / this.state.maxTrackNumber : 0;
+        return outerRadius - fraction * (outerRadius - hubRadius);
+    }
+
+    /**
+     * Maps a sector to a canvas angle. The head is at the top (-90°)
+     * and the sector under it is the one matching the platter phase.
+     * @private
+     */
+    getAngle(sector, phase) {
+        return -Math.PI / 2 + (sector / this.state.sectorsPerTrack - phase) * 2 * Math.PI;
+    }
+
+    /**
+     * Draws the platter, a few cylinder rings and the spindle hub.
+     * @private
+     */
+    drawPlatter(ctx, cx, cy, outerRadius, hubRadius) {
+        ctx.fillStyle = this.colors.platter;
+        ctx.strokeStyle = this.colors.ring;
+        ctx.lineWidth = 1;
+
+        ctx.beginPath();
+        ctx.arc(cx, cy, outerRadius, 0, 2 * Math.PI);
+        ctx.fill();
+        ctx.stroke();
+
+        const rings = 4;
+        for (let i = 1; i < rings; i++) {
+            ctx.beginPath();
+            ctx.arc(cx, cy, hubRadius + (outerRadius - hubRadius) * i / rings, 0, 2 * Math.PI);
+            ctx.stroke();
+        }
+
+        ctx.fillStyle = this.colors.ring;
+        ctx.beginPath();
+        ctx.arc(cx, cy, hubRadius, 0, 2 * Math.PI);
+        ctx.fill();
+    }
+
+    /**
+     * Draws every request at its cylinder ring and sector angle.
+     * Plain track requests are drawn at sector 0, as SPTF treats them.
+     * @private
+     */
+    drawRequests(ctx, cx, cy, outerRadius, hubRadius, step, phase) {
+        ctx.font = '10px Arial';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'bottom';
+
+        this.state.requestDetails.forEach(({ track, sector }, id) => {
+            const radius = this.getRadius(track, outerRadius, hubRadius);
+            const angle = this.getAngle(sector ?? 0, phase);
+            const px = cx + radius * Math.cos(angle);
+            const py = cy + radius * Math.sin(angle);
+
+            let color = this.colors.pending;
+            if (step.servicedIds.includes(id)) {
+                color = this.colors.serviced;
+            } else if (step.upcomingIds.includes(id)) {
+                color = this.colors.upcoming;
+            }
+
+            ctx.fillStyle = color;
+            ctx.beginPath();
+            ctx.arc(px, py, 5, 0, 2 * Math.PI);
+            ctx.fill();
+
+            ctx.fillStyle = this.colors.text;
+            ctx.fillText(this.state.formatRequestById(id), px, py - 6);
+        });
+    }
+
+    /**
+     * Draws the head arm, fixed at 12 o'clock over the current cylinder.
+     * @private
+     */
+    drawHead(ctx, cx, cy, outerRadius, hubRadius, headPosition) {
+        const radius = this.getRadius(headPosition, outerRadius, hubRadius);
+
+        ctx.strokeStyle = this.colors.head;
+        ctx.lineWidth = 3;
+        ctx.beginPath();
+        ctx.moveTo(cx, cy - outerRadius - 15);
+        ctx.lineTo(cx, cy - radius);
+        ctx.stroke();
+
+        ctx.fillStyle = this.colors.head;
+        ctx.beginPath();
+        ctx.arc(cx, cy - radius, 4, 0, 2 * Math.PI);
+        ctx.fill();
+    }
+
+    /**
+     * Draws the platter angle and drive time.
+     * @private
+     */
+    drawCaption(ctx, step, phase) {
+        ctx.fillStyle = this.colors.text;
+        ctx.font = '12px Arial';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'top';
+        ctx.fillText(`Angle: ${(phase * 360).toFixed(0)}°  |  Drive time: ${this.state.elapsedMs.toFixed(2)} ms`, 8, 6);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PlatterRenderer;
+}
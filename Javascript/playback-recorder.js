@@ -0,0 +1,229 @@
+/* =====================================================
+ * JS/PLAYBACK-RECORDER.JS - VIDEO/GIF RECORDING OF A RUN
+ * -----------------------------------------------------
+ * Records the animated playback for slides and LMS pages.
+ * The run is replayed on its own StateManager copy and an
+ * off-screen canvas at the chosen resolution, so the UI
+ * is never in the frame and the on-screen simulation is
+ * left alone. Frames are produced by stepping with
+ * StateManager.nextStep(), one frame per step:
+ * 1. WebM: MediaRecorder on a captureStream(0) track;
+ *    each frame is pushed with requestFrame() and held
+ *    for the step delay.
+ * 2. GIF (fallback): GifEncoder, with the step delay as
+ *    the frame delay.
+ * ===================================================== */
+
+class PlaybackRecorder {
+    /**
+     * Initializes the PlaybackRecorder.
+     * @param {Controller} controller - The main application controller.
+     */
+    constructor(controller) {
+        this.controller = controller;
+
+        /** @type {boolean} Whether a recording is in progress. */
+        this.isRecording = false;
+
+        // Element cache
+        this.ui = {};
+    }
+
+    /**
+     * How long the final frame is held, so a clip does not end abruptly.
+     * @static
+     * @returns {number} Milliseconds.
+     */
+    static get FINAL_HOLD_MS() {
+        return 1500;
+    }
+
+    /**
+     * Caches UI elements and sets up event listeners.
+     */
+    init() {
+        this.ui.format = document.getElementById('recordFormat');
+        this.ui.resolution = document.getElementById('recordResolution');
+        this.ui.speed = document.getElementById('recordSpeed');
+        this.ui.recordBtn = document.getElementById('recordBtn');
+        this.ui.status = document.getElementById('recordStatus');
+
+        this.ui.recordBtn.addEventListener('click', () => this.handleRecord());
+    }
+
+    /**
+     * Gets a WebM type this browser can record, if any.
+     * @static
+     * @returns {string|null} The MIME type, or null when WebM recording is unsupported.
+     */
+    static getWebMType() {
+        if (typeof MediaRecorder === 'undefined' || !HTMLCanvasElement.prototype.captureStream) {
+            return null;
+        }
+        return ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+            .find(type => MediaRecorder.isTypeSupported(type)) || null;
+    }
+
+    /**
+     * Handles the "Record" button: records the whole run and downloads it.
+     */
+    async handleRecord() {
+        if (this.isRecording) return;
+
+        try {
+            if (this.controller.state.allSteps.length === 0) {
+                throw new Error('Run a simulation before recording');
+            }
+
+            const [width, height] = this.ui.resolution.value.split('x').map(Number);
+            const source = this.createFrameSource(width, height, parseInt(this.ui.speed.value) || 5);
+
+            let format = this.ui.format.value;
+            const webmType = PlaybackRecorder.getWebMType();
+            let note = '';
+            if (format === 'webm' && !webmType) {
+                format = 'gif';
+                note = ' (WebM is not supported in this browser)';
+            }
+
+            this.setRecording(true);
+            const blob = format === 'webm'
+                ? await this.recordWebM(source, webmType)
+                : await this.recordGIF(source);
+
+            this.controller.downloadFile(`disk-scheduling-${this.controller.state.algorithm}.${format}`, blob, blob.type);
+            this.ui.status.textContent = `Saved ${source.state.allSteps.length} frames as ${format.toUpperCase()}${note}.`;
+
+        } catch (error) {
+            this.ui.status.textContent = '';
+            this.controller.showError('Error: ' + error.message);
+        } finally {
+            this.setRecording(false);
+        }
+    }
+
+    /**
+     * Sets up the off-screen replay: a copy of the run, a canvas at the
+     * chosen size and a renderer with the same visible traces as the page.
+     * @private
+     * @param {number} width - Frame width in pixels.
+     * @param {number} height - Frame height in pixels.
+     * @param {number} speed - Playback speed, 1 (slow) to 10 (fast), as on the speed slider.
+     * @returns {{state: StateManager, canvas: HTMLCanvasElement, renderer: CanvasRenderer, delay: number}}
+     */
+    createFrameSource(width, height, speed) {
+        const state = new StateManager();
+        state.loadExportData(this.controller.state.getExportData());
+        state.setAnimationSpeed(speed);
+
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+
+        const renderer = new CanvasRenderer(canvas, state);
+        const pageRenderer = this.controller.renderer;
+        renderer.primaryTraceName = pageRenderer.primaryTraceName;
+        renderer.primaryTraceVisible = pageRenderer.primaryTraceVisible;
+        renderer.overlayTraces = pageRenderer.overlayTraces.map(trace => ({ ...trace }));
+
+        return { state, canvas, renderer, delay: state.getAnimationDelay() };
+    }
+
+    /**
+     * Replays the run from Step 0, rendering one frame per step.
+     * @private
+     * @param {object} source - From createFrameSource().
+     * @param {function(number): Promise} onFrame - Called after each frame is drawn,
+     * with how long the frame should be shown (ms).
+     */
+    async playFrames(source, onFrame) {
+        const { state, renderer, delay } = source;
+        const total = state.allSteps.length;
+
+        state.jumpToStep(0);
+        do {
+            renderer.render();
+            this.ui.status.textContent = `Recording frame ${state.currentStepIndex + 1} / ${total}...`;
+
+            const isLast = state.currentStepIndex === total - 1;
+            await onFrame(isLast ? delay + PlaybackRecorder.FINAL_HOLD_MS : delay);
+        } while (state.nextStep());
+    }
+
+    /**
+     * Records the replay as WebM. Runs in real time, since MediaRecorder
+     * timestamps frames by when they are pushed.
+     * @private
+     * @param {object} source - From createFrameSource().
+     * @param {string} mimeType - From getWebMType().
+     * @returns {Promise<Blob>}
+     */
+    async recordWebM(source, mimeType) {
+        const stream = source.canvas.captureStream(0);
+        const track = stream.getVideoTracks()[0];
+        const recorder = new MediaRecorder(stream, { mimeType: mimeType, videoBitsPerSecond: 5000000 });
+
+        const chunks = [];
+        recorder.addEventListener('dataavailable', (e) => {
+            if (e.data.size > 0) chunks.push(e.data);
+        });
+        const stopped = new Promise(resolve => recorder.addEventListener('stop', resolve));
+
+        recorder.start();
+        await this.playFrames(source, (duration) => {
+            track.requestFrame();
+            return PlaybackRecorder.wait(duration);
+        });
+        recorder.stop();
+        await stopped;
+        track.stop();
+
+        return new Blob(chunks, { type: 'video/webm' });
+    }
+
+    /**
+     * Records the replay as an animated GIF. Runs as fast as frames can be encoded.
+     * @private
+     * @param {object} source - From createFrameSource().
+     * @returns {Promise<Blob>}
+     */
+    async recordGIF(source) {
+        const { canvas } = source;
+        const ctx = canvas.getContext('2d');
+        const encoder = new GifEncoder(canvas.width, canvas.height);
+
+        await this.playFrames(source, (duration) => {
+            encoder.addFrame(ctx.getImageData(0, 0, canvas.width, canvas.height).data, duration);
+            return PlaybackRecorder.wait(0); // Let the status text repaint
+        });
+
+        return new Blob([encoder.finish()], { type: 'image/gif' });
+    }
+
+    /**
+     * Enables/disables the record controls while recording.
+     * @private
+     * @param {boolean} recording
+     */
+    setRecording(recording) {
+        this.isRecording = recording;
+        this.ui.recordBtn.disabled = recording;
+        this.ui.recordBtn.innerHTML = `<span class="btn-text">${recording ? 'Recording...' : 'Record'}</span>`;
+    }
+
+    /**
+     * Resolves after a delay.
+     * @static
+     * @private
+     * @param {number} ms
+     * @returns {Promise<void>}
+     */
+    static wait(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PlaybackRecorder;
+}
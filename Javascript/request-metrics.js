@@ -0,0 +1,112 @@
+/* =====================================================
+ * JS/REQUEST-METRICS.JS - PER-REQUEST FAIRNESS METRICS
+ * -----------------------------------------------------
+ * Derives per-request numbers from a finished step list:
+ * when each request was serviced, how long it waited and
+ * how long it took overall. The head-level totals say how
+ * efficient an algorithm is; these say how fair it is.
+ *
+ * All times are on the simulation clock (one time unit per
+ * track moved, see StateManager.convertSequenceToSteps).
+ * - Response time: service time - arrival time.
+ * - Wait time: response time minus the seek that finally
+ *   serviced the request (time spent queued before the
+ *   head started moving towards it).
+ * ===================================================== */
+
+class RequestMetrics {
+    /**
+     * Computes per-request and summary metrics from a step list.
+     * @param {Array<object>} steps - Step objects from StateManager.convertSequenceToSteps.
+     * @param {Array<{track: number, arrival: number}>} requestDetails - The simulated requests (indexed by request id).
+     * @param {number} [starvationThreshold=Infinity] - Response time above which a request counts as starved.
+     * @returns {object} The metrics: { requests, servicedCount, meanWait, maxWait, meanResponse,
+     *   responseVariance, responseStdDev, starvedCount, starvationThreshold }.
+     */
+    static compute(steps, requestDetails, starvationThreshold = Infinity) {
+        const serviceSteps = RequestMetrics.findServiceSteps(steps);
+
+        const requests = requestDetails.map((detail, id) => {
+            const step = serviceSteps.get(id);
+            if (!step) {
+                // Never serviced in this run
+                return {
+                    track: detail.track,
+                    arrival: detail.arrival,
+                    servicedStep: null,
+                    servicedTime: null,
+                    servicedMs: null,
+                    waitTime: null,
+                    responseTime: null,
+                    starved: false
+                };
+            }
+
+            const responseTime = step.time - detail.arrival;
+            const waitTime = Math.max(0, responseTime - step.seekDistance);
+
+            return {
+                track: detail.track,
+                arrival: detail.arrival,
+                servicedStep: step.step,
+                servicedTime: step.time,
+                servicedMs: step.elapsedMs,
+                waitTime: waitTime,
+                responseTime: responseTime,
+                starved: responseTime > starvationThreshold
+            };
+        });
+
+        const serviced = requests.filter(req => req.servicedStep !== null);
+        const waits = serviced.map(req => req.waitTime);
+        const responses = serviced.map(req => req.responseTime);
+
+        const meanResponse = RequestMetrics.mean(responses);
+        const responseVariance = RequestMetrics.mean(responses.map(r => (r - meanResponse) ** 2));
+
+        return {
+            requests: requests,
+            servicedCount: serviced.length,
+            meanWait: RequestMetrics.mean(waits),
+            maxWait: waits.length > 0 ? Math.max(...waits) : 0,
+            meanResponse: meanResponse,
+            responseVariance: responseVariance,
+            responseStdDev: Math.sqrt(responseVariance),
+            starvedCount: requests.filter(req => req.starved).length,
+            starvationThreshold: starvationThreshold
+        };
+    }
+
+    /**
+     * Maps each serviced request id to the step that serviced it.
+     * Ids, not tracks, since several requests may share a cylinder.
+     * @private
+     * @param {Array<object>} steps - The step list.
+     * @returns {Map<number, object>}
+     */
+    static findServiceSteps(steps) {
+        const serviceSteps = new Map();
+        for (const step of steps) {
+            if (step.request !== null && step.request !== undefined) {
+                serviceSteps.set(step.request, step);
+            }
+        }
+        return serviceSteps;
+    }
+
+    /**
+     * Arithmetic mean (0 for an empty list).
+     * @private
+     * @param {Array<number>} values
+     * @returns {number}
+     */
+    static mean(values) {
+        if (values.length === 0) return 0;
+        return values.reduce((sum, v) => sum + v, 0) / values.length;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RequestMetrics;
+}
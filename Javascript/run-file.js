@@ -0,0 +1,127 @@
+/* =====================================================
+ * JS/RUN-FILE.JS - MACHINE-READABLE RUN EXPORT/IMPORT
+ * -----------------------------------------------------
+ * Serializes a finished simulation for spreadsheets and
+ * notebooks:
+ * 1. JSON: the complete StateManager.getExportData()
+ *    object, tagged with a format name and version so it
+ *    can be loaded back and restored exactly.
+ * 2. CSV: one row per step, queues as space-separated
+ *    track lists.
+ * ===================================================== */
+
+class RunFile {
+    /**
+     * The format tag written into, and required from, JSON run files.
+     * @static
+     * @returns {string}
+     */
+    static get FORMAT() {
+        return 'disk-scheduling-run';
+    }
+
+    /**
+     * The current JSON run file version.
+     * @static
+     * @returns {number}
+     */
+    static get VERSION() {
+        return 1;
+    }
+
+    /**
+     * Serializes export data as a JSON run file.
+     * @static
+     * @param {object} exportData - From StateManager.getExportData().
+     * @returns {string}
+     */
+    static toJSON(exportData) {
+        return JSON.stringify({ format: RunFile.FORMAT, version: RunFile.VERSION, ...exportData }, null, 2);
+    }
+
+    /**
+     * Parses and checks a JSON run file.
+     * @static
+     * @param {string} text - The file contents.
+     * @returns {object} The export data, ready for StateManager.loadExportData().
+     * @throws {Error} if the file is not a run file this version can read.
+     */
+    static parseJSON(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error('The file is not valid JSON');
+        }
+
+        if (!data || data.format !== RunFile.FORMAT) {
+            throw new Error('The file is not a saved simulation run');
+        }
+        if (data.version > RunFile.VERSION) {
+            throw new Error(`Run file version ${data.version} is newer than this simulator supports`);
+        }
+        if (!Array.isArray(data.allSteps) || data.allSteps.length === 0 || !Array.isArray(data.requestQueue)) {
+            throw new Error('The run file has no steps');
+        }
+        return data;
+    }
+
+    /**
+     * Serializes a step list as CSV, one row per step.
+     * @static
+     * @param {Array<object>} steps - Step objects.
+     * @returns {string}
+     */
+    static toCSV(steps) {
+        return RunFile.formatCsv(steps.map(step => RunFile.stepToRow(step)));
+    }
+
+    /**
+     * Flattens a step object into a CSV row.
+     * @static
+     * @private
+     * @param {object} step - A step object.
+     * @returns {object} Column name -> value.
+     */
+    static stepToRow(step) {
+        const list = (queue) => (queue || []).join(' ');
+        return {
+            step: step.step,
+            headPosition: step.headPosition,
+            nextTarget: step.nextTarget ?? '',
+            seekDistance: step.seekDistance,
+            totalHeadMovement: step.totalHeadMovement,
+            time: step.time,
+            seekTimeMs: step.seekTimeMs.toFixed(3),
+            serviceTimeMs: step.serviceTimeMs.toFixed(3),
+            elapsedMs: step.elapsedMs.toFixed(3),
+            moveType: step.moveType,
+            batch: step.batch ?? '',
+            pendingQueue: list(step.pendingQueue),
+            servicedQueue: list(step.servicedQueue),
+            upcomingQueue: list(step.upcomingQueue),
+            currentAction: step.currentAction
+        };
+    }
+
+    /**
+     * Formats rows as CSV (RFC 4180 quoting).
+     * @static
+     * @param {Array<object>} rows - Objects with the same keys.
+     * @returns {string}
+     */
+    static formatCsv(rows) {
+        if (rows.length === 0) return '';
+        const columns = Object.keys(rows[0]);
+        const escape = (value) => {
+            const text = String(value);
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        return [columns.join(','), ...rows.map(row => columns.map(col => escape(row[col])).join(','))].join('\n');
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RunFile;
+}
@@ -0,0 +1,207 @@
+/* =====================================================
+ * JS/SCENARIO-LIBRARY.JS - SAVED SCENARIOS (PERSISTENCE)
+ * -----------------------------------------------------
+ * Keeps named scenarios - a configuration plus a summary
+ * of its results - and the last session's configuration
+ * in browser storage (localStorage by default), so they
+ * survive reloads. Where the page may not use storage
+ * (e.g. blocked cookies), they last until the page is
+ * closed instead. Configurations use the shape of
+ * StateManager.getParameters(); a scenario is re-run when
+ * loaded, which reproduces its steps exactly.
+ * ===================================================== */
+
+class ScenarioLibrary {
+    /**
+     * Initializes the library.
+     * @param {Storage} [storage] - Any object with getItem/setItem. Defaults to
+     * localStorage, or to an in-memory store if the page may not use it.
+     * @param {string} [prefix='diskScheduling'] - Prefix for the storage keys.
+     */
+    constructor(storage = ScenarioLibrary.defaultStorage(), prefix = 'diskScheduling') {
+        this.storage = storage;
+        this.scenariosKey = `${prefix}.scenarios`;
+        this.sessionKey = `${prefix}.session`;
+    }
+
+    /**
+     * Gets every saved scenario, newest first.
+     * @returns {Array<{id: string, name: string, params: object, results: object, savedAt: string}>}
+     */
+    list() {
+        return this.readScenarios().sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+    }
+
+    /**
+     * Gets one saved scenario.
+     * @param {string} id - The scenario ID.
+     * @returns {object|null}
+     */
+    get(id) {
+        return this.readScenarios().find(scenario => scenario.id === id) ?? null;
+    }
+
+    /**
+     * Saves a new scenario.
+     * @param {string} name - The display name.
+     * @param {object} params - From StateManager.getParameters().
+     * @param {object} exportData - From StateManager.getExportData(), summarized for the list.
+     * @returns {object} The saved scenario.
+     * @throws {Error} if the name is empty or the storage is full/unavailable.
+     */
+    save(name, params, exportData) {
+        const trimmed = String(name || '').trim();
+        if (!trimmed) {
+            throw new Error('Scenario name cannot be empty');
+        }
+
+        const scenario = {
+            id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+            name: trimmed,
+            params: params,
+            results: ScenarioLibrary.summarize(exportData),
+            savedAt: new Date().toISOString()
+        };
+        this.writeScenarios([...this.readScenarios(), scenario]);
+        return scenario;
+    }
+
+    /**
+     * Renames a saved scenario.
+     * @param {string} id - The scenario ID.
+     * @param {string} name - The new display name.
+     * @throws {Error} if the name is empty or the scenario does not exist.
+     */
+    rename(id, name) {
+        const trimmed = String(name || '').trim();
+        if (!trimmed) {
+            throw new Error('Scenario name cannot be empty');
+        }
+
+        const scenarios = this.readScenarios();
+        const scenario = scenarios.find(s => s.id === id);
+        if (!scenario) {
+            throw new Error('Scenario not found');
+        }
+        scenario.name = trimmed;
+        this.writeScenarios(scenarios);
+    }
+
+    /**
+     * Deletes a saved scenario.
+     * @param {string} id - The scenario ID.
+     */
+    remove(id) {
+        this.writeScenarios(this.readScenarios().filter(scenario => scenario.id !== id));
+    }
+
+    /**
+     * Remembers the current configuration as the last session.
+     * @param {object} params - From StateManager.getParameters().
+     */
+    saveSession(params) {
+        this.storage.setItem(this.sessionKey, JSON.stringify(params));
+    }
+
+    /**
+     * Gets the last session's configuration.
+     * @returns {object|null} Parameters, or null if there is no (readable) session.
+     */
+    loadSession() {
+        try {
+            return JSON.parse(this.storage.getItem(this.sessionKey)) || null;
+        } catch (error) {
+            return null; // Corrupt entry: start from the defaults
+        }
+    }
+
+    /**
+     * Picks the result numbers shown in the scenario list.
+     * @static
+     * @param {object} exportData - From StateManager.getExportData().
+     * @returns {object}
+     */
+    static summarize(exportData) {
+        return {
+            algorithm: exportData.algorithm,
+            requestCount: exportData.requestQueue.length,
+            totalHeadMovement: exportData.totalHeadMovement,
+            seeksCount: exportData.seeksCount,
+            averageSeekTime: exportData.averageSeekTime,
+            totalElapsedMs: exportData.totalElapsedMs,
+            percentAboveOptimal: exportData.percentAboveOptimal,
+            meanWait: exportData.requestMetrics.meanWait,
+            maxWait: exportData.requestMetrics.maxWait,
+            starvedCount: exportData.requestMetrics.starvedCount
+        };
+    }
+
+    /**
+     * Gets localStorage, or an in-memory stand-in when reading it throws
+     * (a SecurityError where the browser blocks storage for the page).
+     * @static
+     * @returns {Storage|{getItem: Function, setItem: Function}}
+     */
+    static defaultStorage() {
+        try {
+            const storage = window.localStorage;
+            storage.getItem('');
+            return storage;
+        } catch (error) {
+            const items = new Map();
+            return {
+                getItem: key => (items.has(key) ? items.get(key) : null),
+                setItem: (key, value) => items.set(key, String(value))
+            };
+        }
+    }
+
+    /**
+     * Reads the scenario list from storage. Entries without an ID or
+     * configuration are left out; a missing name, date or result summary
+     * (e.g. from an older or hand-edited list) is filled in.
+     * @private
+     * @returns {Array<object>}
+     */
+    readScenarios() {
+        let scenarios;
+        try {
+            scenarios = JSON.parse(this.storage.getItem(this.scenariosKey));
+        } catch (error) {
+            return [];
+        }
+        if (!Array.isArray(scenarios)) return [];
+
+        const isObject = value => value !== null && typeof value === 'object';
+        return scenarios
+            .filter(scenario => isObject(scenario) && typeof scenario.id === 'string' && isObject(scenario.params))
+            .map(scenario => {
+                const results = isObject(scenario.results) ? scenario.results : {};
+                return {
+                    ...scenario,
+                    name: String(scenario.name ?? 'Untitled'),
+                    savedAt: typeof scenario.savedAt === 'string' ? scenario.savedAt : '',
+                    results: { ...results, algorithm: String(results.algorithm ?? scenario.params.algorithm ?? '?') }
+                };
+            });
+    }
+
+    /**
+     * Writes the scenario list to storage.
+     * @private
+     * @param {Array<object>} scenarios
+     * @throws {Error} if the storage is full or unavailable.
+     */
+    writeScenarios(scenarios) {
+        try {
+            this.storage.setItem(this.scenariosKey, JSON.stringify(scenarios));
+        } catch (error) {
+            throw new Error('Could not save scenarios: browser storage is full or disabled');
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ScenarioLibrary;
+}
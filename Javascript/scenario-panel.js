@@ -0,0 +1,174 @@
+/* =====================================================
+ * JS/SCENARIO-PANEL.JS - SAVED SCENARIOS PANEL
+ * -----------------------------------------------------
+ * Config-panel UI for ScenarioLibrary: save the current
+ * configuration and results under a name, then browse,
+ * load, rename or delete saved scenarios. It also saves
+ * the session on every change and restores it on load.
+ * ===================================================== */
+
+class ScenarioPanel {
+    /**
+     * Initializes the ScenarioPanel.
+     * @param {Controller} controller - The main application controller.
+     * @param {ScenarioLibrary} library - The scenario storage.
+     */
+    constructor(controller, library) {
+        this.controller = controller;
+        this.library = library;
+
+        // Element cache
+        this.ui = {};
+    }
+
+    /**
+     * Caches UI elements, sets up event listeners and lists the saved scenarios.
+     */
+    init() {
+        this.ui.nameInput = document.getElementById('scenarioName');
+        this.ui.saveBtn = document.getElementById('saveScenarioBtn');
+        this.ui.list = document.getElementById('scenarioList');
+
+        this.ui.saveBtn.addEventListener('click', () => this.handleSave());
+        // One delegated listener for every row's buttons
+        this.ui.list.addEventListener('click', (e) => this.handleListClick(e));
+
+        this.renderList();
+    }
+
+    /**
+     * Handles the "Save" button: stores the current configuration and results.
+     */
+    handleSave() {
+        try {
+            if (!this.controller.generateSimulation()) return;
+
+            const state = this.controller.state;
+            this.library.save(this.ui.nameInput.value, state.getParameters(), state.getExportData());
+            this.ui.nameInput.value = '';
+            this.renderList();
+        } catch (error) {
+            this.controller.showError('Error: ' + error.message);
+        }
+    }
+
+    /**
+     * Handles the Load / Rename / Delete buttons of a scenario row.
+     * @param {Event} event - The click event.
+     */
+    handleListClick(event) {
+        const button = event.target.closest('button[data-action]');
+        if (!button) return;
+
+        const id = button.closest('li').dataset.id;
+        const scenario = this.library.get(id);
+        if (!scenario) return;
+
+        try {
+            switch (button.dataset.action) {
+                case 'load':
+                    this.controller.loadParameters(scenario.params, 'scenario');
+                    break;
+                case 'rename': {
+                    const name = prompt('Rename scenario:', scenario.name);
+                    if (name === null) return; // Cancelled
+                    this.library.rename(id, name);
+                    break;
+                }
+                case 'delete':
+                    if (!confirm(`Delete scenario "${scenario.name}"?`)) return;
+                    this.library.remove(id);
+                    break;
+            }
+            this.renderList();
+        } catch (error) {
+            this.controller.showError('Error: ' + error.message);
+        }
+    }
+
+    /**
+     * Fills the saved scenario list.
+     * @private
+     */
+    renderList() {
+        const scenarios = this.library.list();
+        if (scenarios.length === 0) {
+            this.ui.list.innerHTML = '<li class="queue-empty">No saved scenarios</li>';
+            return;
+        }
+
+        this.ui.list.innerHTML = scenarios.map(scenario => `
+            <li data-id="${ScenarioPanel.escapeHtml(scenario.id)}">
+                <div class="scenario-info">
+                    <strong>${ScenarioPanel.escapeHtml(scenario.name)}</strong>
+                    <span>${ScenarioPanel.escapeHtml(ScenarioPanel.describe(scenario))}</span>
+                </div>
+                <div class="scenario-actions">
+                    <button class="btn btn-secondary" data-action="load" title="Load this scenario">Load</button>
+                    <button class="btn btn-secondary" data-action="rename" title="Rename this scenario">Rename</button>
+                    <button class="btn btn-danger" data-action="delete" title="Delete this scenario">Delete</button>
+                </div>
+            </li>`
+        ).join('');
+    }
+
+    /**
+     * Builds a scenario's summary line, e.g. "SSTF · 8 requests · movement 236 · 10/19/2026".
+     * Numbers missing from the saved summary are left out.
+     * @static
+     * @private
+     * @param {object} scenario - From ScenarioLibrary.list().
+     * @returns {string}
+     */
+    static describe(scenario) {
+        const { algorithm, requestCount, totalHeadMovement } = scenario.results;
+        const savedAt = new Date(scenario.savedAt);
+        return [
+            algorithm.toUpperCase(),
+            Number.isFinite(requestCount) ? `${requestCount} requests` : null,
+            Number.isFinite(totalHeadMovement) ? `movement ${totalHeadMovement}` : null,
+            Number.isNaN(savedAt.getTime()) ? null : savedAt.toLocaleDateString()
+        ].filter(part => part !== null).join(' · ');
+    }
+
+    /**
+     * Remembers the current configuration as the last session.
+     * Storage errors are ignored: losing the session is not worth an error message.
+     */
+    saveSession() {
+        try {
+            this.library.saveSession(this.controller.getParametersFromDOM());
+        } catch (error) {
+            // Storage full or disabled
+        }
+    }
+
+    /**
+     * Writes the last session's configuration back into the inputs.
+     * @returns {boolean} True if a session was restored.
+     */
+    restoreSession() {
+        const params = this.library.loadSession();
+        if (!params) return false;
+        // Custom algorithms are not kept between visits, so a session that used one starts on FCFS
+        const known = this.controller.algorithms.has(params.algorithm);
+        this.controller.setParametersInDOM(known ? params : { ...params, algorithm: 'fcfs' });
+        return true;
+    }
+
+    /**
+     * Escapes user text for insertion into HTML.
+     * @static
+     * @private
+     * @param {string} text
+     * @returns {string}
+     */
+    static escapeHtml(text) {
+        return String(text).replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ScenarioPanel;
+}
@@ -18,20 +18,47 @@ class StateManager {
         this.initialHeadPosition = 53;
         /** @type {number} The maximum track number (e.g., 199). */
         this.maxTrackNumber = 199;
-        /** @type {Array<number>} The parsed and validated list of requests. */
+        /** @type {Array<number>} The parsed and validated list of requests (the track of each). */
         this.requestQueue = [98, 183, 37, 122, 14, 124, 65, 67];
+        /** @type {Array<{track: number, arrival: number, type: string, head: ?number, sector: ?number}>} Per-request details, in the same order as requestQueue.
+         * A request's index here is its id, which tells apart requests on the same cylinder. */
+        this.requestDetails = this.requestQueue.map(track => ({ track, arrival: 0, type: 'read', head: null, sector: null }));
         /** @type {string} The initial direction for SCAN/LOOK ('low' or 'high'). */
         this.direction = 'low';
+        /** @type {boolean} Whether the algorithm of the current run takes the direction (see usesDirection()). */
+        this.algorithmUsesDirection = false;
+        /** @type {number} Sub-queue size N for N-Step SCAN. */
+        this.batchSize = 4;
+        /** @type {number} Time a read may wait before the Deadline scheduler serves it. */
+        this.readExpire = 100;
+        /** @type {number} Time a write may wait before the Deadline scheduler serves it. */
+        this.writeExpire = 500;
+        /** @type {number} Response time (clock units) above which a request counts as starved. */
+        this.starvationThreshold = 300;
+        /** @type {DiskTimingModel} Converts seek distances into milliseconds. */
+        this.timingModel = new DiskTimingModel();
+        /** @type {number} Number of heads (recording surfaces) per cylinder. */
+        this.headsCount = 4;
+        /** @type {number} Number of sectors in one track (one revolution). */
+        this.sectorsPerTrack = 64;
 
         // --- Simulation State ---
         /** @type {Array<object>} An array of all pre-calculated steps. */
         this.allSteps = [];
+        /** @type {?string} Why the last generateSequence() run failed (null if it did not). */
+        this.lastError = null;
         /** @type {number} The index of the currently displayed step in allSteps. */
         this.currentStepIndex = 0;
         /** @type {boolean} Whether the animation is currently playing. */
         this.isRunning = false;
         /** @type {number} The speed of the animation (1-10). */
         this.animationSpeed = 5;
+        /** @type {string} What a move's animation time is proportional to ('distance' or 'time'). */
+        this.animationTiming = 'distance';
+        /** @type {number} How far (0-1) the head has moved towards the next step during playback. */
+        this.stepProgress = 0;
+        /** @type {?object} The mean move weight used by getStepDuration(), per run and timing mode. */
+        this.stepDurationCache = null;
 
         // --- Live Statistics (derived from the current step) ---
         /** @type {number} Total seeks distance accumulated up to the current step. */
@@ -48,6 +75,16 @@ class StateManager {
         this.servicedRequests = [];
         /** @type {number | null} The next track the head will move to. */
         this.nextTarget = null;
+        /** @type {number} The simulation clock at the current step (one time unit per track moved). */
+        this.currentTime = 0;
+        /** @type {number} Modeled drive busy time (ms) accumulated up to the current step. */
+        this.elapsedMs = 0;
+        /** @type {number} Modeled busy time per serviced request (ms). */
+        this.averageServiceTimeMs = 0;
+        /** @type {number} Least possible total head movement for the request set (see Optimal). */
+        this.optimalMovement = 0;
+        /** @type {?{steps: Array<object>, details: Array<object>, threshold: number, metrics: object}} getRequestMetrics()'s last result and its inputs. */
+        this.requestMetricsCache = null;
 
         /** @type {boolean} Flag to indicate if params have been set. */
         this.isInitialized = false;
@@ -64,14 +101,33 @@ class StateManager {
      * @param {string} params.maxTrackNumber
      * @param {string} params.requestQueue
      * @param {string} params.direction
+     * @param {object} [params.timing] - Drive timing options for DiskTimingModel.
+     * @param {string} [params.headsCount] - Heads per cylinder, for cylinder/head/sector requests.
+     * @param {string} [params.sectorsPerTrack] - Sectors per track, for cylinder/head/sector requests.
+     * @param {string} [params.starvationThreshold] - Response time that flags a request as starved.
+     * @param {string} [params.batchSize] - N for N-Step SCAN.
+     * @param {string} [params.readExpire] - Read expiry time for Deadline.
+     * @param {string} [params.writeExpire] - Write expiry time for Deadline.
      */
     initializeWithParams(params) {
         this.algorithm = params.algorithm || 'fcfs';
-        this.initialHeadPosition = parseInt(params.initialHeadPosition) || 53;
+        const initialHead = parseInt(params.initialHeadPosition);
+        this.initialHeadPosition = isNaN(initialHead) ? 53 : initialHead; // Track 0 is a valid start
         this.maxTrackNumber = parseInt(params.maxTrackNumber) || 199;
-        // Parse the queue string *after* setting maxTrackNumber for validation
-        this.requestQueue = this.parseRequestQueue(params.requestQueue) || [];
+        this.headsCount = parseInt(params.headsCount) || 4;
+        this.sectorsPerTrack = parseInt(params.sectorsPerTrack) || 64;
+        // Parse the queue string *after* setting the geometry for validation
+        this.requestDetails = this.parseRequestEntries(params.requestQueue);
+        this.requestQueue = this.requestDetails.map(entry => entry.track);
         this.direction = params.direction || 'low';
+        this.timingModel = new DiskTimingModel(params.timing || {});
+        this.batchSize = parseInt(params.batchSize) || 4;
+        const readExpire = parseFloat(params.readExpire);
+        const writeExpire = parseFloat(params.writeExpire);
+        this.readExpire = readExpire >= 0 ? readExpire : 100;
+        this.writeExpire = writeExpire >= 0 ? writeExpire : 500;
+        const threshold = parseFloat(params.starvationThreshold);
+        this.starvationThreshold = threshold >= 0 ? threshold : 300;
 
         // Reset simulation with these new base parameters
         this.resetSimulation();
@@ -82,24 +138,285 @@ class StateManager {
      * Parses a comma-separated string into a validated array of numbers.
      * Filters out duplicates and numbers outside the [0, maxTrackNumber] range.
      * @param {string} queueString - The comma-separated string of requests.
-     * @returns {Array<number>} A sorted, unique array of valid request numbers.
+     * @returns {Array<number>} The track of each valid request (see parseRequestEntries()).
      */
     parseRequestQueue(queueString) {
+        return this.parseRequestEntries(queueString).map(entry => entry.track);
+    }
+
+    /**
+     * Parses a comma-separated request string into request details.
+     * Each entry is a track, or a cylinder/head/sector address such as
+     * "98/2/35", optionally followed by `r`/`w` for a read or write, and by
+     * `@time` for a timed arrival (e.g., "98, 183w@20, 37/1/12@45").
+     * Entries default to reads arriving at time 0.
+     * Filters out duplicates (by address: a track, or a cylinder/head/sector),
+     * tracks outside the [0, maxTrackNumber] range and heads/sectors outside
+     * the drive geometry, then orders the result by arrival time (input order
+     * breaks ties). Requests for different sectors of one cylinder are kept.
+     * @param {string} queueString - The comma-separated string of requests.
+     * @returns {Array<{track: number, arrival: number, type: string, head: ?number, sector: ?number}>}
+     * The valid, unique requests. `head` and `sector` are null for plain track entries.
+     */
+    parseRequestEntries(queueString) {
         if (!queueString || typeof queueString !== 'string') {
             return [];
         }
 
         const maxTrack = this.maxTrackNumber; // Use current maxTrack for validation
-        const requests = queueString
-            .split(',')
-            .map(str => {
-                const num = parseInt(str.trim());
-                return !isNaN(num) ? num : null;
-            })
-            .filter(num => num !== null && num >= 0 && num <= maxTrack);
+        const seen = new Set();
+        const entries = [];
+
+        for (const token of queueString.split(',')) {
+            const match = token.trim().match(/^(\d+)(?:\s*\/\s*(\d+)\s*\/\s*(\d+))?\s*([rw])?\s*(?:@\s*(\d+(?:\.\d+)?))?$/i);
+            if (!match) continue;
+
+            const track = parseInt(match[1]);
+            const head = match[2] !== undefined ? parseInt(match[2]) : null;
+            const sector = match[3] !== undefined ? parseInt(match[3]) : null;
+            const address = head !== null ? `${track}/${head}/${sector}` : `${track}`;
+            if (track > maxTrack || seen.has(address)) continue; // Remove duplicates
+            if (head !== null && (head >= this.headsCount || sector >= this.sectorsPerTrack)) continue;
+
+            seen.add(address);
+            entries.push({
+                track,
+                arrival: match[5] !== undefined ? parseFloat(match[5]) : 0,
+                type: match[4] && match[4].toLowerCase() === 'w' ? 'write' : 'read',
+                head,
+                sector
+            });
+        }
+
+        // Array.prototype.sort is stable, so equal arrivals keep their input order
+        return entries.sort((a, b) => a.arrival - b.arrival);
+    }
 
-        // Remove duplicates
-        return [...new Set(requests)];
+    /**
+     * Gets the current parameters in the shape initializeWithParams() accepts,
+     * so they can be written back to the inputs or shared.
+     * @returns {object}
+     */
+    getParameters() {
+        return {
+            algorithm: this.algorithm,
+            initialHeadPosition: String(this.initialHeadPosition),
+            maxTrackNumber: String(this.maxTrackNumber),
+            requestQueue: this.requestDetails.map((detail, id) => this.formatRequestById(id)).join(', '),
+            direction: this.direction,
+            batchSize: String(this.batchSize),
+            readExpire: String(this.readExpire),
+            writeExpire: String(this.writeExpire),
+            starvationThreshold: String(this.starvationThreshold),
+            headsCount: String(this.headsCount),
+            sectorsPerTrack: String(this.sectorsPerTrack),
+            timing: this.timingModel.toJSON()
+        };
+    }
+
+    /**
+     * Restores a saved run (see RunFile). Every field is checked and only the
+     * known ones are kept. The steps are rebuilt from the saved head positions,
+     * clock times and per-move metadata rather than re-generated, so a run
+     * keeps its results even if an algorithm changes later.
+     * @param {object} data - Export data from getExportData().
+     * @throws {Error} if the data does not describe a run; nothing is loaded then.
+     */
+    loadExportData(data) {
+        const fail = (message) => {
+            throw new Error(`The run file is not usable: ${message}`);
+        };
+        const wholeNumber = (value, name, min, max = Number.MAX_SAFE_INTEGER) => {
+            if (!Number.isInteger(value) || value < min || value > max) {
+                fail(`${name} must be a whole number between ${min} and ${max}`);
+            }
+            return value;
+        };
+        // Settings an algorithm did not use are saved as null
+        const setting = (value, name, fallback) => {
+            if (value === undefined || value === null) return fallback;
+            if (!Number.isFinite(value) || value < 0) fail(`${name} must be a number >= 0`);
+            return value;
+        };
+
+        if (typeof data.algorithm !== 'string' || !/^[a-z0-9-]+$/.test(data.algorithm)) {
+            fail('the algorithm name is missing or invalid');
+        }
+        const maxTrack = wholeNumber(data.maxTrackNumber, 'maxTrackNumber', 1);
+        const initialHead = wholeNumber(data.initialHeadPosition, 'initialHeadPosition', 0, maxTrack);
+        const headsCount = data.headsCount == null ? 4 : wholeNumber(data.headsCount, 'headsCount', 1);
+        const sectorsPerTrack = data.sectorsPerTrack == null ? 64 : wholeNumber(data.sectorsPerTrack, 'sectorsPerTrack', 1);
+
+        if (!Array.isArray(data.requestQueue) || data.requestQueue.length === 0) {
+            fail('the request queue is empty');
+        }
+        const requestQueue = data.requestQueue.map(track => wholeNumber(track, 'every request', 0, maxTrack));
+
+        let requestDetails = requestQueue.map(track => ({ track, arrival: 0, type: 'read', head: null, sector: null }));
+        if (data.requestDetails != null) {
+            if (!Array.isArray(data.requestDetails) || data.requestDetails.length !== requestQueue.length) {
+                fail('the request details do not match the request queue');
+            }
+            requestDetails = data.requestDetails.map((detail, i) => {
+                if (!detail || detail.track !== requestQueue[i]) {
+                    fail('the request details do not match the request queue');
+                }
+                const hasLocation = detail.sector != null;
+                return {
+                    track: requestQueue[i],
+                    arrival: setting(detail.arrival, 'every arrival time', 0),
+                    type: detail.type === 'write' ? 'write' : 'read',
+                    head: hasLocation ? wholeNumber(detail.head, 'every head', 0, headsCount - 1) : null,
+                    sector: hasLocation ? wholeNumber(detail.sector, 'every sector', 0, sectorsPerTrack - 1) : null
+                };
+            });
+        }
+
+        if (!Array.isArray(data.allSteps) || data.allSteps.length === 0) {
+            fail('it has no steps');
+        }
+        const sequence = [];
+        const timeline = [];
+        data.allSteps.forEach((step, i) => {
+            if (!step || typeof step !== 'object') fail(`step ${i} is not a step`);
+            sequence.push(wholeNumber(step.headPosition, `the head position of step ${i}`, 0, maxTrack));
+            if (i === 0 && sequence[0] !== initialHead) {
+                fail('the first step is not at the initial head position');
+            }
+            const time = i === 0 ? 0 : step.time;
+            if (!Number.isFinite(time) || (i > 0 && time < timeline[i - 1] + Math.abs(sequence[i] - sequence[i - 1]))) {
+                fail(`the clock time of step ${i} is before the head could get there`);
+            }
+            timeline.push(time);
+        });
+
+        // Checks the timing values before anything is replaced
+        const timingModel = new DiskTimingModel(data.timingModel || {});
+        const direction = data.direction === 'high' ? 'high' : 'low';
+        const batchSize = setting(data.batchSize, 'batchSize', 4);
+        const readExpire = setting(data.readExpire, 'readExpire', 100);
+        const writeExpire = setting(data.writeExpire, 'writeExpire', 500);
+        const starvationThreshold = setting(data.starvationThreshold, 'starvationThreshold', 300);
+
+        this.algorithm = data.algorithm;
+        this.initialHeadPosition = initialHead;
+        this.maxTrackNumber = maxTrack;
+        this.headsCount = headsCount;
+        this.sectorsPerTrack = sectorsPerTrack;
+        this.requestQueue = requestQueue;
+        this.requestDetails = requestDetails;
+        this.lastError = null;
+        this.direction = direction;
+        // A saved run only has a direction if its algorithm took one
+        this.algorithmUsesDirection = data.direction === 'low' || data.direction === 'high';
+        this.batchSize = batchSize;
+        this.readExpire = readExpire;
+        this.writeExpire = writeExpire;
+        this.starvationThreshold = starvationThreshold;
+        this.timingModel = timingModel;
+        this.optimalMovement = Optimal.minimumMovement(this.initialHeadPosition, this.requestQueue);
+
+        // A saved step carries its move's metadata under the sequenceMeta field names
+        this.allSteps = this.convertSequenceToSteps(sequence, timeline, data.allSteps.map(step => StateManager.cleanMeta(step)));
+        this.allSteps[0].nextTarget = this.allSteps.length > 1 ? this.allSteps[1].headPosition : null;
+        this.currentStepIndex = 0;
+        this.isRunning = false;
+        this.isInitialized = true;
+        this.updateStatistics();
+    }
+
+    /**
+     * Copies the per-move metadata that convertSequenceToSteps() reads
+     * (see its sequenceMeta parameter) from data the page did not produce,
+     * such as saved runs and custom algorithms. Unknown fields and values
+     * of the wrong type are left out; text is converted to strings.
+     * @static
+     * @param {*} meta - A sequenceMeta entry, or a saved step.
+     * @returns {object} The usable metadata (empty if there is none).
+     */
+    static cleanMeta(meta) {
+        const clean = {};
+        if (!meta || typeof meta !== 'object') return clean;
+
+        if (meta.moveType === 'wrap') clean.moveType = 'wrap';
+        if (Number.isInteger(meta.request) && meta.request >= 0) clean.request = meta.request;
+        if (Number.isInteger(meta.batch) && meta.batch > 0) {
+            clean.batch = meta.batch;
+            clean.batchStart = meta.batchStart === true;
+            if (Array.isArray(meta.batchRequests) && meta.batchRequests.every(Number.isInteger)) {
+                clean.batchRequests = [...meta.batchRequests];
+            }
+        }
+        if (meta.deadline && typeof meta.deadline === 'object') {
+            const { request, track, type, waited, expire } = meta.deadline;
+            if (Number.isInteger(track) && (type === 'read' || type === 'write') && Number.isFinite(waited) && Number.isFinite(expire)) {
+                clean.deadline = Number.isInteger(request) ? { request, track, type, waited, expire } : { track, type, waited, expire };
+            }
+        }
+        if (Number.isFinite(meta.rotationalMs) && meta.rotationalMs >= 0) clean.rotationalMs = meta.rotationalMs;
+        if (Number.isFinite(meta.headSwitchMs) && meta.headSwitchMs >= 0) clean.headSwitchMs = meta.headSwitchMs;
+        if (Number.isFinite(meta.idleMs) && meta.idleMs >= 0) clean.idleMs = meta.idleMs;
+        if (meta.note !== undefined && meta.note !== null) clean.note = String(meta.note);
+
+        const decision = meta.decision;
+        if (decision && typeof decision === 'object' && Number.isFinite(decision.from) && Number.isFinite(decision.target)) {
+            clean.decision = {
+                rule: String(decision.rule ?? ''),
+                from: decision.from,
+                target: decision.target,
+                reason: String(decision.reason ?? ''),
+                tieBreak: decision.tieBreak == null ? null : String(decision.tieBreak),
+                candidates: (Array.isArray(decision.candidates) ? decision.candidates : [])
+                    .filter(candidate => candidate && Number.isFinite(candidate.track) && Number.isFinite(candidate.distance))
+                    .map(({ track, request, distance, timeMs }) => {
+                        const candidate = { track, distance };
+                        if (Number.isInteger(request)) candidate.request = request;
+                        if (Number.isFinite(timeMs)) candidate.timeMs = timeMs;
+                        return candidate;
+                    })
+            };
+        }
+        return clean;
+    }
+
+    /**
+     * Checks whether any request arrives after time 0.
+     * @returns {boolean}
+     */
+    hasTimedArrivals() {
+        return this.requestDetails.some(detail => detail.arrival > 0);
+    }
+
+    /**
+     * Checks whether any request was given as cylinder/head/sector.
+     * @returns {boolean}
+     */
+    hasSectorInfo() {
+        return this.requestDetails.some(detail => detail.sector !== null);
+    }
+
+    /**
+     * Formats a request for display, e.g. "98", "98@20", "98w@20" or "98/2/35w@20".
+     * Reads are the default and carry no suffix. On a cylinder with several
+     * requests this is the first one; see formatRequestById().
+     * @param {number} track - The request's track number.
+     * @returns {string}
+     */
+    formatRequest(track) {
+        const id = this.requestDetails.findIndex(detail => detail.track === track);
+        return id === -1 ? `${track}` : this.formatRequestById(id);
+    }
+
+    /**
+     * Formats one request for display (see formatRequest()).
+     * @param {number} id - The request's index in requestDetails.
+     * @returns {string}
+     */
+    formatRequestById(id) {
+        const { track, arrival, type, head, sector } = this.requestDetails[id];
+        const addressText = sector !== null ? `${track}/${head}/${sector}` : `${track}`;
+        const typeText = type === 'write' ? 'w' : '';
+        return arrival > 0 ? `${addressText}${typeText}@${arrival}` : `${addressText}${typeText}`;
     }
 
     /**
@@ -111,13 +428,17 @@ class StateManager {
         this.allSteps = [];
         this.currentStepIndex = 0;
         this.isRunning = false;
+        this.stepProgress = 0;
 
         // Reset statistics based on initial params
         this.totalHeadMovement = 0;
         this.seeksCount = 0;
         this.averageSeekTime = 0;
+        this.elapsedMs = 0;
+        this.averageServiceTimeMs = 0;
         this.currentHeadPosition = this.initialHeadPosition;
-        this.pendingRequests = [...this.requestQueue];
+        this.currentTime = 0;
+        this.pendingRequests = this.requestDetails.filter(detail => detail.arrival <= 0).map(detail => detail.track);
         this.servicedRequests = [];
         this.nextTarget = this.pendingRequests.length > 0 ? this.pendingRequests[0] : null;
 
@@ -125,31 +446,57 @@ class StateManager {
         this.allSteps = [this.createInitialStep()];
     }
 
+    /**
+     * Gets the constructor arguments an algorithm is run with
+     * (see AlgorithmBase's constructor).
+     * @returns {Array} [initialPosition, maxTrack, requests, direction, options]
+     */
+    getAlgorithmArguments() {
+        return [
+            this.initialHeadPosition,
+            this.maxTrackNumber,
+            [...this.requestQueue],
+            this.direction,
+            {
+                arrivalTimes: this.requestDetails.map(detail => detail.arrival),
+                requestTypes: this.requestDetails.map(detail => detail.type),
+                requestLocations: this.requestDetails.map(detail => (detail.sector !== null ? { head: detail.head, sector: detail.sector } : { head: 0, sector: 0 })),
+                timingModel: this.timingModel,
+                sectorsPerTrack: this.sectorsPerTrack,
+                batchSize: this.batchSize,
+                readExpire: this.readExpire,
+                writeExpire: this.writeExpire
+            }
+        ];
+    }
+
     /**
      * Pre-calculates the entire simulation sequence.
      * This is the core logic that runs the selected algorithm.
+     * If the algorithm throws, only Step 0 is kept and the error
+     * message is left in lastError for the caller to report.
      * @param {class} algorithmClass - The algorithm class (e.g., FCFS, SSTF).
      * @returns {Array<object>} The array of all generated steps.
      */
     generateSequence(algorithmClass) {
         // Start from a clean slate based on current params
         this.resetSimulation();
+        this.lastError = null;
+        this.algorithmUsesDirection = algorithmClass.usesDirection === true;
 
         try {
             // 1. Create algorithm instance
-            const algorithm = new algorithmClass(
-                this.initialHeadPosition,
-                this.maxTrackNumber,
-                [...this.requestQueue],
-                this.direction
-            );
+            const algorithm = new algorithmClass(...this.getAlgorithmArguments());
 
             // 2. Generate the raw visit sequence from the algorithm
             // e.g., [53, 98, 183, 37, ...]
-            const sequence = algorithm.execute();
+            const sequence = algorithm.run();
+
+            // 2b. The offline optimum over the same requests, as a lower bound
+            this.optimalMovement = Optimal.minimumMovement(this.initialHeadPosition, this.requestQueue);
 
             // 3. Convert the raw sequence into a detailed array of step objects
-            this.allSteps = this.convertSequenceToSteps(sequence);
+            this.allSteps = this.convertSequenceToSteps(sequence, algorithm.timeline, algorithm.sequenceMeta);
 
             // 4. Ensure at least one step (initial state) exists
             if (this.allSteps.length === 0) {
@@ -168,6 +515,8 @@ class StateManager {
             return this.allSteps;
 
         } catch (error) {
+            this.lastError = error.message;
+            this.optimalMovement = 0; // No run to compare
             this.allSteps = [this.createInitialStep()]; // Reset to initial on error
             this.updateStatistics();
             return this.allSteps;
@@ -177,15 +526,31 @@ class StateManager {
     /**
      * Converts a raw algorithm sequence (array of positions) into
      * a detailed array of step objects for the timeline.
-     * @param {Array<number>} sequence - The raw sequence from algorithm.execute().
-     * @returns {Array<object>} An array of step objects.
+     * @param {Array<number>} sequence - The raw sequence from algorithm.run().
+     * @param {Array<number>} [timeline=null] - The simulation clock at each sequence entry.
+     * Defaults to the running seek distance (every request pending at time 0).
+     * @param {Array<object|undefined>} [sequenceMeta=[]] - Optional algorithm metadata per sequence entry
+     * (e.g., `request` for the id of the request served, `{ batch, batchStart, batchRequests }` from batching algorithms,
+     * `moveType` to mark a wrap, `deadline` for a Deadline-triggered jump, `rotationalMs`
+     * for an exact rotational delay, `headSwitchMs` for a head switch on the same cylinder,
+     * `idleMs` for drive time spent waiting before the move (the algorithm then reports its own idle time), `note` to append to the action text, or `decision`
+     * for the record of why the move was chosen, see AlgorithmBase.createDecision).
+     * @returns {Array<object>} An array of step objects. Besides the track queues, each
+     * step lists the same requests by id (`pendingIds`, `servicedIds`, `upcomingIds`)
+     * and names the request it served (`request`, null if none).
      * @private
      */
-    convertSequenceToSteps(sequence) {
+    convertSequenceToSteps(sequence, timeline = null, sequenceMeta = []) {
         const steps = [];
+        const details = this.requestDetails;
+        const tracksOf = (ids) => ids.map(id => details[id].track);
         let totalMovement = 0;
-        let servicedQueue = [];
-        let pendingQueue = [...this.requestQueue];
+        let elapsedMs = 0;
+        let servicedIds = [];
+        // Requests (by id) split into arrived (pending) and not-yet-arrived (upcoming)
+        let pendingIds = [];
+        let upcomingIds = [];
+        details.forEach((detail, id) => (detail.arrival <= 0 ? pendingIds : upcomingIds).push(id));
 
         // 1. Add the Initial Step (Step 0)
         steps.push({
@@ -194,10 +559,19 @@ class StateManager {
             nextTarget: null, // Will be set in generateSequence
             totalHeadMovement: 0,
             seekDistance: 0,
+            time: 0,
+            seekTimeMs: 0,
+            serviceTimeMs: 0,
+            elapsedMs: 0,
             moveType: 'initial',
-            pendingQueue: [...pendingQueue],
+            pendingQueue: tracksOf(pendingIds),
             servicedQueue: [],
-            currentAction: `Starting at position ${this.initialHeadPosition}. ${pendingQueue.length} pending requests.`
+            upcomingQueue: tracksOf(upcomingIds),
+            pendingIds: [...pendingIds],
+            servicedIds: [],
+            upcomingIds: [...upcomingIds],
+            request: null,
+            currentAction: `Starting at position ${this.initialHeadPosition}. ${pendingIds.length} pending requests.`
         });
 
         // 2. Generate steps for each subsequent movement
@@ -209,35 +583,37 @@ class StateManager {
             // Always add the full seek distance, even for wraps.
             totalMovement += seekDistance;
 
-            // Keep moveType logic for visual styling (dotted line)
-            let moveType = 'seek';
-
-            // Check for C-SCAN wrap
-            if (this.algorithm === 'cscan') {
-                if ((previousPos === 0 && currentPos === this.maxTrackNumber) ||
-                    (previousPos === this.maxTrackNumber && currentPos === 0)) {
-                    moveType = 'wrap';
-                }
+            // The algorithm marks its own wraps (drawn as a dotted line)
+            const meta = sequenceMeta[i] || {};
+            const moveType = meta.moveType || 'seek';
+
+            // Advance the clock. Any time beyond the seek itself was spent idle,
+            // unless the algorithm reports its idle time itself (idleMs).
+            const previousTime = steps[i - 1].time;
+            const time = timeline && timeline[i] !== undefined ? timeline[i] : previousTime + seekDistance;
+            const idleTime = meta.idleMs === undefined ? time - previousTime - seekDistance : 0;
+
+            // Move every request that has arrived by now into the pending queue
+            const arrivedNow = upcomingIds.filter(id => details[id].arrival <= time);
+            if (arrivedNow.length > 0) {
+                pendingIds.push(...arrivedNow);
+                upcomingIds = upcomingIds.filter(id => !arrivedNow.includes(id));
             }
 
-            // Check for C-LOOK wrap
-            if (this.algorithm === 'clook' && this.requestQueue.length > 0) {
-                const minReq = Math.min(...this.requestQueue);
-                const maxReq = Math.max(...this.requestQueue);
-
-                if ((previousPos === minReq && currentPos === maxReq) ||
-                    (previousPos === maxReq && currentPos === minReq)) {
-                    moveType = 'wrap';
-                }
+            // Check if this move just serviced a request: the one the algorithm
+            // names, or else the oldest pending one on this cylinder
+            const served = pendingIds.includes(meta.request) && details[meta.request].track === currentPos
+                ? meta.request
+                : pendingIds.find(id => details[id].track === currentPos);
+            const servicedThisStep = served !== undefined;
+            if (servicedThisStep) {
+                servicedIds.push(served);
+                pendingIds = pendingIds.filter(id => id !== served);
             }
 
-            // Check if this move just serviced a request
-            let servicedThisStep = false;
-            if (pendingQueue.includes(currentPos)) {
-                servicedThisStep = true;
-                servicedQueue.push(currentPos);
-                pendingQueue = pendingQueue.filter(req => req !== currentPos);
-            }
+            // Modeled drive time for this step (after any modeled wait for an arrival)
+            const stepTime = this.timingModel.getStepTime(seekDistance, servicedThisStep, meta.rotationalMs ?? null, meta.headSwitchMs ?? 0);
+            elapsedMs += (meta.idleMs ?? 0) + stepTime.totalMs;
 
             // Determine the next target
             const nextTarget = (i + 1 < sequence.length) ? sequence[i + 1] : null;
@@ -248,10 +624,32 @@ class StateManager {
                 nextTarget: nextTarget,
                 totalHeadMovement: totalMovement,
                 seekDistance: seekDistance, // Store the *actual* distance for display
+                time: time,
+                seekTimeMs: stepTime.seekMs,
+                serviceTimeMs: stepTime.totalMs,
+                elapsedMs: elapsedMs,
                 moveType: moveType,
-                pendingQueue: [...pendingQueue],
-                servicedQueue: [...servicedQueue],
-                currentAction: this.generateActionText(previousPos, currentPos, seekDistance, pendingQueue, servicedThisStep, moveType)
+                pendingQueue: tracksOf(pendingIds),
+                servicedQueue: tracksOf(servicedIds),
+                upcomingQueue: tracksOf(upcomingIds),
+                pendingIds: [...pendingIds],
+                servicedIds: [...servicedIds],
+                upcomingIds: [...upcomingIds],
+                request: servicedThisStep ? served : null,
+                batch: meta.batch ?? null,
+                batchStart: meta.batchStart ?? false,
+                batchRequests: meta.batchRequests ?? null,
+                deadline: meta.deadline ?? null,
+                decision: meta.decision ?? null,
+                rotationalMs: meta.rotationalMs ?? null,
+                headSwitchMs: meta.headSwitchMs ?? null,
+                idleMs: meta.idleMs ?? null,
+                note: meta.note ?? null,
+                currentAction: this.getBatchText(meta) + this.getDeadlineText(meta) + this.generateActionText(previousPos, currentPos, seekDistance, pendingIds, servicedThisStep, moveType, {
+                    idleTime: idleTime,
+                    arrived: tracksOf(arrivedNow),
+                    upcoming: upcomingIds
+                }) + (meta.note ? ` | ${meta.note}` : '')
             });
         }
 
@@ -266,18 +664,53 @@ class StateManager {
      * @param {Array<number>} pendingQueue - The remaining queue.
      * @param {boolean} serviced - Whether a request was serviced at toPos.
      * @param {string} [moveType='seek'] - The type of move ('seek' or 'wrap').
+     * @param {object} [timing={}] - Arrival information for timed simulations.
+     * @param {number} [timing.idleTime=0] - Time the head waited for an arrival before this move.
+     * @param {Array<number>} [timing.arrived=[]] - Requests that arrived since the previous step.
+     * @param {Array<number>} [timing.upcoming=[]] - Requests that have not arrived yet.
      * @returns {string} The descriptive action text.
      * @private
      */
-    generateActionText(fromPos, toPos, seekDistance, pendingQueue, serviced, moveType = 'seek') {
+    generateActionText(fromPos, toPos, seekDistance, pendingQueue, serviced, moveType = 'seek', { idleTime = 0, arrived = [], upcoming = [] } = {}) {
         const servicedText = serviced ? ' ✓ Serviced!' : '';
-        const pendingText = pendingQueue.length > 0 ? `${pendingQueue.length} pending` : 'All requests serviced!';
+        let pendingText = pendingQueue.length > 0 ? `${pendingQueue.length} pending` : 'All requests serviced!';
+        if (pendingQueue.length === 0 && upcoming.length > 0) {
+            pendingText = `Waiting for ${upcoming.length} upcoming`;
+        }
+        const idleText = idleTime > 0 ? `Idle for ${idleTime}, then ` : '';
+        const arrivedText = arrived.length > 0 ? ` | Arrived: ${arrived.join(', ')}` : '';
 
         if (moveType === 'wrap') {
-            return `Wrapping from ${fromPos} → ${toPos} (Seek: ${seekDistance}) | ${pendingText}`;
+            return `${idleText}Wrapping from ${fromPos} → ${toPos} (Seek: ${seekDistance})${servicedText} | ${pendingText}${arrivedText}`;
+        }
+
+        return `${idleText}Moving from ${fromPos} → ${toPos} (Seek: ${seekDistance})${servicedText} | ${pendingText}${arrivedText}`;
+    }
+
+    /**
+     * Gets the action-text prefix naming the batch a step belongs to.
+     * @param {object} meta - The step's algorithm metadata.
+     * @returns {string} e.g. "Batch 2 [37, 14]: ", or '' for unbatched algorithms.
+     * @private
+     */
+    getBatchText(meta) {
+        if (!meta.batch) return '';
+        if (meta.batchStart && meta.batchRequests) {
+            return `Batch ${meta.batch} [${meta.batchRequests.join(', ')}]: `;
         }
+        return `Batch ${meta.batch}: `;
+    }
 
-        return `Moving from ${fromPos} → ${toPos} (Seek: ${seekDistance})${servicedText} | ${pendingText}`;
+    /**
+     * Gets the action-text prefix for a Deadline-triggered jump.
+     * @param {object} meta - The step's algorithm metadata.
+     * @returns {string} e.g. "⚠ Deadline: read 37 expired (waited 120 > 100). ", or ''.
+     * @private
+     */
+    getDeadlineText(meta) {
+        if (!meta.deadline) return '';
+        const { track, type, waited, expire } = meta.deadline;
+        return `⚠ Deadline: ${type} ${track} expired (waited ${waited} > ${expire}). `;
     }
 
     /**
@@ -286,7 +719,10 @@ class StateManager {
      * @private
      */
     createInitialStep() {
-        const pending = [...this.requestQueue];
+        const pendingIds = [];
+        const upcomingIds = [];
+        this.requestDetails.forEach((detail, id) => (detail.arrival <= 0 ? pendingIds : upcomingIds).push(id));
+        const pending = pendingIds.map(id => this.requestDetails[id].track);
         const nextTarget = this.allSteps?.length > 1 ? this.allSteps[1].headPosition : (pending.length > 0 ? pending[0] : null);
         return {
             step: 0,
@@ -294,9 +730,18 @@ class StateManager {
             nextTarget: nextTarget, // Best guess
             totalHeadMovement: 0,
             seekDistance: 0,
+            time: 0,
+            seekTimeMs: 0,
+            serviceTimeMs: 0,
+            elapsedMs: 0,
             moveType: 'initial',
             pendingQueue: pending,
             servicedQueue: [],
+            upcomingQueue: upcomingIds.map(id => this.requestDetails[id].track),
+            pendingIds: pendingIds,
+            servicedIds: [],
+            upcomingIds: upcomingIds,
+            request: null,
             currentAction: `Ready to start. Head at ${this.initialHeadPosition}. ${pending.length} pending.`
         };
     }
@@ -312,6 +757,36 @@ class StateManager {
         return this.allSteps[Math.min(this.currentStepIndex, this.allSteps.length - 1)];
     }
 
+    /**
+     * Checks whether the current algorithm takes a sweep direction
+     * (its class's AlgorithmBase.usesDirection flag).
+     * @returns {boolean}
+     */
+    usesDirection() {
+        return this.algorithmUsesDirection;
+    }
+
+    /**
+     * Gets the direction the head is sweeping in.
+     * While a move is animating that move counts; otherwise the last
+     * move that got here. Wrap jumps (C-SCAN/C-LOOK) are reported
+     * separately, since the sweep itself keeps its direction.
+     * @returns {string|null} 'high', 'low', 'wrap', or null before the first move.
+     */
+    getSweepDirection() {
+        const steps = this.allSteps;
+        let index = this.currentStepIndex + (this.stepProgress > 0 ? 1 : 0);
+
+        for (; index > 0 && index < steps.length; index--) {
+            const step = steps[index];
+            const delta = step.headPosition - steps[index - 1].headPosition;
+            if (delta === 0) continue;
+            if (step.moveType === 'wrap') return 'wrap';
+            return delta > 0 ? 'high' : 'low';
+        }
+        return null;
+    }
+
     /**
      * Moves the simulation to the next step.
      * @returns {boolean} True if the step changed, false if at the end.
@@ -356,11 +831,14 @@ class StateManager {
      */
     updateStatistics() {
         const currentStep = this.getCurrentStep();
+        this.stepProgress = 0;
         this.currentHeadPosition = currentStep.headPosition;
         this.totalHeadMovement = currentStep.totalHeadMovement;
         this.pendingRequests = [...currentStep.pendingQueue];
         this.servicedRequests = [...currentStep.servicedQueue];
         this.nextTarget = currentStep.nextTarget;
+        this.currentTime = currentStep.time;
+        this.elapsedMs = currentStep.elapsedMs;
 
         // All moves, including wraps, count as a seek.
         this.seeksCount = currentStep.step;
@@ -370,9 +848,32 @@ class StateManager {
 
         if (servicedCount > 0) {
             this.averageSeekTime = this.totalHeadMovement / servicedCount;
+            this.averageServiceTimeMs = this.elapsedMs / servicedCount;
         } else {
             this.averageSeekTime = 0;
+            this.averageServiceTimeMs = 0;
+        }
+    }
+
+    /**
+     * Moves the live head position, head movement and elapsed time part of
+     * the way towards the next step, for the smooth playback animation.
+     * Queues and counts only change when the step is actually reached.
+     * @param {number} progress - 0 (at the current step) to 1 (at the next step).
+     */
+    setStepProgress(progress) {
+        const current = this.getCurrentStep();
+        const next = this.allSteps[this.currentStepIndex + 1];
+        if (!next) {
+            this.stepProgress = 0;
+            return;
         }
+
+        this.stepProgress = Math.max(0, Math.min(1, progress));
+        const lerp = (from, to) => from + (to - from) * this.stepProgress;
+        this.currentHeadPosition = lerp(current.headPosition, next.headPosition);
+        this.totalHeadMovement = lerp(current.totalHeadMovement, next.totalHeadMovement);
+        this.elapsedMs = lerp(current.elapsedMs, next.elapsedMs);
     }
 
     /**
@@ -418,21 +919,108 @@ class StateManager {
 
         const totalRequests = this.requestQueue.length;
         const finalAvgSeek = (totalRequests > 0) ? (finalTotalMovement / totalRequests) : 0;
+        const finalAvgServiceMs = (totalRequests > 0) ? (finalStep.elapsedMs / totalRequests) : 0;
 
         return {
             algorithm: this.algorithm,
             initialHeadPosition: this.initialHeadPosition,
             maxTrackNumber: this.maxTrackNumber,
             requestQueue: this.requestQueue,
-            direction: (this.algorithm === 'scan' || this.algorithm === 'cscan' || this.algorithm === 'look' || this.algorithm === 'clook') ? this.direction : null,
+            requestDetails: this.requestDetails,
+            direction: this.usesDirection() ? this.direction : null,
+            batchSize: this.algorithm === 'nstepscan' ? this.batchSize : null,
+            readExpire: this.algorithm === 'deadline' ? this.readExpire : null,
+            writeExpire: this.algorithm === 'deadline' ? this.writeExpire : null,
+            starvationThreshold: this.starvationThreshold,
             totalHeadMovement: finalTotalMovement,
             averageSeekTime: finalAvgSeek.toFixed(2),
             seeksCount: finalSeeks,
+            optimalMovement: this.optimalMovement,
+            optimalIsStaticBound: this.hasTimedArrivals(),
+            percentAboveOptimal: this.getPercentAboveOptimal(finalTotalMovement).toFixed(1),
+            totalElapsedMs: finalStep.elapsedMs.toFixed(2),
+            averageServiceTimeMs: finalAvgServiceMs.toFixed(2),
+            timingModel: this.timingModel.toJSON(),
+            headsCount: this.headsCount,
+            sectorsPerTrack: this.sectorsPerTrack,
+            requestMetrics: this.getRequestMetrics(),
             allSteps: this.allSteps,
             timestamp: new Date().toLocaleString()
         };
     }
 
+    /**
+     * Builds the execution trace table shared by the PDF and LaTeX reports.
+     * @static
+     * @param {Array<object>} steps - Step objects (e.g. getExportData().allSteps).
+     * @returns {{head: Array<string>, body: Array<Array<(number|string)>>}}
+     */
+    static getTraceTable(steps) {
+        return {
+            head: ['Step', 'Head Position', 'Seek Distance', 'Total Movement', 'Elapsed (ms)', 'Serviced'],
+            body: steps.map((step, index) => [
+                step.step,
+                step.headPosition,
+                step.seekDistance,
+                step.totalHeadMovement,
+                step.elapsedMs.toFixed(2),
+                // Show the request that was *just* serviced on this step (Step 0 has none)
+                index > 0 && step.servicedQueue.length > 0 ? step.servicedQueue[step.servicedQueue.length - 1] : '-'
+            ])
+        };
+    }
+
+    /**
+     * Names the offline optimum for display. With timed arrivals the optimum
+     * still assumes every request is known at time 0 (a static lower bound
+     * that may not be reachable), so it is not called optimal there.
+     * @static
+     * @param {boolean} isStaticBound - Whether the workload has timed arrivals
+     * (see hasTimedArrivals() and the export data's `optimalIsStaticBound`).
+     * @returns {{label: string, name: string}} The statistic's label and the optimum's name,
+     * e.g. "Above Optimal" and "optimal".
+     */
+    static describeOptimal(isStaticBound) {
+        return isStaticBound
+            ? { label: 'Above Static Bound', name: 'static bound' }
+            : { label: 'Above Optimal', name: 'optimal' };
+    }
+
+    /**
+     * Gets how much more a head movement is than the offline optimum.
+     * With timed arrivals the optimum assumes every request is known at
+     * time 0, so it stays a lower bound but may not be reachable
+     * (see describeOptimal()). 0 after a failed run.
+     * @param {number} [movement] - Total head movement. Defaults to the final step's.
+     * @returns {number} The percentage above optimal (0 when optimal).
+     */
+    getPercentAboveOptimal(movement) {
+        if (movement === undefined) {
+            movement = this.allSteps.length > 0 ? this.allSteps[this.allSteps.length - 1].totalHeadMovement : 0;
+        }
+        if (this.optimalMovement <= 0) return 0;
+        return (movement - this.optimalMovement) / this.optimalMovement * 100;
+    }
+
+    /**
+     * Computes per-request wait, response and starvation metrics
+     * for the whole pre-calculated simulation. They only change with the
+     * run, so they are computed once per run rather than on every step.
+     * @returns {object} See RequestMetrics.compute().
+     */
+    getRequestMetrics() {
+        const cache = this.requestMetricsCache;
+        if (!cache || cache.steps !== this.allSteps || cache.details !== this.requestDetails || cache.threshold !== this.starvationThreshold) {
+            this.requestMetricsCache = {
+                steps: this.allSteps,
+                details: this.requestDetails,
+                threshold: this.starvationThreshold,
+                metrics: RequestMetrics.compute(this.allSteps, this.requestDetails, this.starvationThreshold)
+            };
+        }
+        return this.requestMetricsCache.metrics;
+    }
+
     /**
      * Sets the animation speed.
      * @param {number} speed - A value from 1 (slow) to 10 (fast).
@@ -451,6 +1039,45 @@ class StateManager {
         return (11 - this.animationSpeed) * 100;
     }
 
+    /**
+     * Sets what the playback time of each move is proportional to.
+     * @param {string} timing - 'distance' (tracks moved) or 'time' (modeled seek time).
+     */
+    setAnimationTiming(timing) {
+        this.animationTiming = timing === 'time' ? 'time' : 'distance';
+    }
+
+    /**
+     * Gets how long the playback animation takes to move into a step.
+     * Moves are scaled so the average move takes getAnimationDelay(),
+     * with long seeks taking longer and short ones less (never under 15%
+     * of the delay, so tiny moves stay visible). Zero-distance steps keep
+     * the plain delay.
+     * @param {number} stepIndex - The step being moved into (1-based move).
+     * @returns {number} The duration in milliseconds.
+     */
+    getStepDuration(stepIndex) {
+        const delay = this.getAnimationDelay();
+        const step = this.allSteps[stepIndex];
+        const weight = (s) => this.animationTiming === 'time' ? s.seekTimeMs : s.seekDistance;
+
+        // The mean weight only changes with the run or the timing mode
+        const cache = this.stepDurationCache;
+        if (!cache || cache.steps !== this.allSteps || cache.timing !== this.animationTiming) {
+            const moves = this.allSteps.slice(1);
+            const total = moves.reduce((sum, s) => sum + weight(s), 0);
+            this.stepDurationCache = {
+                steps: this.allSteps,
+                timing: this.animationTiming,
+                mean: moves.length > 0 ? total / moves.length : 0
+            };
+        }
+
+        const mean = this.stepDurationCache.mean;
+        if (!step || mean <= 0 || weight(step) <= 0) return delay;
+        return Math.max(delay * 0.15, delay * weight(step) / mean);
+    }
+
     /**
      * Toggles the running state.
      * @returns {boolean} The new running state.
@@ -483,7 +1110,8 @@ class StateManager {
     getStepInfo() {
         // allSteps.length - 1 is the total number of steps (since it's 0-indexed)
         const totalSteps = this.allSteps.length > 0 ? this.allSteps.length - 1 : 0;
-        return `${this.currentStepIndex} / ${totalSteps}`;
+        const clockText = this.hasTimedArrivals() ? ` | t = ${this.currentTime}` : '';
+        return `${this.currentStepIndex} / ${totalSteps}${clockText}`;
     }
 
     /**
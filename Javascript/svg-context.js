@@ -0,0 +1,309 @@
+/* =====================================================
+ * JS/SVG-CONTEXT.JS - SVG BACKEND FOR THE CANVAS RENDERER
+ * -----------------------------------------------------
+ * A stand-in for CanvasRenderingContext2D that records
+ * drawing calls as SVG elements instead of pixels. It
+ * implements the subset CanvasRenderer uses (paths, arcs,
+ * rects, text, line dashes, clipping, save/restore,
+ * translate/rotate/scale), so the renderer's own draw
+ * methods produce the SVG and it always matches the
+ * canvas.
+ * ===================================================== */
+
+class SvgContext {
+    /**
+     * Initializes an empty drawing.
+     * @param {number} width - Drawing width in pixels.
+     * @param {number} height - Drawing height in pixels.
+     * @param {CanvasRenderingContext2D} [measureCtx=null] - A real context used
+     * for measureText(). Without one, text width is estimated from the font size.
+     */
+    constructor(width, height, measureCtx = null) {
+        this.width = width;
+        this.height = height;
+        this.measureCtx = measureCtx;
+
+        // Drawing state (the properties CanvasRenderer sets)
+        this.fillStyle = '#000000';
+        this.strokeStyle = '#000000';
+        this.lineWidth = 1;
+        this.font = '10px sans-serif';
+        this.textAlign = 'start';
+        this.textBaseline = 'alphabetic';
+        this.lineDash = [];
+        /** @type {Array<number>} Current transform [a, b, c, d, e, f]. */
+        this.transform = [1, 0, 0, 1, 0, 0];
+
+        /** @type {Array<object>} Saved states for save()/restore(). */
+        this.stateStack = [];
+        /** @type {string} The current path, as SVG path data (already transformed). */
+        this.path = '';
+        /** @type {?{x: number, y: number}} The current point, for arcs that join the path. */
+        this.currentPoint = null;
+        /** @type {Array<string>} The SVG elements drawn so far. */
+        this.elements = [];
+        /** @type {Array<string>} <clipPath> definitions. */
+        this.clipPaths = [];
+        /** @type {?string} ID of the active clip path. */
+        this.clipId = null;
+    }
+
+    // --- State ---
+
+    save() {
+        this.stateStack.push({
+            fillStyle: this.fillStyle,
+            strokeStyle: this.strokeStyle,
+            lineWidth: this.lineWidth,
+            font: this.font,
+            textAlign: this.textAlign,
+            textBaseline: this.textBaseline,
+            lineDash: [...this.lineDash],
+            transform: [...this.transform],
+            clipId: this.clipId
+        });
+    }
+
+    restore() {
+        const state = this.stateStack.pop();
+        if (state) Object.assign(this, state);
+    }
+
+    setLineDash(segments) {
+        this.lineDash = [...segments];
+    }
+
+    getLineDash() {
+        return [...this.lineDash];
+    }
+
+    translate(tx, ty) {
+        const [a, b, c, d, e, f] = this.transform;
+        this.transform = [a, b, c, d, e + a * tx + c * ty, f + b * tx + d * ty];
+    }
+
+    rotate(angle) {
+        const [a, b, c, d, e, f] = this.transform;
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        this.transform = [a * cos + c * sin, b * cos + d * sin, c * cos - a * sin, d * cos - b * sin, e, f];
+    }
+
+    scale(sx, sy) {
+        const [a, b, c, d, e, f] = this.transform;
+        this.transform = [a * sx, b * sx, c * sy, d * sy, e, f];
+    }
+
+    // --- Paths ---
+
+    beginPath() {
+        this.path = '';
+        this.currentPoint = null;
+    }
+
+    moveTo(x, y) {
+        const p = this.apply(x, y);
+        this.path += `M${this.num(p.x)} ${this.num(p.y)} `;
+        this.currentPoint = { x, y };
+    }
+
+    lineTo(x, y) {
+        if (!this.currentPoint) {
+            this.moveTo(x, y);
+            return;
+        }
+        const p = this.apply(x, y);
+        this.path += `L${this.num(p.x)} ${this.num(p.y)} `;
+        this.currentPoint = { x, y };
+    }
+
+    closePath() {
+        this.path += 'Z ';
+    }
+
+    rect(x, y, width, height) {
+        this.path += this.rectPath(x, y, width, height) + ' ';
+        this.currentPoint = { x, y };
+    }
+
+    /**
+     * Clips everything drawn afterwards to the current path. Like canvas,
+     * a clip inside another clip keeps only their intersection.
+     */
+    clip() {
+        const id = `clip${this.clipPaths.length + 1}`;
+        const parent = this.clipId ? ` clip-path="url(#${this.clipId})"` : '';
+        this.clipPaths.push(`<clipPath id="${id}"${parent}><path d="${this.path.trim()}"/></clipPath>`);
+        this.clipId = id;
+    }
+
+    /**
+     * Adds an arc to the path. Full circles are split into two halves,
+     * since a single SVG arc cannot start and end at the same point.
+     */
+    arc(x, y, radius, startAngle, endAngle, counterclockwise = false) {
+        const point = (angle) => ({ x: x + radius * Math.cos(angle), y: y + radius * Math.sin(angle) });
+        const start = point(startAngle);
+
+        // Like canvas: join the current path with a line, or start a new subpath
+        if (this.currentPoint) this.lineTo(start.x, start.y); else this.moveTo(start.x, start.y);
+
+        let sweep = counterclockwise ? startAngle - endAngle : endAngle - startAngle;
+        if (sweep >= 2 * Math.PI) {
+            const mid = startAngle + (counterclockwise ? -Math.PI : Math.PI);
+            this.arcSegment(radius, point(mid), Math.PI, counterclockwise);
+            this.arcSegment(radius, start, Math.PI, counterclockwise);
+            return;
+        }
+        sweep = ((sweep % (2 * Math.PI)) + 2 * Math.PI) % (2 * Math.PI);
+        this.arcSegment(radius, point(endAngle), sweep, counterclockwise);
+    }
+
+    /**
+     * Appends one SVG arc command ending at `end`.
+     * @private
+     */
+    arcSegment(radius, end, sweep, counterclockwise) {
+        const p = this.apply(end.x, end.y);
+        const r = this.num(radius * this.getScale());
+        const largeArc = sweep > Math.PI ? 1 : 0;
+        const sweepFlag = counterclockwise ? 0 : 1;
+        this.path += `A${r} ${r} 0 ${largeArc} ${sweepFlag} ${this.num(p.x)} ${this.num(p.y)} `;
+        this.currentPoint = end;
+    }
+
+    stroke() {
+        if (!this.path) return;
+        this.addElement(`<path d="${this.path.trim()}" fill="none"${this.strokeAttributes()}/>`);
+    }
+
+    fill() {
+        if (!this.path) return;
+        this.addElement(`<path d="${this.path.trim()}" fill="${this.escape(this.fillStyle)}"/>`);
+    }
+
+    // --- Rectangles ---
+
+    fillRect(x, y, width, height) {
+        this.addElement(`<path d="${this.rectPath(x, y, width, height)}" fill="${this.escape(this.fillStyle)}"/>`);
+    }
+
+    strokeRect(x, y, width, height) {
+        this.addElement(`<path d="${this.rectPath(x, y, width, height)}" fill="none"${this.strokeAttributes()}/>`);
+    }
+
+    clearRect(x, y, width, height) {
+        this.addElement(`<path d="${this.rectPath(x, y, width, height)}" fill="#ffffff"/>`);
+    }
+
+    // --- Text ---
+
+    fillText(text, x, y) {
+        const anchor = { center: 'middle', right: 'end', end: 'end' }[this.textAlign] || 'start';
+        const baseline = { top: 'hanging', hanging: 'hanging', middle: 'middle', bottom: 'text-after-edge' }[this.textBaseline];
+        const [a, b, c, d, e, f] = this.transform.map(v => this.num(v));
+
+        this.addElement(
+            `<text x="${this.num(x)}" y="${this.num(y)}" transform="matrix(${a} ${b} ${c} ${d} ${e} ${f})"` +
+            ` fill="${this.escape(this.fillStyle)}" style="font: ${this.escape(this.font)}" text-anchor="${anchor}"` +
+            (baseline ? ` dominant-baseline="${baseline}"` : '') +
+            `>${this.escape(String(text))}</text>`
+        );
+    }
+
+    measureText(text) {
+        if (this.measureCtx) {
+            this.measureCtx.font = this.font;
+            return this.measureCtx.measureText(text);
+        }
+        const size = parseFloat((this.font.match(/(\d+(?:\.\d+)?)px/) || [])[1]) || 10;
+        return { width: String(text).length * size * 0.6 };
+    }
+
+    // --- Output ---
+
+    /**
+     * Gets the finished drawing as a standalone SVG document.
+     * @returns {string}
+     */
+    toString() {
+        const defs = this.clipPaths.length > 0 ? `<defs>\n${this.clipPaths.join('\n')}\n</defs>\n` : '';
+        return `<svg xmlns="http://www.w3.org/2000/svg" width="${this.width}" height="${this.height}" viewBox="0 0 ${this.width} ${this.height}">\n` +
+            defs +
+            this.elements.join('\n') +
+            '\n</svg>\n';
+    }
+
+    // --- Helpers ---
+
+    /**
+     * Adds a drawn element, clipped by the active clip path.
+     * @private
+     * @param {string} markup - An SVG element.
+     */
+    addElement(markup) {
+        this.elements.push(this.clipId ? markup.replace(/^<(\w+)/, `<$1 clip-path="url(#${this.clipId})"`) : markup);
+    }
+
+    /**
+     * Applies the current transform to a point.
+     * @private
+     */
+    apply(x, y) {
+        const [a, b, c, d, e, f] = this.transform;
+        return { x: a * x + c * y + e, y: b * x + d * y + f };
+    }
+
+    /**
+     * Gets the transform's average scale factor (for radii and line widths).
+     * @private
+     */
+    getScale() {
+        const [a, b, c, d] = this.transform;
+        return Math.sqrt(Math.abs(a * d - b * c));
+    }
+
+    /**
+     * Builds transformed path data for a rectangle.
+     * @private
+     */
+    rectPath(x, y, width, height) {
+        const corners = [[x, y], [x + width, y], [x + width, y + height], [x, y + height]]
+            .map(([px, py]) => this.apply(px, py))
+            .map(p => `${this.num(p.x)} ${this.num(p.y)}`);
+        return `M${corners.join(' L')} Z`;
+    }
+
+    /**
+     * Builds the stroke attributes from the current state.
+     * @private
+     */
+    strokeAttributes() {
+        const scale = this.getScale();
+        const dash = this.lineDash.length > 0
+            ? ` stroke-dasharray="${this.lineDash.map(v => this.num(v * scale)).join(' ')}"`
+            : '';
+        return ` stroke="${this.escape(this.strokeStyle)}" stroke-width="${this.num(this.lineWidth * scale)}"${dash}`;
+    }
+
+    /**
+     * Rounds a coordinate to two decimals.
+     * @private
+     */
+    num(value) {
+        return Math.round(value * 100) / 100;
+    }
+
+    /**
+     * Escapes text for XML.
+     * @private
+     */
+    escape(text) {
+        return String(text).replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' }[ch]));
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SvgContext;
+}
@@ -0,0 +1,237 @@
+/* =====================================================
+ * JS/TRACE-IMPORTER.JS - BLOCK-I/O TRACE IMPORTERS
+ * -----------------------------------------------------
+ * Turns real block-I/O traces into a request queue:
+ * 1. Parse the trace into records { time, lba, size, op }.
+ *    Supported: blkparse text output, SPC-1 / UMass CSV
+ *    (ASU,LBA,Size,Opcode,Timestamp) and a simple
+ *    timestamp,lba,size,op CSV.
+ * 2. Map each LBA to cylinder/head/sector for the
+ *    configured geometry. A trace from a disk larger than
+ *    the simulated one is scaled down linearly, which
+ *    keeps its locality (nearby LBAs stay nearby).
+ * 3. Emit request-queue text ("98/2/35w@12.5, ...") so an
+ *    import goes through the same parser as typed input.
+ * ===================================================== */
+
+class TraceImporter {
+    /**
+     * Gets the supported trace formats and their display names.
+     * @static
+     * @returns {object} Map of format key -> label.
+     */
+    static get formats() {
+        return {
+            blkparse: 'blkparse text output',
+            spc: 'SPC-1 / UMass CSV (ASU,LBA,Size,Opcode,Timestamp)',
+            simple: 'Simple CSV (timestamp,lba,size,op)'
+        };
+    }
+
+    /**
+     * Guesses the format of a trace from its first data line.
+     * @static
+     * @param {string} text - The trace contents.
+     * @returns {string} A key of `formats`.
+     * @throws {Error} if the format is not recognized.
+     */
+    static detectFormat(text) {
+        const line = TraceImporter.getLines(text).find(l => !TraceImporter.isHeader(l));
+        if (!line) {
+            throw new Error('The trace is empty');
+        }
+        if (/^\s*\d+,\d+\s+\d+\s+\d+\s+[\d.]+\s+\d+\s+[A-Z]+\s+[A-Z]+/.test(line)) {
+            return 'blkparse';
+        }
+
+        const fields = line.split(',').map(f => f.trim());
+        if (fields.length >= 5 && /^[rw]$/i.test(fields[3])) {
+            return 'spc';
+        }
+        if (fields.length >= 4 && /^[rw]/i.test(fields[3])) {
+            return 'simple';
+        }
+        throw new Error('Unrecognized trace format');
+    }
+
+    /**
+     * Parses a trace into records.
+     * @static
+     * @param {string} text - The trace contents.
+     * @param {string} [format='auto'] - A key of `formats`, or 'auto' to detect it.
+     * @returns {Array<{time: number, lba: number, size: number, op: string}>}
+     * Records in trace order. `time` is in seconds and `op` is 'read' or 'write'.
+     * @throws {Error} for an unknown format or a trace without usable records.
+     */
+    static parse(text, format = 'auto') {
+        if (format === 'auto') {
+            format = TraceImporter.detectFormat(text);
+        }
+
+        let records;
+        switch (format) {
+            case 'blkparse':
+                records = TraceImporter.parseBlkparse(text);
+                break;
+            case 'spc':
+                records = TraceImporter.parseCsv(text, { time: 4, lba: 1, size: 2, op: 3 });
+                break;
+            case 'simple':
+                records = TraceImporter.parseCsv(text, { time: 0, lba: 1, size: 2, op: 3 });
+                break;
+            default:
+                throw new Error(`Unknown trace format: ${format}`);
+        }
+
+        if (records.length === 0) {
+            throw new Error(`No requests found in the ${format} trace`);
+        }
+        return records;
+    }
+
+    /**
+     * Parses blkparse output. Only queue events (action Q) are kept, so
+     * each request is counted once rather than at every stage (G, I, D, C).
+     * Line layout: "dev cpu seq timestamp pid action rwbs sector + blocks [process]".
+     * @static
+     * @private
+     * @param {string} text - The trace contents.
+     * @returns {Array<object>} Records.
+     */
+    static parseBlkparse(text) {
+        const records = [];
+        for (const line of TraceImporter.getLines(text)) {
+            const match = line.match(/^\s*\d+,\d+\s+\d+\s+\d+\s+([\d.]+)\s+\d+\s+Q\s+([A-Z]+)\s+(\d+)\s+\+\s+(\d+)/);
+            if (!match) continue;
+
+            const rwbs = match[2];
+            const blocks = parseInt(match[4]);
+            if (blocks === 0 || (!rwbs.includes('R') && !rwbs.includes('W'))) continue; // e.g., flushes
+
+            records.push({
+                time: parseFloat(match[1]),
+                lba: parseInt(match[3]),
+                size: blocks * 512,
+                op: rwbs.includes('W') ? 'write' : 'read'
+            });
+        }
+        return records;
+    }
+
+    /**
+     * Parses a comma-separated trace, skipping header and malformed lines.
+     * @static
+     * @private
+     * @param {string} text - The trace contents.
+     * @param {{time: number, lba: number, size: number, op: number}} columns - Column indexes.
+     * @returns {Array<object>} Records.
+     */
+    static parseCsv(text, columns) {
+        const records = [];
+        for (const line of TraceImporter.getLines(text)) {
+            const fields = line.split(',').map(f => f.trim());
+            const time = parseFloat(fields[columns.time]);
+            const lba = parseInt(fields[columns.lba]);
+            const op = fields[columns.op];
+            if (isNaN(time) || isNaN(lba) || !/^[rw]/i.test(op || '')) continue;
+
+            records.push({
+                time: time,
+                lba: lba,
+                size: parseInt(fields[columns.size]) || 0,
+                op: /^w/i.test(op) ? 'write' : 'read'
+            });
+        }
+        return records;
+    }
+
+    /**
+     * Converts records into request-queue text for the configured geometry.
+     * Requests keep their reads/writes and their timestamps (relative to the
+     * first record). Only the first request for each sector is kept (the
+     * queue drops a repeated address); the others are returned in `skipped`
+     * (as queue entries) for the caller to report.
+     * @static
+     * @param {Array<object>} records - Records from parse().
+     * @param {object} geometry - The simulated drive.
+     * @param {number} geometry.maxTrack - The maximum track (cylinder) number.
+     * @param {number} geometry.headsCount - Heads per cylinder.
+     * @param {number} geometry.sectorsPerTrack - Sectors per track.
+     * @param {object} [options={}]
+     * @param {number} [options.limit=100] - Maximum number of requests to import.
+     * @param {number} [options.msPerTimeUnit=1] - Trace milliseconds per simulation clock unit.
+     * @returns {{queue: string, imported: number, records: number, skipped: Array<string>, scaled: boolean}}
+     */
+    static toRequestQueue(records, { maxTrack, headsCount, sectorsPerTrack }, { limit = 100, msPerTimeUnit = 1 } = {}) {
+        const sectorsPerCylinder = headsCount * sectorsPerTrack;
+        const capacity = (maxTrack + 1) * sectorsPerCylinder;
+
+        // One pass for the LBA range and the first timestamp (a spread would overflow the stack on long traces)
+        let maxLba = 0;
+        let startTime = Infinity;
+        for (const record of records) {
+            if (record.lba > maxLba) maxLba = record.lba;
+            if (record.time < startTime) startTime = record.time;
+        }
+        const scaled = maxLba >= capacity;
+
+        const seen = new Set();
+        const entries = [];
+        const skipped = [];
+
+        for (const record of records) {
+            if (entries.length >= limit) break;
+
+            const lba = scaled ? Math.floor(record.lba * capacity / (maxLba + 1)) : record.lba;
+            const cylinder = Math.floor(lba / sectorsPerCylinder);
+            const head = Math.floor(lba / sectorsPerTrack) % headsCount;
+            const sector = lba % sectorsPerTrack;
+            const typeText = record.op === 'write' ? 'w' : '';
+            const arrival = Math.round((record.time - startTime) * 1000 / msPerTimeUnit * 100) / 100;
+            const entry = `${cylinder}/${head}/${sector}${typeText}${arrival > 0 ? '@' + arrival : ''}`;
+
+            const address = `${cylinder}/${head}/${sector}`;
+            if (seen.has(address)) {
+                skipped.push(entry);
+                continue;
+            }
+            seen.add(address);
+            entries.push(entry);
+        }
+
+        return {
+            queue: entries.join(', '),
+            imported: entries.length,
+            records: records.length,
+            skipped: skipped,
+            scaled: scaled
+        };
+    }
+
+    /**
+     * Splits a trace into non-empty, non-comment lines.
+     * @static
+     * @private
+     * @param {string} text
+     * @returns {Array<string>}
+     */
+    static getLines(text) {
+        return String(text).split(/\r?\n/).filter(line => line.trim() !== '' && !line.trim().startsWith('#'));
+    }
+
+    /**
+     * Checks whether a line is a CSV header (contains no digits before the first comma).
+     * @static
+     * @private
+     * @param {string} line
+     * @returns {boolean}
+     */
+    static isHeader(line) {
+        return !/\d/.test(line.split(',')[0]);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TraceImporter;
+}
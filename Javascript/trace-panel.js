@@ -0,0 +1,87 @@
+/* =====================================================
+ * JS/TRACE-PANEL.JS - TRACE IMPORT PANEL
+ * -----------------------------------------------------
+ * Config-panel UI for TraceImporter. Like the workload
+ * generator, an imported trace is written into
+ * #requestQueue and announced with an "input" event, so
+ * it is parsed and validated like typed input.
+ * ===================================================== */
+
+class TracePanel {
+    /**
+     * Initializes the TracePanel.
+     * @param {Controller} controller - The main application controller.
+     */
+    constructor(controller) {
+        this.controller = controller;
+
+        // Element cache
+        this.ui = {};
+    }
+
+    /**
+     * Caches UI elements, fills the format list and sets up event listeners.
+     */
+    init() {
+        this.ui.file = document.getElementById('traceFile');
+        this.ui.format = document.getElementById('traceFormat');
+        this.ui.limit = document.getElementById('traceLimit');
+        this.ui.timeScale = document.getElementById('traceTimeScale');
+        this.ui.importBtn = document.getElementById('importTraceBtn');
+        this.ui.status = document.getElementById('traceImportStatus');
+        this.ui.requestQueue = document.getElementById('requestQueue');
+
+        this.ui.format.innerHTML = '<option value="auto">Detect automatically</option>' +
+            Object.entries(TraceImporter.formats)
+                .map(([key, label]) => `<option value="${key}">${label}</option>`)
+                .join('');
+
+        this.ui.importBtn.addEventListener('click', () => this.handleImport());
+    }
+
+    /**
+     * Handles the "Import" button: reads the chosen file and loads it as the request set.
+     */
+    async handleImport() {
+        try {
+            const file = this.ui.file.files[0];
+            if (!file) {
+                this.controller.showError('Error: Choose a trace file to import');
+                return;
+            }
+
+            const records = TraceImporter.parse(await file.text(), this.ui.format.value);
+            const params = this.controller.getParametersFromDOM();
+            const result = TraceImporter.toRequestQueue(records, {
+                maxTrack: parseInt(params.maxTrackNumber) || 199,
+                headsCount: parseInt(params.headsCount) || 4,
+                sectorsPerTrack: parseInt(params.sectorsPerTrack) || 64
+            }, {
+                limit: parseInt(this.ui.limit.value) || 100,
+                msPerTimeUnit: parseFloat(this.ui.timeScale.value) || 1
+            });
+
+            // The queue holds one request per sector, so say which records did not make it
+            const { skipped } = result;
+            const skippedText = skipped.length === 0 ? ''
+                : `, skipped ${skipped.length} for an already-requested sector (${skipped.slice(0, 5).join(', ')}` +
+                  (skipped.length > 5 ? ', ...' : '') + ')';
+
+            this.ui.status.textContent =
+                `Imported ${result.imported} of ${result.records} requests` + skippedText +
+                (result.scaled ? ', LBAs scaled to fit the drive' : '') + '.' +
+                (skipped.length > 0 && result.scaled ? ' A higher Max Track spreads the requests over more sectors.' : '');
+
+            this.ui.requestQueue.value = result.queue;
+            this.ui.requestQueue.dispatchEvent(new Event('input'));
+        } catch (error) {
+            this.ui.status.textContent = '';
+            this.controller.showError('Error: ' + error.message);
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TracePanel;
+}
@@ -0,0 +1,199 @@
+/* =====================================================
+ * JS/WORKLOAD-GENERATOR.JS - SEEDED SYNTHETIC WORKLOADS
+ * -----------------------------------------------------
+ * Generates request queues from a few classic access
+ * patterns. Every generator draws from a seeded PRNG
+ * (mulberry32), so the same seed and settings always
+ * give the same queue - on any machine and in any
+ * browser. The output is a plain list of unique tracks,
+ * in arrival (FCFS) order.
+ * ===================================================== */
+
+class WorkloadGenerator {
+    /**
+     * Gets the supported distributions and their display names.
+     * @static
+     * @returns {object} Map of distribution key -> label.
+     */
+    static get distributions() {
+        return {
+            uniform: 'Uniform Random',
+            hotspot: 'Gaussian Hotspots',
+            zipf: 'Zipf',
+            sequential: 'Sequential Runs (with jitter)',
+            bimodal: 'Bimodal (disk edges)'
+        };
+    }
+
+    /**
+     * Creates a seeded PRNG (mulberry32) returning floats in [0, 1).
+     * @static
+     * @param {number} seed - Any integer seed.
+     * @returns {function(): number}
+     */
+    static createRandom(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    /**
+     * Generates a request queue.
+     * @static
+     * @param {object} options - Generator settings.
+     * @param {string} [options.distribution='uniform'] - One of the keys of `distributions`.
+     * @param {number} [options.count=8] - Number of requests.
+     * @param {number} [options.minTrack=0] - Lowest track to generate.
+     * @param {number} [options.maxTrack=199] - Highest track to generate.
+     * @param {number} [options.seed=1] - PRNG seed.
+     * @returns {Array<number>} Unique tracks in arrival order. Fewer than `count`
+     * when the range (or a very skewed distribution) runs out of distinct tracks.
+     * @throws {Error} if the settings are invalid.
+     */
+    static generate({ distribution = 'uniform', count = 8, minTrack = 0, maxTrack = 199, seed = 1 } = {}) {
+        if (!(distribution in WorkloadGenerator.distributions)) {
+            throw new Error(`Unknown workload distribution: ${distribution}`);
+        }
+        if (!Number.isInteger(count) || count < 1) {
+            throw new Error('Request count must be a positive integer');
+        }
+        if (!Number.isInteger(minTrack) || !Number.isInteger(maxTrack) || minTrack < 0 || maxTrack < minTrack) {
+            throw new Error('Track range must satisfy 0 <= min <= max');
+        }
+        if (!Number.isFinite(seed)) {
+            throw new Error('Seed must be a number');
+        }
+
+        const random = WorkloadGenerator.createRandom(seed);
+        const draw = WorkloadGenerator.createSampler(distribution, random, minTrack, maxTrack);
+        const target = Math.min(count, maxTrack - minTrack + 1);
+
+        // Tracks are unique in a queue, so re-draw duplicates (with a cap
+        // for skewed distributions that keep hitting the same tracks)
+        const seen = new Set();
+        const tracks = [];
+        const maxAttempts = target * 100;
+        for (let attempt = 0; tracks.length < target && attempt < maxAttempts; attempt++) {
+            const track = Math.min(maxTrack, Math.max(minTrack, Math.round(draw())));
+            if (seen.has(track)) continue;
+            seen.add(track);
+            tracks.push(track);
+        }
+
+        return tracks;
+    }
+
+    /**
+     * Creates the sampling function for a distribution.
+     * @static
+     * @private
+     * @param {string} distribution - The distribution key.
+     * @param {function(): number} random - The seeded PRNG.
+     * @param {number} minTrack - Lowest track.
+     * @param {number} maxTrack - Highest track.
+     * @returns {function(): number} Returns one (unrounded) track per call.
+     */
+    static createSampler(distribution, random, minTrack, maxTrack) {
+        const span = maxTrack - minTrack;
+        const gaussian = () => WorkloadGenerator.gaussian(random);
+
+        switch (distribution) {
+            case 'hotspot': {
+                // Three hot regions, each a narrow bell curve
+                const centers = [random(), random(), random()].map(r => minTrack + r * span);
+                const sigma = Math.max(1, span * 0.04);
+                return () => centers[Math.floor(random() * centers.length)] + gaussian() * sigma;
+            }
+
+            case 'zipf': {
+                // Track popularity follows rank^-1 over a shuffled ranking,
+                // so the hot tracks are scattered across the disk
+                const ranked = WorkloadGenerator.shuffle(random, Array.from({ length: span + 1 }, (_, i) => minTrack + i));
+                const cumulative = [];
+                let total = 0;
+                for (let rank = 1; rank <= ranked.length; rank++) {
+                    total += 1 / rank;
+                    cumulative.push(total);
+                }
+                return () => {
+                    const r = random() * total;
+                    let low = 0;
+                    let high = cumulative.length - 1;
+                    while (low < high) {
+                        const mid = (low + high) >> 1;
+                        if (cumulative[mid] < r) low = mid + 1; else high = mid;
+                    }
+                    return ranked[low];
+                };
+            }
+
+            case 'sequential': {
+                // Runs of 4-8 nearby requests, each 1-3 tracks past the last
+                let position = minTrack + random() * span;
+                let runLeft = 0;
+                return () => {
+                    if (runLeft === 0) {
+                        position = minTrack + random() * span;
+                        runLeft = 4 + Math.floor(random() * 5);
+                    } else {
+                        position += 1 + Math.floor(random() * 3);
+                        if (position > maxTrack) position = minTrack + random() * span;
+                    }
+                    runLeft--;
+                    return position;
+                };
+            }
+
+            case 'bimodal': {
+                // Half near track min, half near track max
+                const sigma = Math.max(1, span * 0.08);
+                return () => random() < 0.5
+                    ? minTrack + Math.abs(gaussian()) * sigma
+                    : maxTrack - Math.abs(gaussian()) * sigma;
+            }
+
+            case 'uniform':
+            default:
+                return () => minTrack + random() * span;
+        }
+    }
+
+    /**
+     * Draws a standard normal value (Box-Muller).
+     * @static
+     * @private
+     * @param {function(): number} random - The seeded PRNG.
+     * @returns {number}
+     */
+    static gaussian(random) {
+        const u = 1 - random(); // (0, 1], keeps log() finite
+        const v = random();
+        return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+    }
+
+    /**
+     * Shuffles an array in place (Fisher-Yates) with the seeded PRNG.
+     * @static
+     * @private
+     * @param {function(): number} random - The seeded PRNG.
+     * @param {Array} items - The array to shuffle.
+     * @returns {Array} The same array.
+     */
+    static shuffle(random, items) {
+        for (let i = items.length - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [items[i], items[j]] = [items[j], items[i]];
+        }
+        return items;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WorkloadGenerator;
+}
@@ -0,0 +1,87 @@
+/* =====================================================
+ * JS/WORKLOAD-PANEL.JS - WORKLOAD GENERATOR PANEL
+ * -----------------------------------------------------
+ * Config-panel UI for WorkloadGenerator. A generated
+ * queue is written into #requestQueue and announced with
+ * an "input" event, so it goes through exactly the same
+ * path as a typed queue (StateManager.initializeWithParams).
+ * ===================================================== */
+
+class WorkloadPanel {
+    /**
+     * Initializes the WorkloadPanel.
+     * @param {Controller} controller - The main application controller.
+     */
+    constructor(controller) {
+        this.controller = controller;
+
+        // Element cache
+        this.ui = {};
+    }
+
+    /**
+     * Caches UI elements, fills the distribution list and sets up event listeners.
+     */
+    init() {
+        this.ui.distribution = document.getElementById('workloadDistribution');
+        this.ui.count = document.getElementById('workloadCount');
+        this.ui.minTrack = document.getElementById('workloadMinTrack');
+        this.ui.maxTrack = document.getElementById('workloadMaxTrack');
+        this.ui.seed = document.getElementById('workloadSeed');
+        this.ui.generateBtn = document.getElementById('generateWorkloadBtn');
+        this.ui.newSeedBtn = document.getElementById('newSeedBtn');
+        this.ui.requestQueue = document.getElementById('requestQueue');
+
+        this.ui.distribution.innerHTML = Object.entries(WorkloadGenerator.distributions)
+            .map(([key, label]) => `<option value="${key}">${label}</option>`)
+            .join('');
+
+        this.ui.generateBtn.addEventListener('click', () => this.handleGenerate());
+        this.ui.newSeedBtn.addEventListener('click', () => this.handleNewSeed());
+    }
+
+    /**
+     * Reads the generator settings from the panel.
+     * An empty max track defaults to the configured Max Track.
+     * @returns {object} Options for WorkloadGenerator.generate().
+     */
+    getOptionsFromDOM() {
+        const maxTrackNumber = parseInt(document.getElementById('maxTrackNumber').value) || 199;
+        const minTrack = parseInt(this.ui.minTrack.value);
+        const maxTrack = parseInt(this.ui.maxTrack.value);
+
+        return {
+            distribution: this.ui.distribution.value,
+            count: parseInt(this.ui.count.value),
+            minTrack: isNaN(minTrack) ? 0 : minTrack,
+            maxTrack: isNaN(maxTrack) ? maxTrackNumber : Math.min(maxTrack, maxTrackNumber),
+            seed: parseInt(this.ui.seed.value)
+        };
+    }
+
+    /**
+     * Handles the "Generate" button: writes a generated queue into the request input.
+     */
+    handleGenerate() {
+        try {
+            const tracks = WorkloadGenerator.generate(this.getOptionsFromDOM());
+            this.ui.requestQueue.value = tracks.join(', ');
+            this.ui.requestQueue.dispatchEvent(new Event('input'));
+        } catch (error) {
+            this.controller.showError('Error: ' + error.message);
+        }
+    }
+
+    /**
+     * Handles the "New Seed" button: picks a fresh seed and generates with it.
+     */
+    handleNewSeed() {
+        this.ui.seed.value = Math.floor(Math.random() * 1000000);
+        this.handleGenerate();
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WorkloadPanel;
+}
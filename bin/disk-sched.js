@@ -0,0 +1,243 @@
+#!/usr/bin/env node
+/* =====================================================
+ * BIN/DISK-SCHED.JS - COMMAND-LINE SIMULATOR
+ * -----------------------------------------------------
+ * Runs the simulator without the browser, on top of
+ * Javascript/headless.js, and prints the result as a
+ * table, JSON, CSV or LaTeX. Use `--algorithm all` to rank
+ * every algorithm on the same workload.
+ *
+ *   node bin/disk-sched.js -a sstf -H 53 -r "98, 183, 37, 122, 14, 124, 65, 67"
+ *   node bin/disk-sched.js -a all --workload zipf --count 20 --seed 7 -f csv
+ * ===================================================== */
+
+const fs = require('fs');
+const { createSimulation, ALGORITHMS, WorkloadGenerator, TraceImporter, RunFile, LatexExport } = require('../Javascript/headless.js');
+
+const USAGE = `Usage: disk-sched [options]
+
+Options:
+  -a, --algorithm <name|all>  Algorithm to run (default: fcfs).
+                              One of: ${[...ALGORITHMS.keys()].join(', ')}, all
+  -H, --head <track>          Initial head position (default: 53)
+  -m, --max-track <track>     Maximum track number (default: 199)
+      --heads <n>             Heads per cylinder (default: 4)
+      --sectors <n>           Sectors per track (default: 64)
+  -r, --requests <queue>      Request queue, e.g. "98, 183w@20, 37/1/12"
+  -d, --direction <low|high>  Initial direction for SCAN-family algorithms (default: low)
+      --batch-size <n>        N for N-Step SCAN (default: 4)
+      --read-expire <t>       Read expiry for Deadline (default: 100)
+      --write-expire <t>      Write expiry for Deadline (default: 500)
+      --workload <name>       Generate the queue instead of --requests.
+                              One of: ${Object.keys(WorkloadGenerator.distributions).join(', ')}
+      --count <n>             Generated request count (default: 8)
+      --seed <n>              Generator seed (default: 1)
+      --trace <file>          Import the queue from a block-I/O trace instead of --requests
+      --trace-format <fmt>    auto, ${Object.keys(TraceImporter.formats).join(', ')} (default: auto)
+      --limit <n>             Maximum requests to import from a trace (default: 100)
+  -f, --format <fmt>          Output format: table, json, csv or latex (default: table)
+  -h, --help                  Show this help`;
+
+// Short flags and the long option each one stands for
+const ALIASES = { a: 'algorithm', H: 'head', m: 'max-track', r: 'requests', d: 'direction', f: 'format', h: 'help' };
+
+// Long options that take a value
+const VALUE_OPTIONS = new Set([
+    'algorithm', 'head', 'max-track', 'heads', 'sectors', 'requests', 'direction', 'batch-size',
+    'read-expire', 'write-expire', 'workload', 'count', 'seed', 'format',
+    'trace', 'trace-format', 'limit'
+]);
+
+/**
+ * Parses command-line arguments into an options object.
+ * @param {Array<string>} argv - Arguments after the script name.
+ * @returns {object} Long option name -> value (`true` for --help).
+ * @throws {Error} for unknown options or missing values.
+ */
+function parseArgs(argv) {
+    const options = {};
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        let name;
+        if (arg.startsWith('--')) {
+            name = arg.slice(2);
+        } else if (arg.startsWith('-') && ALIASES[arg.slice(1)]) {
+            name = ALIASES[arg.slice(1)];
+        } else {
+            throw new Error(`Unknown argument: ${arg}`);
+        }
+
+        if (name === 'help') {
+            options.help = true;
+            continue;
+        }
+        if (!VALUE_OPTIONS.has(name)) {
+            throw new Error(`Unknown option: --${name}`);
+        }
+        if (i + 1 >= argv.length) {
+            throw new Error(`Missing value for --${name}`);
+        }
+        options[name] = argv[++i];
+    }
+    return options;
+}
+
+/**
+ * Builds the request queue string from --requests, --workload or --trace.
+ * @param {object} options - Parsed options.
+ * @returns {string}
+ */
+function getRequestQueue(options) {
+    if (options.trace) {
+        const records = TraceImporter.parse(fs.readFileSync(options.trace, 'utf8'), options['trace-format'] ?? 'auto');
+        const result = TraceImporter.toRequestQueue(records, {
+            maxTrack: parseInt(options['max-track'] ?? 199),
+            headsCount: parseInt(options.heads ?? 4),
+            sectorsPerTrack: parseInt(options.sectors ?? 64)
+        }, {
+            limit: parseInt(options.limit ?? 100)
+        });
+        if (result.skipped.length > 0) {
+            console.error(`disk-sched: skipped ${result.skipped.length} trace records for an already-requested sector: ${result.skipped.join(', ')}`);
+        }
+        return result.queue;
+    }
+    if (options.workload) {
+        const maxTrack = parseInt(options['max-track'] ?? 199);
+        return WorkloadGenerator.generate({
+            distribution: options.workload,
+            count: parseInt(options.count ?? 8),
+            minTrack: 0,
+            maxTrack: maxTrack,
+            seed: parseInt(options.seed ?? 1)
+        }).join(', ');
+    }
+    if (!options.requests) {
+        throw new Error('One of --requests, --workload or --trace is required');
+    }
+    return options.requests;
+}
+
+/**
+ * Runs one algorithm and collects its summary row.
+ * @param {string} algorithm - The algorithm name.
+ * @param {object} options - Parsed options.
+ * @param {string} requests - The request queue string.
+ * @returns {{summary: object, data: object}} The summary row and the full export data.
+ */
+function runAlgorithm(algorithm, options, requests) {
+    const state = createSimulation({
+        algorithm: algorithm,
+        head: options.head ?? 53,
+        maxTrack: options['max-track'] ?? 199,
+        requests: requests,
+        direction: options.direction ?? 'low',
+        params: {
+            headsCount: options.heads,
+            sectorsPerTrack: options.sectors,
+            batchSize: options['batch-size'],
+            readExpire: options['read-expire'],
+            writeExpire: options['write-expire']
+        }
+    });
+    const data = state.getExportData();
+
+    return {
+        summary: {
+            algorithm: algorithm,
+            totalHeadMovement: data.totalHeadMovement,
+            seeksCount: data.seeksCount,
+            averageSeekDistance: Number(data.averageSeekTime),
+            totalElapsedMs: Number(data.totalElapsedMs),
+            percentAboveOptimal: Number(data.percentAboveOptimal),
+            meanWait: Number(data.requestMetrics.meanWait.toFixed(2)),
+            maxWait: Number(data.requestMetrics.maxWait.toFixed(2)),
+            starvedCount: data.requestMetrics.starvedCount
+        },
+        data: data
+    };
+}
+
+/**
+ * Picks the step fields printed in the table.
+ * @param {object} step - A step object.
+ * @returns {object}
+ */
+function stepRow(step) {
+    return {
+        step: step.step,
+        head: step.headPosition,
+        seek: step.seekDistance,
+        total: step.totalHeadMovement,
+        time: step.time,
+        elapsedMs: Number(step.elapsedMs.toFixed(2)),
+        serviced: step.servicedQueue.join(' '),
+        action: step.currentAction
+    };
+}
+
+/**
+ * Formats rows as an aligned plain-text table.
+ * @param {Array<object>} rows - Objects with the same keys.
+ * @returns {string}
+ */
+function formatTable(rows) {
+    if (rows.length === 0) return '';
+    const columns = Object.keys(rows[0]);
+    const widths = columns.map(col => Math.max(col.length, ...rows.map(row => String(row[col]).length)));
+    const line = (values) => values.map((value, i) => String(value).padEnd(widths[i])).join('  ').trimEnd();
+
+    return [
+        line(columns),
+        line(widths.map(width => '-'.repeat(width))),
+        ...rows.map(row => line(columns.map(col => row[col])))
+    ].join('\n');
+}
+
+/**
+ * Entry point.
+ * @param {Array<string>} argv - Arguments after the script name.
+ * @returns {string} The text to print.
+ */
+function main(argv) {
+    const options = parseArgs(argv);
+    if (options.help) {
+        return USAGE;
+    }
+
+    const format = options.format ?? 'table';
+    if (!['table', 'json', 'csv', 'latex'].includes(format)) {
+        throw new Error(`Unknown format: ${format}`);
+    }
+
+    const requests = getRequestQueue(options);
+    const algorithm = options.algorithm ?? 'fcfs';
+
+    // Rank every algorithm, like the in-page comparison view
+    if (algorithm === 'all') {
+        const summaries = [...ALGORITHMS.keys()]
+            .map(name => runAlgorithm(name, options, requests).summary)
+            .sort((a, b) => (a.totalHeadMovement - b.totalHeadMovement) || (a.seeksCount - b.seeksCount));
+
+        if (format === 'json') return JSON.stringify({ requests, results: summaries }, null, 2);
+        if (format === 'csv') return RunFile.formatCsv(summaries);
+        if (format === 'latex') throw new Error('LaTeX output needs a single algorithm');
+        return `Requests: ${requests}\n\n${formatTable(summaries)}`;
+    }
+
+    // JSON is a run file the page can load with "Load Saved Run"
+    const result = runAlgorithm(algorithm, options, requests);
+    if (format === 'json') return RunFile.toJSON(result.data);
+    if (format === 'csv') return RunFile.toCSV(result.data.allSteps);
+    if (format === 'latex') return LatexExport.toLatex(result.data);
+
+    const summaryText = Object.entries(result.summary).map(([key, value]) => `${key}: ${value}`).join('\n');
+    return `Requests: ${requests}\n\n${formatTable(result.data.allSteps.map(stepRow))}\n\n${summaryText}`;
+}
+
+try {
+    console.log(main(process.argv.slice(2)));
+} catch (error) {
+    console.error(`disk-sched: ${error.message}`);
+    process.exitCode = 1;
+}